@@ -0,0 +1,171 @@
+const CalendarException = require('../models/CalendarExceptionModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { parseCampusDate, startOfCampusDay, endOfCampusDay } = require('../utils/campusTime');
+const { validateProgram, validateProgramYearLevel } = require('../utils/programRules');
+
+// @desc    Get calendar exceptions (holidays, make-up days, one-day grants)
+// @route   GET /api/v1/calendar-exceptions
+// @access  Private (Admin Only)
+const getCalendarExceptions = asyncHandler(async (req, res, next) => {
+    const query = {};
+    const from = req.query.from ? parseCampusDate(req.query.from) : null;
+    const to = req.query.to ? parseCampusDate(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+        res.status(400);
+        return next(new Error('Invalid date format for from/to. Please use YYYY-MM-DD.'));
+    }
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = startOfCampusDay(from);
+        if (to) query.date.$lte = endOfCampusDay(to);
+    }
+    if (req.query.type) query.type = req.query.type.toUpperCase();
+    if (req.query.program) query.program = req.query.program.toUpperCase();
+    if (req.query.mealService) query.mealService = req.query.mealService.toUpperCase();
+
+    const exceptions = await CalendarException.find(query).sort({ date: 1, type: 1 });
+    res.status(200).json({
+        success: true,
+        count: exceptions.length,
+        data: exceptions,
+    });
+});
+
+// @desc    Add a calendar exception
+// @route   POST /api/v1/calendar-exceptions
+// @access  Private (Admin Only)
+const addCalendarException = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { date, type, treatAsDay, program, yearLevel, mealService, description } = req.body;
+    const parsedDate = parseCampusDate(date);
+    if (!parsedDate) {
+        res.status(400);
+        return next(new Error('Invalid date format. Please use YYYY-MM-DD.'));
+    }
+    if (program) {
+        const programError = yearLevel
+            ? await validateProgramYearLevel(program, yearLevel, { allowArchived: false })
+            : await validateProgram(program, { allowArchived: false });
+        if (programError) {
+            res.status(400);
+            return next(new Error(programError));
+        }
+    }
+
+    const serviceDate = startOfCampusDay(parsedDate);
+    if (type === 'DAY_OVERRIDE' && await CalendarException.findOne({ date: serviceDate, type })) {
+        res.status(400);
+        return next(new Error(`A DAY_OVERRIDE already exists for ${date}. Update it instead.`));
+    }
+
+    const exception = await CalendarException.create({
+        date: serviceDate,
+        type,
+        treatAsDay,
+        program: program ? program.toUpperCase() : null,
+        yearLevel: yearLevel ? parseInt(yearLevel, 10) : null,
+        mealService: mealService || null,
+        description,
+        createdBy: req.admin._id,
+    });
+
+    res.status(201).json({
+        success: true,
+        data: exception,
+    });
+});
+
+// @desc    Update a calendar exception
+// @route   PUT /api/v1/calendar-exceptions/:id
+// @access  Private (Admin Only)
+const updateCalendarException = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid calendar exception ID format: ${req.params.id}`));
+    }
+
+    const exception = await CalendarException.findById(req.params.id);
+    if (!exception) {
+        res.status(404);
+        return next(new Error(`Calendar exception not found with ID: ${req.params.id}`));
+    }
+
+    const { date, type, treatAsDay, program, yearLevel, mealService, description } = req.body;
+    if (date !== undefined) {
+        const parsedDate = parseCampusDate(date);
+        if (!parsedDate) {
+            res.status(400);
+            return next(new Error('Invalid date format. Please use YYYY-MM-DD.'));
+        }
+        exception.date = startOfCampusDay(parsedDate);
+    }
+    if (type !== undefined) exception.type = type;
+    if (treatAsDay !== undefined) exception.treatAsDay = treatAsDay;
+    if (program !== undefined) {
+        const programError = program && program !== exception.program
+            ? await validateProgram(program, { allowArchived: false })
+            : null;
+        if (programError) {
+            res.status(400);
+            return next(new Error(programError));
+        }
+        exception.program = program ? program.toUpperCase() : null;
+    }
+    if (yearLevel !== undefined) exception.yearLevel = yearLevel ? parseInt(yearLevel, 10) : null;
+    if (mealService !== undefined) exception.mealService = mealService || null;
+    if (description !== undefined) exception.description = description;
+    if (exception.program && exception.yearLevel) {
+        const programError = await validateProgramYearLevel(exception.program, exception.yearLevel);
+        if (programError) {
+            res.status(400);
+            return next(new Error(programError));
+        }
+    }
+
+    const updatedException = await exception.save();
+    res.status(200).json({
+        success: true,
+        message: 'Calendar exception updated successfully',
+        data: updatedException,
+    });
+});
+
+// @desc    Delete a calendar exception
+// @route   DELETE /api/v1/calendar-exceptions/:id
+// @access  Private (Admin Only)
+const deleteCalendarException = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid calendar exception ID format: ${req.params.id}`));
+    }
+    const exception = await CalendarException.findById(req.params.id);
+    if (!exception) {
+        res.status(404);
+        return next(new Error(`Calendar exception not found with ID: ${req.params.id}`));
+    }
+    await exception.deleteOne();
+    res.status(200).json({
+        success: true,
+        message: `Calendar exception '${exception.description}' on ${exception.dateLocal} deleted successfully.`,
+        data: {},
+    });
+});
+
+module.exports = {
+    getCalendarExceptions,
+    addCalendarException,
+    updateCalendarException,
+    deleteCalendarException,
+};
@@ -0,0 +1,166 @@
+const MealCapacity = require('../models/MealCapacityModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { parseCampusDate, startOfCampusDay, formatCampusDate } = require('../utils/campusTime');
+const { getServiceDate } = require('../utils/serviceDay');
+const { getCalendarExceptions, getEffectiveDayOfWeek } = require('../utils/academicCalendar');
+const { getCapacityStatus } = require('../utils/mealCapacity');
+const { MEAL_SERVICES, DEFAULT_MEAL_SERVICE, describeMealService } = require('../utils/mealServices');
+const { validateProgram } = require('../utils/programRules');
+
+// @desc    Get all meal capacities
+// @route   GET /api/v1/meal-capacities
+// @access  Private (Admin Only)
+const getMealCapacities = asyncHandler(async (req, res) => {
+    const query = {};
+    if (req.query.dayOfWeek) query.dayOfWeek = req.query.dayOfWeek;
+    if (req.query.program) query.program = req.query.program.toUpperCase();
+    if (req.query.mealService) query.mealService = req.query.mealService.toUpperCase();
+
+    const capacities = await MealCapacity.find(query).sort({ date: 1, dayOfWeek: 1, mealService: 1, program: 1 });
+    res.status(200).json({
+        success: true,
+        count: capacities.length,
+        data: capacities,
+    });
+});
+
+// @desc    Add a meal capacity for a weekday or a specific date (optionally for one program), per meal service
+// @route   POST /api/v1/meal-capacities
+// @access  Private (Admin Only)
+const addMealCapacity = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { dayOfWeek, date, program, portions, mealService = DEFAULT_MEAL_SERVICE } = req.body;
+    if (!dayOfWeek === !date) {
+        res.status(400);
+        return next(new Error('Provide either a dayOfWeek or a specific date (YYYY-MM-DD).'));
+    }
+    const parsedDate = date ? parseCampusDate(date) : null;
+    if (date && !parsedDate) {
+        res.status(400);
+        return next(new Error('Invalid date format. Please use YYYY-MM-DD.'));
+    }
+    if (program) {
+        const programError = await validateProgram(program, { allowArchived: false });
+        if (programError) {
+            res.status(400);
+            return next(new Error(programError));
+        }
+    }
+
+    const query = {
+        dayOfWeek: dayOfWeek || null,
+        date: parsedDate ? startOfCampusDay(parsedDate) : null,
+        mealService,
+        program: program ? program.toUpperCase() : null,
+    };
+    const capacityExists = await MealCapacity.findOne(query);
+    if (capacityExists) {
+        res.status(400);
+        return next(new Error(`A ${describeMealService(mealService).toLowerCase()} capacity already exists for ${program ? program.toUpperCase() : 'the whole kitchen'} on ${dayOfWeek || date}. Update it instead.`));
+    }
+
+    const capacity = await MealCapacity.create({ ...query, portions: parseInt(portions, 10) });
+
+    res.status(201).json({
+        success: true,
+        data: capacity,
+    });
+});
+
+// @desc    Change the number of portions of a meal capacity
+// @route   PUT /api/v1/meal-capacities/:id
+// @access  Private (Admin Only)
+const updateMealCapacity = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid meal capacity ID format: ${req.params.id}`));
+    }
+
+    const capacity = await MealCapacity.findById(req.params.id);
+    if (!capacity) {
+        res.status(404);
+        return next(new Error(`Meal capacity not found with ID: ${req.params.id}`));
+    }
+
+    capacity.portions = parseInt(req.body.portions, 10);
+    const updatedCapacity = await capacity.save();
+    res.status(200).json({
+        success: true,
+        message: 'Meal capacity updated successfully',
+        data: updatedCapacity,
+    });
+});
+
+// @desc    Delete a meal capacity
+// @route   DELETE /api/v1/meal-capacities/:id
+// @access  Private (Admin Only)
+const deleteMealCapacity = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid meal capacity ID format: ${req.params.id}`));
+    }
+    const capacity = await MealCapacity.findById(req.params.id);
+    if (!capacity) {
+        res.status(404);
+        return next(new Error(`Meal capacity not found with ID: ${req.params.id}`));
+    }
+    await capacity.deleteOne();
+    res.status(200).json({
+        success: true,
+        message: `${describeMealService(capacity.mealService)} capacity for ${capacity.program || 'the whole kitchen'} on ${capacity.dayOfWeek || capacity.dateLocal} deleted successfully.`,
+        data: {},
+    });
+});
+
+// @desc    Get the portions remaining for a service day (today by default), for one meal service or all of them
+// @route   GET /api/v1/meal-capacities/remaining
+// @route   GET /api/v1/eligibility/capacity
+// @access  Private (Admin Only) / Kitchen Terminal (API Key)
+const getRemainingPortions = asyncHandler(async (req, res, next) => {
+    const parsedDate = req.query.date ? parseCampusDate(req.query.date) : null;
+    if (req.query.date && !parsedDate) {
+        res.status(400);
+        return next(new Error('Invalid date format. Please use YYYY-MM-DD.'));
+    }
+    const mealService = req.query.mealService ? req.query.mealService.toUpperCase() : null;
+    if (mealService && !MEAL_SERVICES.includes(mealService)) {
+        res.status(400);
+        return next(new Error(`Meal service must be one of: ${MEAL_SERVICES.join(', ')}.`));
+    }
+    const serviceDate = parsedDate ? startOfCampusDay(parsedDate) : getServiceDate();
+
+    // Make-up days use the capacities of the weekday they follow
+    const exceptionsByDate = await getCalendarExceptions(serviceDate);
+    const dayOfWeek = getEffectiveDayOfWeek(exceptionsByDate.get(serviceDate.getTime()) || [], serviceDate);
+    const capacitiesByService = await Promise.all((mealService ? [mealService] : MEAL_SERVICES)
+        .map(service => getCapacityStatus(serviceDate, dayOfWeek, service)));
+    const capacities = capacitiesByService.flat();
+
+    res.status(200).json({
+        success: true,
+        serviceDate: formatCampusDate(serviceDate),
+        dayOfWeek,
+        limited: capacities.length > 0,
+        data: capacities,
+    });
+});
+
+module.exports = {
+    getMealCapacities,
+    addMealCapacity,
+    updateMealCapacity,
+    deleteMealCapacity,
+    getRemainingPortions,
+};
@@ -1,38 +1,66 @@
 const MealRecord = require('../models/MealRecordModel');
-const Student = require('../models/StudentModel');
 const Schedule = require('../models/ScheduleModel');
+const ScheduleVersion = require('../models/ScheduleVersionModel');
+const Program = require('../models/ProgramModel');
 const asyncHandler = require('express-async-handler');
+const {
+    getCampusDateParts,
+    campusTimeToDate,
+    startOfCampusDay,
+    endOfCampusDay,
+    addCampusDays,
+    parseCampusDate,
+    formatCampusDate,
+} = require('../utils/campusTime');
+const { getCurrentDayOfWeek, getServiceDate } = require('../utils/serviceDay');
+const {
+    getCalendarExceptions,
+    getEffectiveDayOfWeek,
+    applyCalendarExceptions,
+} = require('../utils/academicCalendar');
+const { subscribeToMealRecords } = require('../utils/claimFeed');
+const { issueStreamToken } = require('../utils/streamToken');
+const { getScheduleVersionsInRange, pickScheduleVersion } = require('../utils/scheduleVersions');
+const { getStudentGroupCounts, calculateWeeklyAllotments } = require('../utils/allotments');
+const { MEAL_SERVICES } = require('../utils/mealServices');
 
 // --- HIGH-PERFORMANCE PRE-CALCULATION ---
 
+// Daily totals and schedule lookups are kept per schedule version ('base' for entries without one),
+// then per meal service: Map<versionKey, { LUNCH: { Monday: n, ... }, ... }>
 let precalculatedAllotments = null;
+// Student counts per program/year/section, kept so days with calendar exceptions can be recalculated per group
+let precalculatedGroupCounts = [];
+let precalculatedScheduleLookups = new Map();
 
-// This function runs once when the module is first loaded.
+const getVersionKey = (versionId) => (versionId ? versionId.toString() : 'base');
+
+// This function runs once when the module is first loaded, and again when a new schedule version appears.
 const precalculateAllottedMeals = async () => {
     try {
         console.log('Pre-calculating daily allotted meal counts...'.yellow);
-        const schedules = await Schedule.find({ isEligible: true }).lean();
-        const pipeline = [
-            { $group: { _id: { program: '$program', yearLevel: '$yearLevel' }, count: { $sum: 1 } } }
-        ];
-        const studentCounts = await Student.aggregate(pipeline);
-        
-        const countsByCohort = new Map();
-        studentCounts.forEach(item => {
-            countsByCohort.set(`${item._id.program}-${item._id.yearLevel}`, item.count);
-        });
-
-        const dailyTotals = {
-            Monday: 0, Tuesday: 0, Wednesday: 0, Thursday: 0, Friday: 0, Saturday: 0, Sunday: 0
-        };
+        const schedules = await Schedule.find().select('version program yearLevel section mealService dayOfWeek isEligible').lean();
+        const versions = await ScheduleVersion.find().select('_id').lean();
+        const groupCounts = await getStudentGroupCounts();
 
-        schedules.forEach(schedule => {
-            const count = countsByCohort.get(`${schedule.program}-${schedule.yearLevel}`) || 0;
-            dailyTotals[schedule.dayOfWeek] += count;
+        const dailyTotalsByVersion = new Map();
+        const scheduleLookupsByVersion = new Map();
+        ['base', ...versions.map(v => getVersionKey(v._id))].forEach(versionKey => {
+            const versionSchedules = schedules.filter(schedule => getVersionKey(schedule.version) === versionKey);
+            const dailyTotals = {};
+            const lookups = {};
+            MEAL_SERVICES.forEach(mealService => {
+                const serviceSchedules = versionSchedules.filter(schedule => schedule.mealService === mealService);
+                ({ byDay: dailyTotals[mealService], lookups: lookups[mealService] } = calculateWeeklyAllotments(serviceSchedules, groupCounts));
+            });
+            dailyTotalsByVersion.set(versionKey, dailyTotals);
+            scheduleLookupsByVersion.set(versionKey, lookups);
         });
         
-        precalculatedAllotments = dailyTotals;
-        console.log('Allotted meal counts pre-calculated successfully:'.green, precalculatedAllotments);
+        precalculatedGroupCounts = groupCounts;
+        precalculatedScheduleLookups = scheduleLookupsByVersion;
+        precalculatedAllotments = dailyTotalsByVersion;
+        console.log('Allotted meal counts pre-calculated successfully:'.green, Object.fromEntries(precalculatedAllotments));
     } catch (error) {
         console.error('Failed to pre-calculate allotted meals:'.red, error);
         // If this fails, the app can still run, but allotted numbers will be 0.
@@ -43,63 +71,88 @@ const precalculateAllottedMeals = async () => {
 // Immediately invoke the pre-calculation when the server starts.
 precalculateAllottedMeals();
 
+// Allotted meals of one meal service for one service day under the schedule version in force that day.
+// Ordinary days use the pre-calculated weekday total; days with calendar exceptions (holidays, make-up
+// days, grants) are recalculated group by group.
+const calculateAllottedForService = (serviceDate, calendarExceptions, versionKey, mealService) => {
+    if (!calendarExceptions || calendarExceptions.length === 0) {
+        return ((precalculatedAllotments.get(versionKey) || {})[mealService] || {})[getCurrentDayOfWeek(serviceDate)] || 0;
+    }
+
+    const dayOfWeek = getEffectiveDayOfWeek(calendarExceptions, serviceDate);
+    const isScheduled = ((precalculatedScheduleLookups.get(versionKey) || {})[mealService] || {})[dayOfWeek] || (() => false);
+    let allotted = 0;
+    precalculatedGroupCounts.forEach(group => {
+        if (applyCalendarExceptions(calendarExceptions, group, isScheduled(group), mealService).isEligible) {
+            allotted += group.count;
+        }
+    });
+    return allotted;
+};
+
+// Allotted meals for one service day, summed over the given meal services
+const calculateAllottedForDate = (serviceDate, calendarExceptions, versionId, mealServices = MEAL_SERVICES) => {
+    const versionKey = getVersionKey(versionId);
+    return mealServices.reduce((total, mealService) =>
+        total + calculateAllottedForService(serviceDate, calendarExceptions, versionKey, mealService), 0);
+};
+
 
-// This function now specifically calculates claimed/unclaimed from records
-const calculateClaimSummaryForPeriod = async (startDate, endDate) => {
-    // This function remains the same
+// This function now specifically calculates claimed/unclaimed from records, optionally for one meal service
+const calculateClaimSummaryForPeriod = async (startDate, endDate, mealService) => {
+    const matchStage = { dateChecked: { $gte: startDate, $lte: endDate }, status: { $in: ['CLAIMED', 'ELIGIBLE_BUT_NOT_CLAIMED', 'INELIGIBLE_OUTSIDE_SERVICE_WINDOW'] } };
+    if (mealService) { matchStage.mealService = mealService; }
     const aggregationResult = await MealRecord.aggregate([
-        { $match: { dateChecked: { $gte: startDate, $lte: endDate }, status: { $in: ['CLAIMED', 'ELIGIBLE_BUT_NOT_CLAIMED'] } } },
-        { $group: { _id: null, claimed: { $sum: { $cond: [{ $eq: ['$status', 'CLAIMED'] }, 1, 0] } }, unclaimed: { $sum: { $cond: [{ $eq: ['$status', 'ELIGIBLE_BUT_NOT_CLAIMED'] }, 1, 0] } } } },
-        { $project: { _id: 0, claimed: 1, unclaimed: 1 } }
+        { $match: matchStage },
+        { $group: { _id: null, claimed: { $sum: { $cond: [{ $eq: ['$status', 'CLAIMED'] }, 1, 0] } }, unclaimed: { $sum: { $cond: [{ $eq: ['$status', 'ELIGIBLE_BUT_NOT_CLAIMED'] }, 1, 0] } }, outsideServiceWindow: { $sum: { $cond: [{ $eq: ['$status', 'INELIGIBLE_OUTSIDE_SERVICE_WINDOW'] }, 1, 0] } } } },
+        { $project: { _id: 0, claimed: 1, unclaimed: 1, outsideServiceWindow: 1 } }
     ]);
-    return aggregationResult[0] || { claimed: 0, unclaimed: 0 };
+    return aggregationResult[0] || { claimed: 0, unclaimed: 0, outsideServiceWindow: 0 };
 };
 
 
-// Helper to get a date range. (This function remains unchanged)
+// Helper to get a date range. All boundaries are in the campus timezone.
 const getPeriodRange = (periodType, value) => {
-    // ... (This function's content is identical to the previous version and does not need to be copied again if it's already correct)
     let startDate, endDate;
     const now = new Date();
     switch (periodType.toLowerCase()) {
         case 'daily': {
-            const targetDate = value ? new Date(value) : now;
-            startDate = new Date(Date.UTC(targetDate.getUTCFullYear(), targetDate.getUTCMonth(), targetDate.getUTCDate()));
-            endDate = new Date(startDate);
-            endDate.setUTCHours(23, 59, 59, 999);
+            const targetDate = (value && parseCampusDate(value)) || now;
+            startDate = startOfCampusDay(targetDate);
+            endDate = endOfCampusDay(targetDate);
             break;
         }
         case 'weekly': {
-             const weekRefDate = value ? new Date(value) : now;
-            startDate = new Date(Date.UTC(weekRefDate.getUTCFullYear(), weekRefDate.getUTCMonth(), weekRefDate.getUTCDate()));
-            const dayOfWeek = startDate.getUTCDay();
+            const weekRefDate = (value && parseCampusDate(value)) || now;
+            const dayOfWeek = getCampusDateParts(weekRefDate).weekday;
             const diffToMonday = (dayOfWeek === 0) ? -6 : 1 - dayOfWeek;
-            startDate.setUTCDate(startDate.getUTCDate() + diffToMonday);
-            endDate = new Date(startDate);
-            endDate.setUTCDate(startDate.getUTCDate() + 6);
-            endDate.setUTCHours(23, 59, 59, 999);
+            startDate = startOfCampusDay(addCampusDays(weekRefDate, diffToMonday));
+            endDate = endOfCampusDay(addCampusDays(startDate, 6));
             break;
         }
         case 'monthly': {
             let year, month;
             if (value && value.includes('-')) {
                 const parts = value.split('-');
-                year = parseInt(parts[0], 10); month = parseInt(parts[1], 10) - 1;
+                year = parseInt(parts[0], 10); month = parseInt(parts[1], 10);
             } else {
-                year = now.getFullYear(); month = now.getMonth();
+                ({ year, month } = getCampusDateParts(now));
             }
-            startDate = new Date(Date.UTC(year, month, 1));
-            endDate = new Date(Date.UTC(year, month + 1, 0, 23, 59, 59, 999));
+            startDate = campusTimeToDate(year, month, 1);
+            endDate = new Date(campusTimeToDate(year, month + 1, 1).getTime() - 1);
             break;
         }
         case 'semestral': {
-            const academicYearStart = now.getUTCMonth() >= 8 ? now.getUTCFullYear() : now.getUTCFullYear() - 1;
+            const today = getCampusDateParts(now);
+            const academicYearStart = today.month >= 9 ? today.year : today.year - 1;
             if (value === '1st') {
-                startDate = new Date(Date.UTC(academicYearStart, 8, 1));
-                endDate = new Date(Date.UTC(academicYearStart + 1, 1, 0, 23, 59, 59, 999));
+                // September 1 to January 31
+                startDate = campusTimeToDate(academicYearStart, 9, 1);
+                endDate = new Date(campusTimeToDate(academicYearStart + 1, 2, 1).getTime() - 1);
             } else {
-                startDate = new Date(Date.UTC(academicYearStart + 1, 1, 1));
-                endDate = new Date(Date.UTC(academicYearStart + 1, 7, 0, 23, 59, 59, 999));
+                // February 1 to July 31
+                startDate = campusTimeToDate(academicYearStart + 1, 2, 1);
+                endDate = new Date(campusTimeToDate(academicYearStart + 1, 8, 1).getTime() - 1);
             }
             break;
         }
@@ -111,6 +164,11 @@ const getPeriodRange = (periodType, value) => {
 const getPerformanceSummary = asyncHandler(async (req, res) => {
     const { filterPeriod } = req.query;
     let responseData = [];
+    // ?mealService=BREAKFAST limits the summary to one meal service; by default every service is counted
+    const mealService = req.query.mealService ? req.query.mealService.toUpperCase() : null;
+    if (mealService && !MEAL_SERVICES.includes(mealService)) {
+        return res.status(400).json({ success: false, error: `Meal service must be one of: ${MEAL_SERVICES.join(', ')}.` });
+    }
 
     if (!precalculatedAllotments) {
         return res.status(503).json({ success: false, error: "Server is initializing allotment data, please try again shortly." });
@@ -118,13 +176,20 @@ const getPerformanceSummary = asyncHandler(async (req, res) => {
 
     const processPeriod = async (range, name, id) => {
         // --- INSTANT ALLOTTED CALCULATION ---
+        const [exceptionsByDate, versions] = await Promise.all([
+            getCalendarExceptions(range.startDate, range.endDate),
+            getScheduleVersionsInRange(range.startDate, range.endDate),
+        ]);
+        if (versions.some(v => !precalculatedAllotments.has(getVersionKey(v._id)))) {
+            await precalculateAllottedMeals(); // A version was added since the last pre-calculation
+        }
         let allotted = 0;
-        for (let d = new Date(range.startDate); d <= range.endDate; d.setUTCDate(d.getUTCDate() + 1)) {
-            const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][d.getUTCDay()];
-            allotted += precalculatedAllotments[dayOfWeek] || 0;
+        for (let d = new Date(range.startDate); d <= range.endDate; d = addCampusDays(d, 1)) {
+            const version = pickScheduleVersion(versions, d);
+            allotted += calculateAllottedForDate(d, exceptionsByDate.get(d.getTime()), version && version._id, mealService ? [mealService] : MEAL_SERVICES);
         }
 
-        const summaryResult = await calculateClaimSummaryForPeriod(range.startDate, range.endDate);
+        const summaryResult = await calculateClaimSummaryForPeriod(range.startDate, range.endDate, mealService);
         return { id, name, allotted, ...summaryResult };
     };
 
@@ -133,10 +198,9 @@ const getPerformanceSummary = asyncHandler(async (req, res) => {
             const weekRange = getPeriodRange('weekly');
             const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
             for (let i = 0; i < 7; i++) {
-                const currentDay = new Date(weekRange.startDate);
-                currentDay.setUTCDate(currentDay.getUTCDate() + i);
+                const currentDay = addCampusDays(weekRange.startDate, i);
                 const dayRange = getPeriodRange('daily', currentDay.toISOString());
-                const summary = await processPeriod(dayRange, days[i], currentDay.toISOString().split('T')[0]);
+                const summary = await processPeriod(dayRange, days[i], formatCampusDate(currentDay));
                 responseData.push(summary);
             }
             break;
@@ -147,16 +211,16 @@ const getPerformanceSummary = asyncHandler(async (req, res) => {
             let weekCounter = 1;
             while (weekStart <= monthRange.endDate) {
                 const weekRange = getPeriodRange('weekly', weekStart.toISOString());
-                if (weekRange.startDate.getUTCMonth() !== monthRange.startDate.getUTCMonth()) break;
-                const summary = await processPeriod(weekRange, `Week ${weekCounter}`, weekRange.startDate.toISOString().split('T')[0]);
+                if (getCampusDateParts(weekRange.startDate).month !== getCampusDateParts(monthRange.startDate).month) break;
+                const summary = await processPeriod(weekRange, `Week ${weekCounter}`, formatCampusDate(weekRange.startDate));
                 responseData.push(summary);
-                weekStart.setUTCDate(weekStart.getUTCDate() + 7);
+                weekStart = addCampusDays(weekStart, 7);
                 weekCounter++;
             }
             break;
         }
         case 'monthly': {
-            const year = new Date().getFullYear();
+            const { year } = getCampusDateParts();
             for (let m = 0; m < 12; m++) {
                 const monthRange = getPeriodRange('monthly', `${year}-${m + 1}`);
                 const monthName = new Date(Date.UTC(year, m)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
@@ -183,7 +247,7 @@ const getPerformanceSummary = asyncHandler(async (req, res) => {
 
 // The getProgramBreakdown function remains unchanged as it is already efficient.
 const getProgramBreakdown = asyncHandler(async (req, res) => {
-    const { filterPeriod, value, program, groupBy } = req.query;
+    const { filterPeriod, value, program, yearLevel, groupBy, mealService } = req.query;
     if (!filterPeriod || !value) {
         return res.status(400).json({ success: false, error: "Filter period and value are required." });
     }
@@ -191,7 +255,17 @@ const getProgramBreakdown = asyncHandler(async (req, res) => {
     if (range.error) { return res.status(400).json({ success: false, error: range.error }); }
     const matchStage = { dateChecked: { $gte: range.startDate, $lte: range.endDate }, status: { $in: ['CLAIMED', 'ELIGIBLE_BUT_NOT_CLAIMED'] } };
     if (program) { matchStage.programAtTimeOfRecord = program.toUpperCase(); }
-    const groupKey = (groupBy === 'yearLevel' && program) ? { $concat: [{ $toString: "$yearLevelAtTimeOfRecord" }, " year"] } : '$programAtTimeOfRecord';
+    if (program && yearLevel) { matchStage.yearLevelAtTimeOfRecord = parseInt(yearLevel, 10); }
+    if (mealService) { matchStage.mealService = mealService.toUpperCase(); }
+    let groupKey = '$programAtTimeOfRecord';
+    if (groupBy === 'mealService') {
+        groupKey = '$mealService';
+    } else if (groupBy === 'yearLevel' && program) {
+        groupKey = { $concat: [{ $toString: "$yearLevelAtTimeOfRecord" }, " year"] };
+    } else if (groupBy === 'section' && program) {
+        // e.g. "2-B"; records written before sections were tracked are grouped under "N/A"
+        groupKey = { $concat: [{ $toString: "$yearLevelAtTimeOfRecord" }, "-", { $ifNull: ["$sectionAtTimeOfRecord", "N/A"] }] };
+    }
     const aggregationPipeline = [
         { $match: matchStage },
         { $group: { _id: groupKey, claimed: { $sum: { $cond: [{ $eq: ['$status', 'CLAIMED'] }, 1, 0] } }, unclaimed: { $sum: { $cond: [{ $eq: ['$status', 'ELIGIBLE_BUT_NOT_CLAIMED'] }, 1, 0] } } } },
@@ -199,10 +273,167 @@ const getProgramBreakdown = asyncHandler(async (req, res) => {
         { $sort: { name: 1 } }
     ];
     const breakdownData = await MealRecord.aggregate(aggregationPipeline);
+
+    // Every year level the program offers gets a row, even one with no records in the period
+    if (groupBy === 'yearLevel' && program && !yearLevel) {
+        const programDoc = await Program.findOne({ name: program.toUpperCase() });
+        if (programDoc) {
+            for (let year = programDoc.minYearLevel; year <= programDoc.maxYearLevel; year++) {
+                if (!breakdownData.some(row => row.name === `${year} year`)) {
+                    breakdownData.push({ name: `${year} year`, claimed: 0, unclaimed: 0, allotted: 0 });
+                }
+            }
+            breakdownData.sort((a, b) => parseInt(a.name, 10) - parseInt(b.name, 10));
+        }
+    }
     res.status(200).json({ success: true, data: breakdownData });
 });
 
+// --- LIVE CLAIM FEED (Server-Sent Events) ---
+
+const LIVE_FEED_HEARTBEAT_MS = 25 * 1000;
+// Each meal record status and the running counter it feeds
+const LIVE_COUNTER_KEYS = {
+    CLAIMED: 'claimed',
+    CLAIM_CANCELLED: 'cancelled',
+    INELIGIBLE_NOT_SCHEDULED: 'notScheduled',
+    INELIGIBLE_OVERRIDE_DENIED: 'suspended',
+    INELIGIBLE_OUTSIDE_SERVICE_WINDOW: 'outsideServiceWindow',
+    INELIGIBLE_CAPACITY_REACHED: 'capacityReached',
+    INELIGIBLE_NOT_ENROLLED: 'notEnrolled',
+    INELIGIBLE_STUDENT_NOT_FOUND: 'studentNotFound',
+    ELIGIBLE_BUT_NOT_CLAIMED: 'unclaimed',
+};
+
+const liveFeedClients = new Set();
+let unsubscribeLiveFeed = null;
+let liveCounterRefresh = null;
+
+// Running counts of the service day's records per program, meal service and status, shared by every connected
+// client. Loaded with one query, then moved by each published record; re-read on every heartbeat to pick up
+// records written without being published (e.g. the end-of-day unclaimed records) and the start of a new day.
+let liveCounters = null;
+
+const emptyLiveCounters = () => Object.fromEntries(Object.values(LIVE_COUNTER_KEYS).map(key => [key, 0]));
+
+const loadLiveCounters = async () => {
+    const serviceDate = getServiceDate();
+    const rows = await MealRecord.aggregate([
+        { $match: { serviceDate } },
+        { $group: { _id: { program: '$programAtTimeOfRecord', mealService: '$mealService', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+    liveCounters = {
+        serviceDate: formatCampusDate(serviceDate),
+        rows: new Map(rows.map(({ _id, count }) => [JSON.stringify([_id.program, _id.mealService, _id.status]), { ..._id, count }])),
+    };
+};
+
+const adjustLiveCounter = (program, mealService, status, change) => {
+    const key = JSON.stringify([program, mealService, status]);
+    if (!liveCounters.rows.has(key)) liveCounters.rows.set(key, { program, mealService, status, count: 0 });
+    liveCounters.rows.get(key).count += change;
+};
+
+// Counts a published record (and takes it off its previous status). Records of another service day,
+// e.g. offline claims synced late, are not part of today's counters.
+const countLiveRecord = (event) => {
+    if (!liveCounters || event.serviceDate !== liveCounters.serviceDate) return false;
+    adjustLiveCounter(event.studentInfo.program, event.mealService, event.status, 1);
+    if (event.previousStatus) adjustLiveCounter(event.studentInfo.program, event.mealService, event.previousStatus, -1);
+    return true;
+};
+
+const countersForClient = ({ program, mealService }) => {
+    const counts = emptyLiveCounters();
+    for (const row of liveCounters.rows.values()) {
+        const key = LIVE_COUNTER_KEYS[row.status];
+        if (!key) continue;
+        if (program && row.program !== program) continue;
+        if (mealService && row.mealService !== mealService) continue;
+        counts[key] += row.count;
+    }
+    return { serviceDate: liveCounters.serviceDate, program, mealService, counts };
+};
+
+const sendLiveEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Sends a published record, and the counters it moved, to the clients watching its program and meal service
+const relayMealRecord = (event) => {
+    const counted = countLiveRecord(event);
+    for (const client of liveFeedClients) {
+        if (client.program && event.studentInfo.program !== client.program) continue;
+        if (client.mealService && event.mealService !== client.mealService) continue;
+        sendLiveEvent(client.res, 'meal-record', event);
+        if (counted) sendLiveEvent(client.res, 'counters', countersForClient(client));
+    }
+};
+
+const refreshLiveCounters = async () => {
+    await loadLiveCounters();
+    for (const client of liveFeedClients) sendLiveEvent(client.res, 'counters', countersForClient(client));
+};
+
+// @desc    Get a short-lived token for opening the live feed with the browser's EventSource
+// @route   POST /api/v1/dashboard/live/token
+// @access  Private (Admin Only)
+const getLiveFeedToken = asyncHandler(async (req, res) => {
+    const { token, expiresAt } = issueStreamToken(req.admin._id);
+    res.status(200).json({
+        success: true,
+        data: { token, expiresAt },
+    });
+});
+
+// @desc    Stream every eligibility outcome as it is written, with running counters for the service day
+// @route   GET /api/v1/dashboard/live
+// @access  Private (Admin Only; Bearer JWT or ?token= from POST /dashboard/live/token)
+const streamLiveClaims = asyncHandler(async (req, res) => {
+    const program = req.query.program ? req.query.program.toUpperCase() : null;
+    const mealService = req.query.mealService ? req.query.mealService.toUpperCase() : null;
+    // Records are only counted while someone is watching, so the first client starts from a fresh count
+    if (liveFeedClients.size === 0 || liveCounters.serviceDate !== formatCampusDate(getServiceDate())) {
+        await loadLiveCounters();
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+    const client = { res, program, mealService };
+    sendLiveEvent(res, 'counters', countersForClient(client));
+
+    liveFeedClients.add(client);
+    if (!unsubscribeLiveFeed) {
+        unsubscribeLiveFeed = subscribeToMealRecords(relayMealRecord);
+        liveCounterRefresh = setInterval(() => {
+            refreshLiveCounters().catch((error) => {
+                console.error(`Live feed counter refresh failed: ${error.message}`.red);
+            });
+        }, LIVE_FEED_HEARTBEAT_MS);
+    }
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_FEED_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        liveFeedClients.delete(client);
+        if (liveFeedClients.size === 0 && unsubscribeLiveFeed) {
+            unsubscribeLiveFeed();
+            unsubscribeLiveFeed = null;
+            clearInterval(liveCounterRefresh);
+            liveCounterRefresh = null;
+        }
+    });
+});
+
 module.exports = {
     getPerformanceSummary,
     getProgramBreakdown,
+    getLiveFeedToken,
+    streamLiveClaims,
 };
\ No newline at end of file
@@ -1,131 +1,321 @@
 const Student = require('../models/StudentModel');
-const Schedule = require('../models/ScheduleModel');
 const MealRecord = require('../models/MealRecordModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const firebaseAdmin = require('../config/firebaseAdmin');
+const {
+    getServiceDate,
+    getCurrentDayOfWeek,
+    getCurrentTimeOfDay,
+} = require('../utils/serviceDay');
+const {
+    MEAL_SERVICES,
+    DEFAULT_MEAL_SERVICE,
+    describeMealService,
+    findCurrentMealService,
+} = require('../utils/mealServices');
+const { verifyMealPass } = require('../utils/mealPass');
+const { publishMealRecord } = require('../utils/claimFeed');
+const { evaluateEligibility, reserveClaimPortion } = require('../utils/eligibilityRules');
+const { releaseMealPortion } = require('../utils/mealCapacity');
 
-const getCurrentDayOfWeek = () => {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    return days[new Date().getUTCDay()];
+// How long after a claim the kitchen can still cancel it as a mis-scan
+const CLAIM_CANCEL_WINDOW_SECONDS = parseInt(process.env.CLAIM_CANCEL_WINDOW_SECONDS, 10) || 120;
+
+// The legacy one-call mode (GET writes the claim immediately) stays on unless explicitly disabled
+const isSingleCallModeEnabled = () => process.env.ELIGIBILITY_SINGLE_CALL_MODE !== 'false';
+
+// Reads the meal service a terminal is scanning for (?mealService= or body.mealService).
+// Returns { mealService } (null when not given, so it is worked out from the service windows) or { error }.
+const getRequestedMealService = (req) => {
+    const requested = req.query.mealService || (req.body && req.body.mealService);
+    if (!requested) return { mealService: null };
+    const mealService = String(requested).toUpperCase();
+    if (!MEAL_SERVICES.includes(mealService)) {
+        return { error: `Meal service must be one of: ${MEAL_SERVICES.join(', ')}.` };
+    }
+    return { mealService };
 };
 
-const checkStudentEligibility = asyncHandler(async (req, res, next) => {
-    const { studentIdNumber } = req.params;
+const buildStudentInfo = async (student) => {
+    let profilePictureUrl = '/person-placeholder.jpg';
+    try {
+        const userRecord = await firebaseAdmin.auth().getUserByEmail(student.email);
+        if (userRecord && userRecord.photoURL) {
+            profilePictureUrl = userRecord.photoURL.replace('=s96-c', '=s256-c');
+        }
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') {
+            console.warn(`Firebase lookup warning for ${student.email}: ${error.code}`);
+        }
+    }
+
+    return {
+        studentIdNumber: student.studentIdNumber,
+        name: student.name,
+        program: student.program,
+        year: student.yearLevel,
+        section: student.section || "N/A",
+        profilePictureUrl: profilePictureUrl,
+    };
+};
 
+/**
+ * Shared by the single-call GET, the confirm POST and QR pass claims: evaluates eligibility and writes the outcome.
+ * Eligible students get a CLAIMED record whose ID is returned as the claim receipt.
+ */
+const processMealClaim = async (req, res, next, studentIdNumber = req.params.studentIdNumber) => {
     if (!studentIdNumber || studentIdNumber.trim() === '') {
         res.status(400);
         return next(new Error('Student ID Number is required.'));
     }
+    const { mealService: requestedMealService, error: mealServiceError } = getRequestedMealService(req);
+    if (mealServiceError) {
+        res.status(400);
+        return next(new Error(mealServiceError));
+    }
 
+    const serviceDate = getServiceDate();
     const student = await Student.findOne({ studentIdNumber: studentIdNumber.trim() });
 
     if (!student) {
-        await MealRecord.create({
+        // Unknown students are counted against the service that is open for everyone right now
+        const mealService = requestedMealService || findCurrentMealService(
+            await ServiceWindow.find({ dayOfWeek: getCurrentDayOfWeek(serviceDate) }).lean(), {}, getCurrentTimeOfDay()
+        ) || DEFAULT_MEAL_SERVICE;
+        const notFoundRecord = await MealRecord.create({
             student: null,
             studentIdNumber: studentIdNumber.trim(),
             programAtTimeOfRecord: 'UNKNOWN',
             yearLevelAtTimeOfRecord: 0,
             dateChecked: new Date(),
+            serviceDate,
+            mealService,
             status: 'INELIGIBLE_STUDENT_NOT_FOUND',
+            terminal: req.terminal._id,
         });
+        publishMealRecord(notFoundRecord, { terminal: req.terminal });
         return res.status(404).json({
             success: false,
             eligibilityStatus: 'STUDENT_NOT_FOUND',
+            reasonCode: 'STUDENT_NOT_FOUND',
             reason: "Student ID not found in masterlist."
         });
     }
 
-    // --- NEW LOGIC STARTS HERE ---
-    
-    // Define the start and end of the current day in UTC
-    const todayStart = new Date();
-    todayStart.setUTCHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setUTCHours(23, 59, 59, 999);
+    const [studentInfoPayload, evaluatedOutcome] = await Promise.all([
+        buildStudentInfo(student),
+        evaluateEligibility(student, serviceDate, requestedMealService),
+    ]);
+    // An eligible claim takes its portion now; if the last one went to another terminal it is refused instead
+    const { outcome, reservation } = await reserveClaimPortion(student, serviceDate, evaluatedOutcome);
 
-    // Check if the student has already claimed a meal today
-    const existingRecord = await MealRecord.findOne({
-        student: student._id,
-        dateChecked: { $gte: todayStart, $lte: todayEnd },
-        status: 'CLAIMED'
-    });
+    const alreadyClaimedResponse = {
+        success: true,
+        studentInfo: studentInfoPayload,
+        mealService: outcome.mealService,
+        eligibilityStatus: 'ALREADY_CLAIMED',
+        reasonCode: 'ALREADY_CLAIMED',
+        reason: `${describeMealService(outcome.mealService)} has already been claimed today.`,
+    };
 
-    let profilePictureUrl = '/person-placeholder.jpg';
+    if (!outcome.recordStatus) {
+        return res.status(200).json(alreadyClaimedResponse);
+    }
+
+    // The unique (student, serviceDate, mealService) index makes claiming atomic: if another terminal claimed
+    // between the check above and this insert, the insert fails instead of double-claiming.
+    let mealRecord;
     try {
-        const userRecord = await firebaseAdmin.auth().getUserByEmail(student.email);
-        if (userRecord && userRecord.photoURL) {
-            profilePictureUrl = userRecord.photoURL.replace('=s96-c', '=s256-c');
-        }
+        mealRecord = await MealRecord.create({
+            student: student._id,
+            studentIdNumber: student.studentIdNumber,
+            programAtTimeOfRecord: student.program,
+            yearLevelAtTimeOfRecord: student.yearLevel,
+            sectionAtTimeOfRecord: student.section || null,
+            dateChecked: new Date(),
+            serviceDate,
+            mealService: outcome.mealService,
+            status: outcome.recordStatus,
+            terminal: req.terminal._id,
+        });
     } catch (error) {
-        if (error.code !== 'auth/user-not-found') {
-            console.warn(`Firebase lookup warning for ${student.email}: ${error.code}`);
+        if (reservation) await releaseMealPortion(reservation);
+        if (error.code === 11000) {
+            return res.status(200).json(alreadyClaimedResponse);
         }
+        throw error;
     }
-    
-    const studentInfoPayload = {
-        studentIdNumber: student.studentIdNumber,
-        name: student.name,
-        program: student.program,
-        year: student.yearLevel,
-        section: student.section || "N/A",
-        profilePictureUrl: profilePictureUrl,
-    };
+    publishMealRecord(mealRecord, { student, terminal: req.terminal });
+
+    const isClaimed = outcome.recordStatus === 'CLAIMED';
+    res.status(200).json({
+        success: true,
+        studentInfo: studentInfoPayload,
+        mealService: outcome.mealService,
+        eligibilityStatus: outcome.eligibilityStatus,
+        reasonCode: outcome.reasonCode,
+        reason: outcome.reason,
+        ...outcome.details,
+        receiptId: isClaimed ? mealRecord._id : undefined,
+        cancellableUntil: isClaimed
+            ? new Date(mealRecord.dateChecked.getTime() + CLAIM_CANCEL_WINDOW_SECONDS * 1000)
+            : undefined,
+    });
+};
 
-    if (existingRecord) {
-        return res.status(200).json({
-            success: true,
-            studentInfo: studentInfoPayload,
-            eligibilityStatus: 'ALREADY_CLAIMED',
-            reason: "Meal has already been claimed today.",
+// @desc    Check eligibility and claim in a single call (legacy mode)
+// @route   GET /api/v1/eligibility/:studentIdNumber
+// @access  Kitchen Terminal (API Key)
+const checkStudentEligibility = asyncHandler(async (req, res, next) => {
+    if (!isSingleCallModeEnabled()) {
+        res.status(403);
+        return next(new Error('Single-call eligibility mode is disabled. Use the preview and claim endpoints instead.'));
+    }
+    return processMealClaim(req, res, next);
+});
+
+/**
+ * Read-only counterpart of processMealClaim, shared by the preview GET and QR pass previews.
+ */
+const processEligibilityPreview = async (req, res, next, studentIdNumber = req.params.studentIdNumber) => {
+    if (!studentIdNumber || studentIdNumber.trim() === '') {
+        res.status(400);
+        return next(new Error('Student ID Number is required.'));
+    }
+    const { mealService: requestedMealService, error: mealServiceError } = getRequestedMealService(req);
+    if (mealServiceError) {
+        res.status(400);
+        return next(new Error(mealServiceError));
+    }
+
+    const student = await Student.findOne({ studentIdNumber: studentIdNumber.trim() });
+    if (!student) {
+        return res.status(404).json({
+            success: false,
+            eligibilityStatus: 'STUDENT_NOT_FOUND',
+            reasonCode: 'STUDENT_NOT_FOUND',
+            reason: "Student ID not found in masterlist."
         });
     }
-    
-    // --- END OF NEW LOGIC ---
 
-    const currentDay = getCurrentDayOfWeek();
-    const scheduleEntry = await Schedule.findOne({
-        program: student.program,
-        yearLevel: student.yearLevel,
-        dayOfWeek: currentDay,
+    const [studentInfoPayload, outcome] = await Promise.all([
+        buildStudentInfo(student),
+        evaluateEligibility(student, getServiceDate(), requestedMealService),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        studentInfo: studentInfoPayload,
+        mealService: outcome.mealService,
+        eligibilityStatus: outcome.eligibilityStatus,
+        reasonCode: outcome.reasonCode,
+        reason: outcome.reason,
+        ...outcome.details,
     });
+};
 
-    const isEligibleToday = !!(scheduleEntry && scheduleEntry.isEligible);
+/**
+ * Verifies a scanned QR meal pass (signature, expiry and revocation).
+ * Sends the rejection response itself and returns null when the pass is not accepted.
+ */
+const resolveMealPass = async (req, res) => {
+    let decodedPass;
+    try {
+        decodedPass = verifyMealPass(req.body && req.body.pass);
+    } catch (error) {
+        res.status(401).json({ success: false, eligibilityStatus: error.code || 'INVALID_PASS', reason: error.message });
+        return null;
+    }
 
-    if (isEligibleToday) {
-        // If eligible, create the 'CLAIMED' record now
-        await MealRecord.create({
-            student: student._id,
-            studentIdNumber: student.studentIdNumber,
-            programAtTimeOfRecord: student.program,
-            yearLevelAtTimeOfRecord: student.yearLevel,
-            dateChecked: new Date(),
-            status: 'CLAIMED',
-        });
-        res.status(200).json({
-            success: true,
-            studentInfo: studentInfoPayload,
-            eligibilityStatus: 'ELIGIBLE',
-            reason: "Eligible for meal.",
-        });
-    } else {
-        // If not eligible, create an 'INELIGIBLE' record
-        await MealRecord.create({
-            student: student._id,
-            studentIdNumber: student.studentIdNumber,
-            programAtTimeOfRecord: student.program,
-            yearLevelAtTimeOfRecord: student.yearLevel,
-            dateChecked: new Date(),
-            status: 'INELIGIBLE_NOT_SCHEDULED',
-        });
-        res.status(200).json({
-            success: true,
-            studentInfo: studentInfoPayload,
-            eligibilityStatus: 'NOT_SCHEDULED',
-            reason: `Not scheduled for eligibility on ${currentDay}.`,
+    const student = await Student.findOne({ studentIdNumber: decodedPass.studentIdNumber }).select('mealPassVersion');
+    if (student && decodedPass.version !== (student.mealPassVersion || 0)) {
+        res.status(401).json({
+            success: false,
+            eligibilityStatus: 'PASS_REVOKED',
+            reason: 'This meal pass has been revoked. Please request a new one.',
         });
+        return null;
     }
+
+    return decodedPass.studentIdNumber;
+};
+
+// @desc    Preview a student's eligibility without recording anything
+// @route   GET /api/v1/eligibility/:studentIdNumber/preview
+// @access  Kitchen Terminal (API Key)
+const previewStudentEligibility = asyncHandler(processEligibilityPreview);
+
+// @desc    Preview eligibility from a scanned QR meal pass
+// @route   POST /api/v1/eligibility/pass/preview
+// @access  Kitchen Terminal (API Key)
+const previewMealPass = asyncHandler(async (req, res, next) => {
+    const studentIdNumber = await resolveMealPass(req, res);
+    if (!studentIdNumber) return;
+    return processEligibilityPreview(req, res, next, studentIdNumber);
+});
+
+// @desc    Claim a meal with a scanned QR meal pass
+// @route   POST /api/v1/eligibility/pass/claim
+// @access  Kitchen Terminal (API Key)
+const claimWithMealPass = asyncHandler(async (req, res, next) => {
+    const studentIdNumber = await resolveMealPass(req, res);
+    if (!studentIdNumber) return;
+    return processMealClaim(req, res, next, studentIdNumber);
+});
+
+// @desc    Confirm a previewed claim and record it
+// @route   POST /api/v1/eligibility/:studentIdNumber/claim
+// @access  Kitchen Terminal (API Key)
+const confirmMealClaim = asyncHandler(processMealClaim);
+
+// @desc    Cancel a mis-scanned claim shortly after it was made
+// @route   POST /api/v1/eligibility/claims/:receiptId/cancel
+// @access  Kitchen Terminal (API Key)
+const cancelMealClaim = asyncHandler(async (req, res, next) => {
+    const { receiptId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(receiptId)) {
+        res.status(400);
+        return next(new Error(`Invalid claim receipt ID format: ${receiptId}`));
+    }
+
+    const mealRecord = await MealRecord.findById(receiptId);
+    if (!mealRecord || mealRecord.status !== 'CLAIMED') {
+        res.status(404);
+        return next(new Error(`No active claim found with receipt ID: ${receiptId}`));
+    }
+    if (!mealRecord.terminal || !mealRecord.terminal.equals(req.terminal._id)) {
+        res.status(403);
+        return next(new Error('Claims can only be cancelled from the terminal that recorded them.'));
+    }
+    if (Date.now() - mealRecord.dateChecked.getTime() > CLAIM_CANCEL_WINDOW_SECONDS * 1000) {
+        res.status(400);
+        return next(new Error(`Claims can only be cancelled within ${CLAIM_CANCEL_WINDOW_SECONDS} seconds.`));
+    }
+
+    mealRecord.status = 'CLAIM_CANCELLED';
+    mealRecord.cancelledAt = new Date();
+    await mealRecord.save();
+    await releaseMealPortion({
+        serviceDate: mealRecord.serviceDate,
+        mealService: mealRecord.mealService,
+        programs: [null, mealRecord.programAtTimeOfRecord],
+    });
+    publishMealRecord(mealRecord, { terminal: req.terminal, previousStatus: 'CLAIMED' });
+
+    res.status(200).json({
+        success: true,
+        message: `Claim for student ${mealRecord.studentIdNumber} has been cancelled.`,
+        data: mealRecord,
+    });
 });
 
 module.exports = {
     checkStudentEligibility,
-};
\ No newline at end of file
+    previewStudentEligibility,
+    confirmMealClaim,
+    cancelMealClaim,
+    previewMealPass,
+    claimWithMealPass,
+};
@@ -0,0 +1,289 @@
+const Student = require('../models/StudentModel');
+const MealRecord = require('../models/MealRecordModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
+const { formatCampusDate } = require('../utils/campusTime');
+const { evaluateEligibility, reserveClaimPortion, getEligibleStudentsOnDate } = require('../utils/eligibilityRules');
+const { releaseMealPortion } = require('../utils/mealCapacity');
+const { publishMealRecord } = require('../utils/claimFeed');
+const { getServiceDate, getServiceDayEnd, pickServiceWindow } = require('../utils/serviceDay');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+const { isActiveStudent, describeEnrollmentStatus } = require('../utils/enrollment');
+
+// Offline claims older than this are rejected instead of being backfilled
+const OFFLINE_CLAIM_MAX_AGE_DAYS = parseInt(process.env.OFFLINE_CLAIM_MAX_AGE_DAYS, 10) || 3;
+
+const getRosterSigningSecret = () => {
+    const secret = process.env.ROSTER_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        console.error('FATAL ERROR: Neither ROSTER_SIGNING_SECRET nor JWT_SECRET is defined in environment variables.'.red.bold);
+        throw new Error('Server configuration error: roster signing secret missing.');
+    }
+    return secret;
+};
+
+// @desc    Download a signed snapshot of today's eligible students for offline scanning
+// @route   GET /api/v1/eligibility/offline/roster
+// @access  Kitchen Terminal (API Key)
+const getOfflineRoster = asyncHandler(async (req, res) => {
+    const issuedAt = new Date();
+    const serviceDate = getServiceDate(issuedAt);
+    const expiresAt = getServiceDayEnd(serviceDate);
+
+    // getEligibleStudentsOnDate only returns active students, so withdrawn or graduated students are never in the roster
+    const [eligibleByService, serviceWindows, claimedRecords] = await Promise.all([
+        Promise.all(MEAL_SERVICES.map(mealService => getEligibleStudentsOnDate(serviceDate, {
+            select: 'studentIdNumber name section',
+            mealService,
+        }))),
+        ServiceWindow.find({}).lean(),
+        MealRecord.find({ serviceDate, status: 'CLAIMED' }).select('student mealService').lean(),
+    ]);
+    const { dayOfWeek } = eligibleByService[0];
+    const claimedSet = new Set(claimedRecords.map(r => `${r.student}|${r.mealService}`));
+    const dayServiceWindows = serviceWindows.filter(w => w.dayOfWeek === dayOfWeek);
+
+    // One entry per student, listing each meal service they are eligible for today
+    const studentsById = new Map();
+    eligibleByService.forEach(({ students: eligibleStudents }, index) => {
+        const mealService = MEAL_SERVICES[index];
+        const mealServiceWindows = dayServiceWindows.filter(w => w.mealService === mealService);
+        for (const student of eligibleStudents) {
+            const studentId = student._id.toString();
+            if (!studentsById.has(studentId)) {
+                studentsById.set(studentId, {
+                    studentIdNumber: student.studentIdNumber,
+                    name: student.name,
+                    program: student.program,
+                    year: student.yearLevel,
+                    section: student.section || "N/A",
+                    mealServices: [],
+                });
+            }
+            const serviceWindow = pickServiceWindow(mealServiceWindows, student);
+            studentsById.get(studentId).mealServices.push({
+                mealService,
+                serviceWindow: serviceWindow ? { startTime: serviceWindow.startTime, endTime: serviceWindow.endTime } : null,
+                alreadyClaimed: claimedSet.has(`${studentId}|${mealService}`),
+            });
+        }
+    });
+    const students = [...studentsById.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+    const snapshot = {
+        terminal: req.terminal.name,
+        serviceDate: formatCampusDate(serviceDate),
+        dayOfWeek,
+        issuedAt,
+        expiresAt,
+        count: students.length,
+        students,
+    };
+
+    // The signature covers who may claim which meals, so the server can verify the roster a terminal
+    // claimed against when the claims are uploaded (and terminals that hold the secret can detect tampering)
+    const signature = jwt.sign(
+        {
+            terminal: req.terminal._id.toString(),
+            serviceDate: snapshot.serviceDate,
+            students: Object.fromEntries(students.map(s => [s.studentIdNumber, s.mealServices.map(m => m.mealService)])),
+        },
+        getRosterSigningSecret(),
+        { expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - issuedAt.getTime()) / 1000)) }
+    );
+
+    res.status(200).json({
+        success: true,
+        data: snapshot,
+        signature,
+    });
+});
+
+/**
+ * Verifies the roster signatures a terminal sends back with its offline claims. Expired rosters are
+ * accepted (claims are often uploaded the next day), but each must be signed by the server for this terminal.
+ * @param {Array<string>} signatures - The `signature` of each roster the claims were made against.
+ * @param {object} terminal - The uploading KitchenTerminal.
+ * @returns {Map<string, Map<string, Array<string>>>} Service date (YYYY-MM-DD) -> student ID -> meal services.
+ * @throws {Error} When a signature is invalid or was issued to another terminal.
+ */
+const verifyRosterSignatures = (signatures, terminal) => {
+    const rostersByDate = new Map();
+    for (const signature of signatures) {
+        let roster;
+        try {
+            roster = jwt.verify(signature, getRosterSigningSecret(), { ignoreExpiration: true });
+        } catch (error) {
+            throw new Error(`Roster signature is invalid: ${error.message}.`);
+        }
+        if (roster.terminal !== terminal._id.toString() || !roster.students || typeof roster.students !== 'object') {
+            throw new Error('Roster signature was not issued to this terminal.');
+        }
+        // A terminal that refreshed its roster during the day sends every copy; a student on any of them counts
+        if (!rostersByDate.has(roster.serviceDate)) rostersByDate.set(roster.serviceDate, new Map());
+        const studentsOnDate = rostersByDate.get(roster.serviceDate);
+        Object.entries(roster.students).forEach(([studentIdNumber, mealServices]) => {
+            studentsOnDate.set(studentIdNumber, [...new Set([...(studentsOnDate.get(studentIdNumber) || []), ...mealServices])]);
+        });
+    }
+    return rostersByDate;
+};
+
+// Works out what happened when a claim hits the unique claim index: a retried upload of the same claim, or a real conflict
+const describeExistingClaim = async (student, serviceDate, mealService, claimedAt, terminal) => {
+    const existingClaim = await MealRecord.findOne({ student: student._id, serviceDate, mealService, status: 'CLAIMED' })
+        .populate({ path: 'terminal', select: 'name' });
+    const isSameClaim = existingClaim
+        && existingClaim.terminal && existingClaim.terminal._id.equals(terminal._id)
+        && existingClaim.dateChecked.getTime() === claimedAt.getTime();
+
+    if (isSameClaim) {
+        // This exact claim was uploaded before (e.g., a retried sync)
+        return { status: 'ALREADY_SYNCED', receiptId: existingClaim._id };
+    }
+    return {
+        status: 'CONFLICT',
+        reason: 'Student already claimed this meal on this service day.',
+        existingClaim: existingClaim ? {
+            receiptId: existingClaim._id,
+            claimedAt: existingClaim.dateChecked,
+            terminal: existingClaim.terminal ? existingClaim.terminal.name : null,
+            recordedOffline: existingClaim.recordedOffline,
+        } : undefined,
+    };
+};
+
+// @desc    Upload claims recorded while the terminal was offline
+// @route   POST /api/v1/eligibility/offline/claims
+// @access  Kitchen Terminal (API Key)
+const syncOfflineClaims = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    let rostersByDate;
+    try {
+        rostersByDate = verifyRosterSignatures(req.body.rosters, req.terminal);
+    } catch (error) {
+        res.status(400);
+        return next(error);
+    }
+
+    const { claims } = req.body;
+    const now = new Date();
+    const oldestAllowed = new Date(now.getTime() - OFFLINE_CLAIM_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+
+    const studentIdNumbers = [...new Set(claims.map(c => String(c.studentIdNumber).trim()))];
+    const students = await Student.find({ studentIdNumber: { $in: studentIdNumbers } });
+    const studentsByIdNumber = new Map(students.map(s => [s.studentIdNumber, s]));
+
+    const results = [];
+    // Processed one at a time so that duplicates inside the same upload are caught by the unique claim index
+    for (const [index, claim] of claims.entries()) {
+        const studentIdNumber = String(claim.studentIdNumber).trim();
+        const claimedAt = new Date(claim.claimedAt);
+        const result = { index, clientClaimId: claim.clientClaimId, studentIdNumber };
+
+        if (claimedAt > now || claimedAt < oldestAllowed) {
+            results.push({ ...result, status: 'REJECTED', reason: `Claim time must be within the last ${OFFLINE_CLAIM_MAX_AGE_DAYS} days and not in the future.` });
+            continue;
+        }
+
+        const student = studentsByIdNumber.get(studentIdNumber);
+        if (!student) {
+            results.push({ ...result, status: 'STUDENT_NOT_FOUND', reason: 'Student ID not found in masterlist.' });
+            continue;
+        }
+        // A roster downloaded before the student left can still list them; nothing is written for such claims
+        if (!isActiveStudent(student)) {
+            results.push({
+                ...result,
+                status: 'NOT_ENROLLED',
+                reason: `Not currently enrolled (${describeEnrollmentStatus(student.enrollmentStatus)}).`,
+            });
+            continue;
+        }
+
+        // The claim is judged by the same rules as a live scan at claimedAt; older terminals do not send the
+        // meal service, in which case the one being served at the time of the claim is used
+        const serviceDate = getServiceDate(claimedAt);
+        const evaluatedOutcome = await evaluateEligibility(student, serviceDate, claim.mealService || null, claimedAt);
+        const { mealService } = evaluatedOutcome;
+        result.mealService = mealService;
+
+        const roster = rostersByDate.get(formatCampusDate(serviceDate));
+        const rosterMealServices = roster && roster.get(student.studentIdNumber);
+        if (!rosterMealServices || !rosterMealServices.includes(mealService)) {
+            results.push({
+                ...result,
+                status: 'NOT_IN_ROSTER',
+                reason: roster
+                    ? 'Student was not on the signed roster for this meal service.'
+                    : 'No signed roster for this service day was sent with the upload.',
+            });
+            continue;
+        }
+
+        if (evaluatedOutcome.eligibilityStatus === 'ALREADY_CLAIMED') {
+            results.push({ ...result, ...(await describeExistingClaim(student, serviceDate, mealService, claimedAt, req.terminal)) });
+            continue;
+        }
+        const { outcome, reservation } = await reserveClaimPortion(student, serviceDate, evaluatedOutcome);
+        if (outcome.recordStatus !== 'CLAIMED') {
+            results.push({
+                ...result,
+                status: 'INELIGIBLE',
+                eligibilityStatus: outcome.eligibilityStatus,
+                reasonCode: outcome.reasonCode,
+                reason: outcome.reason,
+            });
+            continue;
+        }
+
+        try {
+            const mealRecord = await MealRecord.create({
+                student: student._id,
+                studentIdNumber: student.studentIdNumber,
+                programAtTimeOfRecord: student.program,
+                yearLevelAtTimeOfRecord: student.yearLevel,
+                sectionAtTimeOfRecord: student.section || null,
+                dateChecked: claimedAt,
+                serviceDate,
+                mealService,
+                status: 'CLAIMED',
+                terminal: req.terminal._id,
+                recordedOffline: true,
+            });
+            publishMealRecord(mealRecord, { student, terminal: req.terminal });
+            results.push({ ...result, status: 'SYNCED', receiptId: mealRecord._id });
+        } catch (error) {
+            await releaseMealPortion(reservation);
+            if (error.code !== 11000) {
+                results.push({ ...result, status: 'ERROR', reason: error.message });
+                continue;
+            }
+            results.push({ ...result, ...(await describeExistingClaim(student, serviceDate, mealService, claimedAt, req.terminal)) });
+        }
+    }
+
+    const summary = results.reduce((acc, r) => {
+        acc[r.status] = (acc[r.status] || 0) + 1;
+        return acc;
+    }, {});
+
+    res.status(200).json({
+        success: true,
+        message: `Processed ${results.length} offline claims.`,
+        summary,
+        data: results,
+    });
+});
+
+module.exports = {
+    getOfflineRoster,
+    syncOfflineClaims,
+};
@@ -0,0 +1,168 @@
+const StudentEligibilityOverride = require('../models/StudentEligibilityOverrideModel');
+const Student = require('../models/StudentModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { parseCampusDate, startOfCampusDay, endOfCampusDay } = require('../utils/campusTime');
+
+// Parses an inclusive YYYY-MM-DD range into [start of first day, end of last day] on campus
+const parseOverrideRange = (startDate, endDate) => {
+    const start = parseCampusDate(startDate);
+    const end = parseCampusDate(endDate);
+    if (!start || !end) return null;
+    return { startDate: startOfCampusDay(start), endDate: endOfCampusDay(end) };
+};
+
+// @desc    Get individual eligibility overrides
+// @route   GET /api/v1/eligibility-overrides
+// @access  Private (Admin Only)
+const getOverrides = asyncHandler(async (req, res, next) => {
+    const query = {};
+    if (req.query.studentIdNumber) {
+        const student = await Student.findOne({ studentIdNumber: req.query.studentIdNumber.trim() });
+        if (!student) {
+            res.status(404);
+            return next(new Error(`Student not found with ID number: ${req.query.studentIdNumber}`));
+        }
+        query.student = student._id;
+    }
+    if (req.query.type) query.type = req.query.type.toUpperCase();
+    if (req.query.mealService) query.mealService = req.query.mealService.toUpperCase();
+    if (req.query.activeOn) {
+        const activeOn = parseCampusDate(req.query.activeOn);
+        if (!activeOn) {
+            res.status(400);
+            return next(new Error('Invalid date format for activeOn. Please use YYYY-MM-DD.'));
+        }
+        query.startDate = { $lte: startOfCampusDay(activeOn) };
+        query.endDate = { $gte: startOfCampusDay(activeOn) };
+    }
+
+    const overrides = await StudentEligibilityOverride.find(query)
+        .populate('student', 'studentIdNumber name program yearLevel')
+        .populate('issuedBy', 'name email')
+        .sort({ startDate: -1 });
+
+    res.status(200).json({
+        success: true,
+        count: overrides.length,
+        data: overrides,
+    });
+});
+
+// @desc    Grant or deny meals to one student for a date range
+// @route   POST /api/v1/eligibility-overrides
+// @access  Private (Admin Only)
+const addOverride = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { studentIdNumber, type, startDate, endDate, daysOfWeek, mealService, reason } = req.body;
+    const range = parseOverrideRange(startDate, endDate);
+    if (!range) {
+        res.status(400);
+        return next(new Error('Invalid date format for startDate/endDate. Please use YYYY-MM-DD.'));
+    }
+
+    const student = await Student.findOne({ studentIdNumber: studentIdNumber.trim() });
+    if (!student) {
+        res.status(404);
+        return next(new Error(`Student not found with ID number: ${studentIdNumber}`));
+    }
+
+    const override = await StudentEligibilityOverride.create({
+        student: student._id,
+        type,
+        ...range,
+        daysOfWeek: daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek : undefined,
+        mealService: mealService || null,
+        reason,
+        issuedBy: req.admin._id,
+    });
+
+    res.status(201).json({
+        success: true,
+        data: override,
+    });
+});
+
+// @desc    Update an eligibility override (e.g., end a suspension early)
+// @route   PUT /api/v1/eligibility-overrides/:id
+// @access  Private (Admin Only)
+const updateOverride = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid override ID format: ${req.params.id}`));
+    }
+
+    const override = await StudentEligibilityOverride.findById(req.params.id);
+    if (!override) {
+        res.status(404);
+        return next(new Error(`Eligibility override not found with ID: ${req.params.id}`));
+    }
+
+    const { type, startDate, endDate, daysOfWeek, mealService, reason } = req.body;
+    if (startDate !== undefined) {
+        const parsedStart = parseCampusDate(startDate);
+        if (!parsedStart) {
+            res.status(400);
+            return next(new Error('Invalid date format for startDate. Please use YYYY-MM-DD.'));
+        }
+        override.startDate = startOfCampusDay(parsedStart);
+    }
+    if (endDate !== undefined) {
+        const parsedEnd = parseCampusDate(endDate);
+        if (!parsedEnd) {
+            res.status(400);
+            return next(new Error('Invalid date format for endDate. Please use YYYY-MM-DD.'));
+        }
+        override.endDate = endOfCampusDay(parsedEnd);
+    }
+    if (type !== undefined) override.type = type;
+    if (daysOfWeek !== undefined) override.daysOfWeek = daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek : undefined;
+    if (mealService !== undefined) override.mealService = mealService || null;
+    if (reason !== undefined) override.reason = reason;
+
+    const updatedOverride = await override.save();
+    res.status(200).json({
+        success: true,
+        message: 'Eligibility override updated successfully',
+        data: updatedOverride,
+    });
+});
+
+// @desc    Delete an eligibility override
+// @route   DELETE /api/v1/eligibility-overrides/:id
+// @access  Private (Admin Only)
+const deleteOverride = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid override ID format: ${req.params.id}`));
+    }
+    const override = await StudentEligibilityOverride.findById(req.params.id);
+    if (!override) {
+        res.status(404);
+        return next(new Error(`Eligibility override not found with ID: ${req.params.id}`));
+    }
+    await override.deleteOne();
+    res.status(200).json({
+        success: true,
+        message: `Eligibility override (${override.type}, ${override.startDateLocal} to ${override.endDateLocal}) deleted successfully.`,
+        data: {},
+    });
+});
+
+module.exports = {
+    getOverrides,
+    addOverride,
+    updateOverride,
+    deleteOverride,
+};
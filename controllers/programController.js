@@ -1,13 +1,30 @@
 const Program = require('../models/ProgramModel');
+const Student = require('../models/StudentModel');
+const Schedule = require('../models/ScheduleModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const CalendarException = require('../models/CalendarExceptionModel');
+const MealCapacity = require('../models/MealCapacityModel');
+const MealRecord = require('../models/MealRecordModel');
+const StudentChange = require('../models/StudentChangeModel');
+const SchoolYearRollover = require('../models/SchoolYearRolloverModel');
 const asyncHandler = require('express-async-handler');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 
-// @desc    Get all programs
+// Checks the year level range of a program after defaults and stored values are applied; returns an error message or null
+const validateYearLevelRange = (program) => {
+    if (program.minYearLevel > program.maxYearLevel) {
+        return `Minimum year level (${program.minYearLevel}) cannot be greater than the maximum year level (${program.maxYearLevel}).`;
+    }
+    return null;
+};
+
+// @desc    Get all programs (archived programs only with ?includeArchived=true)
 // @route   GET /api/v1/programs
 // @access  Public (or Private if you prefer)
 const getPrograms = asyncHandler(async (req, res) => {
-    const programs = await Program.find({}).sort({ name: 1 });
+    const query = req.query.includeArchived === 'true' ? {} : { isArchived: { $ne: true } };
+    const programs = await Program.find(query).sort({ name: 1 });
     res.status(200).json({
         success: true,
         count: programs.length,
@@ -25,18 +42,28 @@ const addProgram = asyncHandler(async (req, res, next) => {
         return next(new Error(errors.array().map(err => err.msg).join(', ')));
     }
 
-    const { name, description } = req.body;
+    const { name, description, color, programType, minYearLevel, maxYearLevel } = req.body;
 
     const programExists = await Program.findOne({ name: name.toUpperCase() });
     if (programExists) {
         res.status(400);
-        return next(new Error(`Program with name '${name.toUpperCase()}' already exists.`));
+        return next(new Error(`Program with name '${name.toUpperCase()}' already exists${programExists.isArchived ? ' (archived; restore it instead)' : ''}.`));
     }
 
-    const program = await Program.create({
+    const program = new Program({
         name: name.toUpperCase(),
         description,
+        color,
+        programType: programType || null,
+        minYearLevel,
+        maxYearLevel, // Left undefined, the default follows programType
     });
+    const rangeError = validateYearLevelRange(program);
+    if (rangeError) {
+        res.status(400);
+        return next(new Error(rangeError));
+    }
+    await program.save();
 
     res.status(201).json({
         success: true,
@@ -44,28 +71,129 @@ const addProgram = asyncHandler(async (req, res, next) => {
     });
 });
 
+// Collections that store a program name, with the field holding it
+const PROGRAM_NAME_REFERENCES = [
+    ['students', Student, 'program'],
+    ['schedules', Schedule, 'program'],
+    ['serviceWindows', ServiceWindow, 'program'],
+    ['calendarExceptions', CalendarException, 'program'],
+    ['mealCapacities', MealCapacity, 'program'],
+    ['mealRecords', MealRecord, 'programAtTimeOfRecord'],
+];
+
+// Counts the documents that refer to a program by name, keyed like PROGRAM_NAME_REFERENCES
+const countProgramReferences = async (programName) => {
+    const counts = await Promise.all(PROGRAM_NAME_REFERENCES.map(([, Model, field]) => Model.countDocuments({ [field]: programName })));
+    return Object.fromEntries(PROGRAM_NAME_REFERENCES.map(([key], index) => [key, counts[index]]));
+};
+
 // @desc    Update a program
 // @route   PUT /api/v1/programs/:id
 // @access  Private (Admin Only)
 const updateProgram = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
         res.status(400);
         return next(new Error('Invalid program ID format.'));
     }
 
-    const program = await Program.findByIdAndUpdate(req.params.id, req.body, {
-        new: true,
-        runValidators: true,
-    });
+    const program = await Program.findById(req.params.id);
 
     if (!program) {
         res.status(404);
         return next(new Error(`Program not found with ID: ${req.params.id}`));
     }
 
+    const originalName = program.name;
+    const { name, description, color, programType, minYearLevel, maxYearLevel } = req.body;
+    if (name) program.name = name.toUpperCase();
+    if (description) program.description = description;
+    if (color) program.color = color;
+    if (programType !== undefined) program.programType = programType || null;
+    if (minYearLevel !== undefined) program.minYearLevel = parseInt(minYearLevel, 10);
+    if (maxYearLevel !== undefined) program.maxYearLevel = parseInt(maxYearLevel, 10);
+
+    const rangeError = validateYearLevelRange(program);
+    if (rangeError) {
+        res.status(400);
+        return next(new Error(rangeError));
+    }
+
+    const isRename = program.name !== originalName;
+    if (isRename && await Program.exists({ name: program.name })) {
+        res.status(400);
+        return next(new Error(`Program with name '${program.name}' already exists.`));
+    }
+
+    // Narrowing the year levels must not strand existing students or schedule entries outside them
+    if (program.isModified('minYearLevel') || program.isModified('maxYearLevel')) {
+        const outsideRange = {
+            program: originalName,
+            $or: [{ yearLevel: { $lt: program.minYearLevel } }, { yearLevel: { $gt: program.maxYearLevel } }],
+        };
+        const [studentCount, scheduleCount] = await Promise.all([
+            Student.countDocuments(outsideRange),
+            Schedule.countDocuments(outsideRange),
+        ]);
+        if (studentCount > 0 || scheduleCount > 0) {
+            res.status(400);
+            return next(new Error(`Cannot limit ${originalName} to Year ${program.minYearLevel} to ${program.maxYearLevel}: ${studentCount} student(s) and ${scheduleCount} schedule entr${scheduleCount === 1 ? 'y' : 'ies'} are outside that range.`));
+        }
+    }
+
+    if (!isRename) {
+        await program.save();
+        return res.status(200).json({
+            success: true,
+            data: program,
+        });
+    }
+
+    // Everything refers to programs by name, so a rename is applied to all of it (including past meal
+    // records, so reports stay continuous) in one transaction
+    const renamed = { from: originalName, to: program.name, updated: {} };
+    await mongoose.connection.transaction(async (session) => {
+        await program.save({ session });
+        for (const [key, Model, field] of PROGRAM_NAME_REFERENCES) {
+            const { modifiedCount } = await Model.updateMany(
+                { [field]: originalName },
+                { $set: { [field]: program.name } },
+                { session }
+            );
+            renamed.updated[key] = modifiedCount;
+        }
+        // Logged program changes too, or replaying the log (getCohortChangesSince) would put students back
+        // in the old name for earlier dates and they would drop out of past cohorts
+        const { modifiedCount } = await StudentChange.updateMany(
+            { changes: { $elemMatch: { field: 'program', $or: [{ from: originalName }, { to: originalName }] } } },
+            { $set: { 'changes.$[fromOld].from': program.name, 'changes.$[toOld].to': program.name } },
+            {
+                session,
+                arrayFilters: [
+                    { 'fromOld.field': 'program', 'fromOld.from': originalName },
+                    { 'toOld.field': 'program', 'toOld.to': originalName },
+                ],
+            }
+        );
+        renamed.updated.studentChanges = modifiedCount;
+        // And the rollover undo snapshots, so rollovers list and restore students under the current name
+        const rollovers = await SchoolYearRollover.updateMany(
+            { 'changes.program': originalName },
+            { $set: { 'changes.$[old].program': program.name } },
+            { session, arrayFilters: [{ 'old.program': originalName }] }
+        );
+        renamed.updated.rollovers = rollovers.modifiedCount;
+    });
+
     res.status(200).json({
         success: true,
         data: program,
+        renamed,
     });
 });
 
@@ -84,19 +212,84 @@ const deleteProgram = asyncHandler(async (req, res, next) => {
         res.status(404);
         return next(new Error(`Program not found with ID: ${req.params.id}`));
     }
-    
-    // Optional: Add logic here to check if any students or schedules are using this program before deleting.
-    // For now, we will allow deletion.
+
+    // Deleting a program that is still referenced would orphan those documents; archive it instead
+    const dependencies = await countProgramReferences(program.name);
+    const total = Object.values(dependencies).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+        return res.status(409).json({
+            success: false,
+            error: { message: `Program '${program.name}' is still in use (${dependencies.students} student(s), ${dependencies.schedules} schedule entr${dependencies.schedules === 1 ? 'y' : 'ies'}, ${dependencies.mealRecords} meal record(s)). Archive it instead, or move these to another program first.` },
+            dependencies,
+        });
+    }
 
     await program.deleteOne();
 
     res.status(200).json({ success: true, data: {} });
 });
 
+// Finds a program by the :id route parameter, or sends the 400/404 and returns null
+const findProgramOrFail = async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        next(new Error('Invalid program ID format.'));
+        return null;
+    }
+    const program = await Program.findById(req.params.id);
+    if (!program) {
+        res.status(404);
+        next(new Error(`Program not found with ID: ${req.params.id}`));
+        return null;
+    }
+    return program;
+};
+
+// @desc    Archive a program: hidden from dropdowns and new assignments, history kept
+// @route   POST /api/v1/programs/:id/archive
+// @access  Private (Admin Only)
+const archiveProgram = asyncHandler(async (req, res, next) => {
+    const program = await findProgramOrFail(req, res, next);
+    if (!program) return;
+
+    if (!program.isArchived) {
+        program.isArchived = true;
+        program.archivedAt = new Date();
+        await program.save();
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Program '${program.name}' has been archived.`,
+        data: program,
+        dependencies: await countProgramReferences(program.name),
+    });
+});
+
+// @desc    Restore an archived program
+// @route   POST /api/v1/programs/:id/restore
+// @access  Private (Admin Only)
+const restoreProgram = asyncHandler(async (req, res, next) => {
+    const program = await findProgramOrFail(req, res, next);
+    if (!program) return;
+
+    program.isArchived = false;
+    program.archivedAt = undefined;
+    await program.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Program '${program.name}' has been restored.`,
+        data: program,
+    });
+});
+
 
 module.exports = {
     getPrograms,
     addProgram,
     updateProgram,
     deleteProgram,
+    archiveProgram,
+    restoreProgram,
 };
\ No newline at end of file
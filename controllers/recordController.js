@@ -1,8 +1,11 @@
 const MealRecord = require('../models/MealRecordModel');
 const Student = require('../models/StudentModel');
-const Schedule = require('../models/ScheduleModel');
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
+const { campusTimeToDate, parseCampusDate } = require('../utils/campusTime');
+const { getServiceDate, getServiceDayEnd } = require('../utils/serviceDay');
+const { getEligibleStudentsOnDate } = require('../utils/eligibilityRules');
+const { MEAL_SERVICES } = require('../utils/mealServices');
 
 const getMealRecords = asyncHandler(async (req, res, next) => {
     let query = {};
@@ -12,11 +15,14 @@ const getMealRecords = asyncHandler(async (req, res, next) => {
     if (req.query.month) {
         const [year, month] = req.query.month.split('-').map(Number);
         if (year && month) {
-            const startDate = new Date(Date.UTC(year, month - 1, 1));
-            const endDate = new Date(Date.UTC(year, month, 0, 23, 59, 59, 999));
+            const startDate = campusTimeToDate(year, month, 1);
+            const endDate = new Date(campusTimeToDate(year, month + 1, 1).getTime() - 1);
             query.dateChecked = { $gte: startDate, $lte: endDate };
         }
     }
+    if (req.query.mealService) {
+        query.mealService = req.query.mealService.toUpperCase();
+    }
     
     // --- THIS IS THE FIX ---
     // We only care about records where the student was actually eligible.
@@ -115,45 +121,59 @@ const generateUnclaimedRecords = asyncHandler(async (req, res, next) => {
         return next(new Error('A specific date (YYYY-MM-DD) is required in the request body.'));
     }
 
-    const targetDate = new Date(date);
-    if (isNaN(targetDate.getTime())) {
+    const targetDate = parseCampusDate(date);
+    if (!targetDate) {
         res.status(400);
         return next(new Error('Invalid date format. Please use YYYY-MM-DD.'));
     }
 
-    const startDate = new Date(targetDate);
-    startDate.setUTCHours(0, 0, 0, 0);
-    const endDate = new Date(targetDate);
-    endDate.setUTCHours(23, 59, 59, 999);
-    
-    const dayOfWeek = startDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
-    const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-    if (!validDays.includes(dayOfWeek)) {
-        res.status(400);
-        return next(new Error('Invalid day calculated from the provided date.'));
-    }
-
-    const eligibleSchedules = await Schedule.find({ dayOfWeek: dayOfWeek, isEligible: true }).select('program yearLevel');
-    if (eligibleSchedules.length === 0) {
+    const startDate = getServiceDate(targetDate);
+    const endDate = getServiceDayEnd(startDate);
+
+    // Each meal service has its own schedule, so eligibility is worked out per service
+    const eligibleByService = await Promise.all(MEAL_SERVICES.map(mealService => getEligibleStudentsOnDate(startDate, {
+        select: '_id studentIdNumber',
+        mealService,
+    })));
+    const { dayOfWeek, calendarExceptions } = eligibleByService[0];
+    if (eligibleByService.every(({ students }) => students.length === 0)) {
+        const noMealsException = calendarExceptions.find(e => e.type === 'NO_MEALS' && !e.program);
         return res.status(200).json({
             success: true,
-            message: `No programs were scheduled as eligible on ${dayOfWeek}. No records generated.`,
+            message: noMealsException
+                ? `No meal service on ${date} (${noMealsException.description}). No records generated.`
+                : `No programs were scheduled as eligible on ${dayOfWeek}. No records generated.`,
             createdCount: 0,
         });
     }
-    const eligibilityCriteria = eligibleSchedules.map(s => ({ program: s.program, yearLevel: s.yearLevel }));
-    const allEligibleStudents = await Student.find({ $or: eligibilityCriteria }).select('_id studentIdNumber program yearLevel');
-
-    const studentsWithRecords = await MealRecord.find({
-        dateChecked: { $gte: startDate, $lte: endDate }
-    }).distinct('student');
-    const studentsWithRecordsSet = new Set(studentsWithRecords.map(id => id.toString()));
 
-    const studentsToMarkAsUnclaimed = allEligibleStudents.filter(student =>
-        !studentsWithRecordsSet.has(student._id.toString())
-    );
+    // Only a claim (or an earlier unclaimed record) of the same service accounts for a student; cancelled mis-scans do not
+    const existingRecords = await MealRecord.find({
+        dateChecked: { $gte: startDate, $lte: endDate },
+        status: { $in: ['CLAIMED', 'ELIGIBLE_BUT_NOT_CLAIMED'] }
+    }).select('student mealService').lean();
+    const accountedFor = new Set(existingRecords.map(r => `${r.student}|${r.mealService}`));
+
+    const recordsToInsert = [];
+    const createdByService = {};
+    eligibleByService.forEach(({ students }, index) => {
+        const mealService = MEAL_SERVICES[index];
+        const unclaimed = students.filter(student => !accountedFor.has(`${student._id}|${mealService}`));
+        createdByService[mealService] = unclaimed.length;
+        unclaimed.forEach(student => recordsToInsert.push({
+            student: student._id,
+            studentIdNumber: student.studentIdNumber,
+            programAtTimeOfRecord: student.program,
+            yearLevelAtTimeOfRecord: student.yearLevel,
+            sectionAtTimeOfRecord: student.section || null,
+            dateChecked: startDate,
+            serviceDate: startDate,
+            mealService,
+            status: 'ELIGIBLE_BUT_NOT_CLAIMED',
+        }));
+    });
 
-    if (studentsToMarkAsUnclaimed.length === 0) {
+    if (recordsToInsert.length === 0) {
         return res.status(200).json({
             success: true,
             message: 'All eligible students for the specified date have been accounted for. No new records generated.',
@@ -161,21 +181,13 @@ const generateUnclaimedRecords = asyncHandler(async (req, res, next) => {
         });
     }
 
-    const recordsToInsert = studentsToMarkAsUnclaimed.map(student => ({
-        student: student._id,
-        studentIdNumber: student.studentIdNumber,
-        programAtTimeOfRecord: student.program,
-        yearLevelAtTimeOfRecord: student.yearLevel,
-        dateChecked: startDate,
-        status: 'ELIGIBLE_BUT_NOT_CLAIMED',
-    }));
-
     const result = await MealRecord.insertMany(recordsToInsert);
 
     res.status(201).json({
         success: true,
         message: `Successfully generated ${result.length} 'unclaimed' meal records for ${date}.`,
         createdCount: result.length,
+        createdByService,
     });
 });
 
@@ -0,0 +1,260 @@
+const SchoolYearRollover = require('../models/SchoolYearRolloverModel');
+const Student = require('../models/StudentModel');
+const StudentChange = require('../models/StudentChangeModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { loadProgramsByName } = require('../utils/programRules');
+const { ACTIVE_STUDENT_FILTER, DEFAULT_ENROLLMENT_STATUS } = require('../utils/enrollment');
+const { buildStudentChange } = require('../utils/studentHistory');
+
+const ROLLOVER_BATCH_SIZE = 500;
+
+const normalizeIdList = (list) => [...new Set((list || []).map(id => String(id).trim()).filter(Boolean))];
+
+// Works out what closing the school year does to every active student: students below their
+// program's final year move up one year, students in it graduate, and excluded students stay where they are.
+// Returns the changes (also the undo snapshot), counts per program and excluded IDs that match no student.
+const planRollover = async (repeaters, onLeave) => {
+    const programsByName = await loadProgramsByName();
+    const students = await Student.find({ ...ACTIVE_STUDENT_FILTER, graduatedAt: null })
+        .select('studentIdNumber program yearLevel enrollmentStatus')
+        .sort({ program: 1, yearLevel: 1, studentIdNumber: 1 })
+        .lean();
+    const exclusions = new Map([
+        ...repeaters.map(id => [id, 'repeaters']),
+        ...onLeave.map(id => [id, 'onLeave']),
+    ]);
+
+    const changes = [];
+    const byProgram = new Map();
+    const seenIds = new Set();
+    for (const student of students) {
+        seenIds.add(student.studentIdNumber);
+        if (!byProgram.has(student.program)) {
+            byProgram.set(student.program, { program: student.program, promoted: 0, graduated: 0, repeaters: 0, onLeave: 0, skipped: 0 });
+        }
+        const counts = byProgram.get(student.program);
+        const program = programsByName.get(student.program);
+
+        if (exclusions.has(student.studentIdNumber)) {
+            counts[exclusions.get(student.studentIdNumber)]++;
+        } else if (!program) {
+            counts.skipped++; // Program no longer exists; left for an admin to fix
+        } else {
+            const graduates = student.yearLevel >= program.maxYearLevel;
+            changes.push({
+                student: student._id,
+                studentIdNumber: student.studentIdNumber,
+                program: student.program,
+                action: graduates ? 'GRADUATED' : 'PROMOTED',
+                fromYearLevel: student.yearLevel,
+                toYearLevel: graduates ? student.yearLevel : student.yearLevel + 1,
+                fromEnrollmentStatus: student.enrollmentStatus || null,
+            });
+            counts[graduates ? 'graduated' : 'promoted']++;
+        }
+    }
+
+    const programs = [...byProgram.values()];
+    const summary = programs.reduce((totals, counts) => {
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+        return totals;
+    }, { promoted: 0, graduated: 0, repeaters: 0, onLeave: 0, skipped: 0 });
+
+    return {
+        changes,
+        summary,
+        byProgram: programs,
+        unknownExclusions: [...exclusions.keys()].filter(id => !seenIds.has(id)),
+    };
+};
+
+// @desc    Get past school-year rollovers (without their undo snapshots)
+// @route   GET /api/v1/rollovers
+// @access  Private (Admin Only)
+const getRollovers = asyncHandler(async (req, res) => {
+    const rollovers = await SchoolYearRollover.find().sort({ performedAt: -1 });
+    res.status(200).json({
+        success: true,
+        count: rollovers.length,
+        data: rollovers,
+    });
+});
+
+// @desc    Close a school year: promote students one year and graduate final-year students (?dryRun=true to preview)
+// @route   POST /api/v1/rollovers
+// @access  Private (Admin Only)
+const runRollover = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const { schoolYear } = req.body;
+    const [startYear, endYear] = schoolYear.split('-').map(Number);
+    if (endYear !== startYear + 1) {
+        res.status(400);
+        return next(new Error('School year must span two consecutive years, e.g. 2025-2026.'));
+    }
+    const repeaters = normalizeIdList(req.body.repeaters);
+    const onLeave = normalizeIdList(req.body.onLeave);
+    const inBothLists = repeaters.filter(id => onLeave.includes(id));
+    if (inBothLists.length > 0) {
+        res.status(400);
+        return next(new Error(`Student(s) listed as both repeaters and on leave: ${inBothLists.join(', ')}.`));
+    }
+
+    const existing = await SchoolYearRollover.findOne({ schoolYear, undoneAt: null });
+    if (existing) {
+        res.status(400);
+        return next(new Error(`School year ${schoolYear} was already rolled over on ${existing.performedAt.toISOString()}. Undo that rollover first to run it again.`));
+    }
+
+    const { changes, summary, byProgram, unknownExclusions } = await planRollover(repeaters, onLeave);
+
+    if (dryRun) {
+        return res.status(200).json({ success: true, dryRun: true, schoolYear, summary, byProgram, unknownExclusions });
+    }
+    if (unknownExclusions.length > 0) {
+        res.status(400);
+        return next(new Error(`Excluded student ID(s) not found among current students: ${unknownExclusions.join(', ')}. Nothing was changed.`));
+    }
+
+    // The snapshot and the student updates are written together, so a failed run leaves nothing half-promoted
+    const performedAt = new Date();
+    let rollover;
+    await mongoose.connection.transaction(async (session) => {
+        [rollover] = await SchoolYearRollover.create([{
+            schoolYear,
+            performedAt,
+            performedBy: req.admin._id,
+            repeaters,
+            onLeave,
+            summary: { promoted: summary.promoted, graduated: summary.graduated, excluded: summary.repeaters + summary.onLeave },
+            changes,
+        }], { session });
+
+        const graduation = { status: 'GRADUATED', changedAt: performedAt, changedBy: req.admin._id, reason: `School year ${schoolYear} rollover` };
+        const writes = changes.map(change => ({
+            updateOne: {
+                filter: { _id: change.student },
+                update: change.action === 'GRADUATED'
+                    ? { $set: { graduatedAt: performedAt, enrollmentStatus: 'GRADUATED' }, $push: { enrollmentHistory: graduation } }
+                    : { $set: { yearLevel: change.toYearLevel } },
+            },
+        }));
+        const changeLog = changes.map(change => buildStudentChange(
+            { _id: change.student, studentIdNumber: change.studentIdNumber },
+            change.action === 'GRADUATED'
+                ? [{ field: 'enrollmentStatus', from: change.fromEnrollmentStatus, to: 'GRADUATED' }]
+                : [{ field: 'yearLevel', from: change.fromYearLevel, to: change.toYearLevel }],
+            { source: 'ROLLOVER', changedBy: req.admin._id, changedAt: performedAt }
+        ));
+        for (let i = 0; i < writes.length; i += ROLLOVER_BATCH_SIZE) {
+            await Student.bulkWrite(writes.slice(i, i + ROLLOVER_BATCH_SIZE), { session });
+            await StudentChange.insertMany(changeLog.slice(i, i + ROLLOVER_BATCH_SIZE), { session });
+        }
+    });
+
+    const data = rollover.toObject();
+    delete data.changes; // The snapshot can be thousands of entries; it is only needed for undo
+    res.status(201).json({
+        success: true,
+        message: `School year ${schoolYear} closed: ${summary.promoted} student(s) promoted, ${summary.graduated} graduated, ${summary.repeaters + summary.onLeave} excluded.`,
+        summary,
+        byProgram,
+        data,
+    });
+});
+
+// @desc    Undo the most recent school-year rollover from its snapshot
+// @route   POST /api/v1/rollovers/:id/undo
+// @access  Private (Admin Only)
+const undoRollover = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error('Invalid rollover ID format.'));
+    }
+
+    const rollover = await SchoolYearRollover.findById(req.params.id).select('+changes');
+    if (!rollover) {
+        res.status(404);
+        return next(new Error(`Rollover not found with ID: ${req.params.id}`));
+    }
+    if (rollover.undoneAt) {
+        res.status(400);
+        return next(new Error(`The ${rollover.schoolYear} rollover has already been undone.`));
+    }
+    const later = await SchoolYearRollover.findOne({ undoneAt: null, performedAt: { $gt: rollover.performedAt } });
+    if (later) {
+        res.status(400);
+        return next(new Error(`Undo the later ${later.schoolYear} rollover first.`));
+    }
+
+    // Only students still as the rollover left them are restored; later edits are kept and reported as skipped
+    let restored = 0;
+    await mongoose.connection.transaction(async (session) => {
+        const undoneAt = new Date();
+        const currentStudents = await Student.find({ _id: { $in: rollover.changes.map(change => change.student) } })
+            .select('yearLevel graduatedAt enrollmentStatus')
+            .session(session)
+            .lean();
+        const currentById = new Map(currentStudents.map(student => [String(student._id), student]));
+        const restorable = rollover.changes.filter(change => {
+            const current = currentById.get(String(change.student));
+            if (!current) return false;
+            return change.action === 'GRADUATED'
+                ? current.enrollmentStatus === 'GRADUATED' && current.graduatedAt && current.graduatedAt.getTime() === rollover.performedAt.getTime()
+                : current.yearLevel === change.toYearLevel && !current.graduatedAt;
+        });
+
+        // Graduates get back the enrollment status they had before the run
+        const reactivation = (change) => ({
+            status: change.fromEnrollmentStatus || DEFAULT_ENROLLMENT_STATUS,
+            changedAt: undoneAt,
+            changedBy: req.admin._id,
+            reason: `School year ${rollover.schoolYear} rollover undone`,
+        });
+        const writes = restorable.map(change => ({
+            updateOne: {
+                filter: { _id: change.student },
+                update: change.action === 'GRADUATED'
+                    ? { $set: { graduatedAt: null, enrollmentStatus: change.fromEnrollmentStatus }, $push: { enrollmentHistory: reactivation(change) } }
+                    : { $set: { yearLevel: change.fromYearLevel } },
+            },
+        }));
+        const changeLog = restorable.map(change => buildStudentChange(
+            { _id: change.student, studentIdNumber: change.studentIdNumber },
+            change.action === 'GRADUATED'
+                ? [{ field: 'enrollmentStatus', from: 'GRADUATED', to: change.fromEnrollmentStatus }]
+                : [{ field: 'yearLevel', from: change.toYearLevel, to: change.fromYearLevel }],
+            { source: 'ROLLOVER_UNDO', changedBy: req.admin._id, changedAt: undoneAt }
+        ));
+        for (let i = 0; i < writes.length; i += ROLLOVER_BATCH_SIZE) {
+            await Student.bulkWrite(writes.slice(i, i + ROLLOVER_BATCH_SIZE), { session });
+            await StudentChange.insertMany(changeLog.slice(i, i + ROLLOVER_BATCH_SIZE), { session });
+        }
+        restored = restorable.length;
+
+        rollover.undoneAt = undoneAt;
+        rollover.undoneBy = req.admin._id;
+        await rollover.save({ session });
+    });
+
+    const skipped = rollover.changes.length - restored;
+    res.status(200).json({
+        success: true,
+        message: `The ${rollover.schoolYear} rollover has been undone: ${restored} student(s) restored${skipped > 0 ? `, ${skipped} skipped because they were changed or deleted since` : ''}.`,
+        restored,
+        skipped,
+    });
+});
+
+module.exports = {
+    getRollovers,
+    runRollover,
+    undoRollover,
+};
@@ -1,16 +1,57 @@
 const Schedule = require('../models/ScheduleModel');
-const Program = require('../models/ProgramModel');
+const ScheduleVersion = require('../models/ScheduleVersionModel');
 const asyncHandler = require('express-async-handler');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const {
+    parseCampusDate,
+    startOfCampusDay,
+    getCampusDateParts,
+    campusTimeToDate,
+    addCampusDays,
+} = require('../utils/campusTime');
+const { getServiceDate } = require('../utils/serviceDay');
+const { getScheduleVersionIdOn } = require('../utils/scheduleVersions');
+const { getCalendarExceptions, getEffectiveDayOfWeek } = require('../utils/academicCalendar');
+const { getStudentGroupCounts, calculateWeeklyAllotments } = require('../utils/allotments');
+const { MEAL_SERVICES, DEFAULT_MEAL_SERVICE, describeMealService } = require('../utils/mealServices');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { getYearLevelError, loadProgramsByName, validateProgramYearLevel } = require('../utils/programRules');
 
-// Helper function for program validation
-const validateProgramExists = async (programName) => {
-    const program = await Program.findOne({ name: programName.toUpperCase() });
-    if (!program) {
-        throw new Error(`Program '${programName.toUpperCase()}' does not exist in the database.`);
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// 'base' selects the entries without a version; anything else must be an existing version ID
+const isKnownScheduleVersion = async (version) => {
+    if (version === 'base') return true;
+    return mongoose.Types.ObjectId.isValid(version) && !!(await ScheduleVersion.exists({ _id: version }));
+};
+
+// Versions whose end date has passed are frozen, so past eligibility and allotments stay reproducible.
+// Returns the error message when the version can no longer be edited, otherwise null.
+const getClosedVersionError = async (versionId) => {
+    if (!versionId) return null;
+    const closedVersion = await ScheduleVersion.findOne({ _id: versionId, effectiveTo: { $lt: getServiceDate() } });
+    return closedVersion
+        ? `Schedule version '${closedVersion.name}' ended on ${closedVersion.effectiveToLocal} and can no longer be edited. Create a new schedule version instead.`
+        : null;
+};
+
+// Resolves the version to show or edit: an explicit ID or 'base', the one in force on a date, or the one in force today.
+// Pass forEditing to refuse closed versions. Returns { versionId } or { status, message } when the request is invalid.
+const resolveRequestedVersion = async (version, date, { forEditing = false } = {}) => {
+    if (version) {
+        if (!(await isKnownScheduleVersion(version))) {
+            return { status: 404, message: `Schedule version not found with ID: ${version}` };
+        }
+        const versionId = version === 'base' ? null : version;
+        const closedVersionError = forEditing ? await getClosedVersionError(versionId) : null;
+        return closedVersionError ? { status: 409, message: closedVersionError } : { versionId };
     }
-    return true;
+    const parsedDate = date ? parseCampusDate(date) : null;
+    if (date && !parsedDate) {
+        return { status: 400, message: 'Invalid date format. Please use YYYY-MM-DD.' };
+    }
+    return { versionId: await getScheduleVersionIdOn(parsedDate ? startOfCampusDay(parsedDate) : getServiceDate()) };
 };
 
 const addScheduleEntry = asyncHandler(async (req, res, next) => {
@@ -20,21 +61,30 @@ const addScheduleEntry = asyncHandler(async (req, res, next) => {
         return next(new Error(errors.array().map(err => err.msg).join(', ')));
     }
 
-    const { program, yearLevel, scheduleDays } = req.body;
-    await validateProgramExists(program);
-
-    if (program.toUpperCase() === 'ACT' && parseInt(yearLevel, 10) > 2) {
+    const { program, yearLevel, section, scheduleDays, version, mealService = DEFAULT_MEAL_SERVICE } = req.body;
+    // The program must exist, not be archived and offer this year level
+    const programError = await validateProgramYearLevel(program, yearLevel, { allowArchived: false });
+    if (programError) {
         res.status(400);
-        return next(new Error('ACT program schedule is only available for Year 1 and 2.'));
+        return next(new Error(programError));
     }
 
+    // Entries are written to the requested version, or to the one in force today
+    const { versionId, status, message } = await resolveRequestedVersion(version, null, { forEditing: true });
+    if (status) {
+        res.status(status);
+        return next(new Error(message));
+    }
+
+    // Without a section the entries apply to the whole cohort
+    const targetSection = section ? section.toUpperCase() : null;
     const createdEntries = [];
     const errorEntries = [];
 
     for (const daySchedule of scheduleDays) {
         try {
             const entry = await Schedule.findOneAndUpdate(
-                { program: program.toUpperCase(), yearLevel: parseInt(yearLevel, 10), dayOfWeek: daySchedule.dayOfWeek },
+                { version: versionId, program: program.toUpperCase(), yearLevel: parseInt(yearLevel, 10), section: targetSection, mealService, dayOfWeek: daySchedule.dayOfWeek },
                 { $set: { isEligible: daySchedule.isEligible, program: program.toUpperCase(), yearLevel: parseInt(yearLevel, 10) } },
                 { new: true, upsert: true, runValidators: true }
             );
@@ -65,13 +115,32 @@ const getSchedules = asyncHandler(async (req, res, next) => {
     if (specificProgram) {
         query.program = specificProgram;
     }
+    if (req.query.yearLevel) {
+        query.yearLevel = parseInt(req.query.yearLevel, 10);
+    }
+    // ?section=B returns that section's rules; ?section=none returns only cohort-wide rules
+    if (req.query.section) {
+        query.section = req.query.section.toLowerCase() === 'none' ? null : req.query.section.toUpperCase();
+    }
+    if (req.query.mealService) {
+        query.mealService = req.query.mealService.toUpperCase();
+    }
+
+    // Show the requested version, the one in force on ?date, or the one in force today
+    const { versionId, status, message } = await resolveRequestedVersion(req.query.version, req.query.date);
+    if (status) {
+        res.status(status);
+        return next(new Error(message));
+    }
+    query.version = versionId;
 
     // Fetch and sort by year level first, then program. This handles your sorting requirement.
-    const schedulesFromDB = await Schedule.find(query).sort({ yearLevel: 1, program: 1, dayOfWeek: 1 });
+    const schedulesFromDB = await Schedule.find(query).sort({ yearLevel: 1, program: 1, section: 1, mealService: 1, dayOfWeek: 1 });
 
     res.status(200).json({
         success: true,
         count: schedulesFromDB.length,
+        version: query.version,
         data: schedulesFromDB,
     });
 });
@@ -86,16 +155,23 @@ const updateScheduleEntry = asyncHandler(async (req, res, next) => {
         res.status(400);
         return next(new Error(`Invalid schedule entry ID format: ${req.params.id}`));
     }
+    const existingEntry = await Schedule.findById(req.params.id).select('version');
+    if (!existingEntry) {
+        res.status(404);
+        return next(new Error(`Schedule entry not found with ID: ${req.params.id}`));
+    }
+    const closedVersionError = await getClosedVersionError(existingEntry.version);
+    if (closedVersionError) {
+        res.status(409);
+        return next(new Error(closedVersionError));
+    }
+
     const { isEligible } = req.body;
     const scheduleEntry = await Schedule.findByIdAndUpdate(
         req.params.id,
         { isEligible: isEligible },
         { new: true, runValidators: true }
     );
-    if (!scheduleEntry) {
-        res.status(404);
-        return next(new Error(`Schedule entry not found with ID: ${req.params.id}`));
-    }
     res.status(200).json({
         success: true,
         message: 'Schedule entry updated successfully',
@@ -113,17 +189,546 @@ const deleteScheduleEntry = asyncHandler(async (req, res, next) => {
         res.status(404);
         return next(new Error(`Schedule entry not found with ID: ${req.params.id}`));
     }
+    const closedVersionError = await getClosedVersionError(scheduleEntry.version);
+    if (closedVersionError) {
+        res.status(409);
+        return next(new Error(closedVersionError));
+    }
     await scheduleEntry.deleteOne();
     res.status(200).json({
         success: true,
-        message: `Schedule entry for ${scheduleEntry.program} Year ${scheduleEntry.yearLevel} on ${scheduleEntry.dayOfWeek} deleted successfully.`,
+        message: `${describeMealService(scheduleEntry.mealService)} schedule entry for ${scheduleEntry.program} Year ${scheduleEntry.yearLevel}${scheduleEntry.section ? ` Section ${scheduleEntry.section}` : ''} on ${scheduleEntry.dayOfWeek} deleted successfully.`,
         data: {},
     });
 });
 
+// --- WEEKLY MATRIX (whole grid at once) ---
+
+// The matrix and impact analysis work on one meal service at a time (lunch unless another is asked for).
+// Returns the service, or null when the value is not a known service.
+const parseMealServiceParam = (value) => {
+    const mealService = value ? String(value).toUpperCase() : DEFAULT_MEAL_SERVICE;
+    return MEAL_SERVICES.includes(mealService) ? mealService : null;
+};
+
+const getMatrixRowKey = (program, yearLevel, section) => `${program}|${yearLevel}|${section || ''}`;
+const getMatrixCellKey = (program, yearLevel, section, dayOfWeek) => `${getMatrixRowKey(program, yearLevel, section)}|${dayOfWeek}`;
+
+// Turns schedule entries into rows of { program, yearLevel, section, days: { Monday: true|false|null, ... } }
+const buildMatrixRows = (entries) => {
+    const rows = new Map();
+    for (const entry of entries) {
+        const rowKey = getMatrixRowKey(entry.program, entry.yearLevel, entry.section);
+        if (!rows.has(rowKey)) {
+            rows.set(rowKey, {
+                program: entry.program,
+                yearLevel: entry.yearLevel,
+                section: entry.section || null,
+                days: Object.fromEntries(DAYS_OF_WEEK.map(day => [day, null])),
+            });
+        }
+        rows.get(rowKey).days[entry.dayOfWeek] = entry.isEligible;
+    }
+    return [...rows.values()];
+};
+
+// Normalizes the program/year/section of a submitted row or change and checks it against the known programs
+// and their year levels. Returns the cohort with a label for messages, and an error message when it is invalid.
+const parseCohort = (raw, programsByName) => {
+    const program = typeof raw.program === 'string' ? raw.program.trim().toUpperCase() : '';
+    const yearLevel = parseInt(raw.yearLevel, 10);
+    const section = typeof raw.section === 'string' && raw.section.trim() ? raw.section.trim().toUpperCase() : null;
+    const label = `${program || '?'} Year ${raw.yearLevel}${section ? ` Section ${section}` : ''}`;
+
+    let error = null;
+    if (!programsByName.has(program)) error = `Program '${program}' does not exist in the database.`;
+    else {
+        const yearLevelError = getYearLevelError(programsByName.get(program), yearLevel);
+        if (yearLevelError) error = `${label}: ${yearLevelError}`;
+    }
+    return { program, yearLevel, section, label, error };
+};
+
+// Validates a submitted grid. Every problem is collected so the admin can fix them all at once.
+const parseMatrixRows = async (rows) => {
+    const programsByName = await loadProgramsByName();
+    const cells = new Map();
+    const rowIndexes = new Map(); // Row key -> index of the row in the submitted grid
+    const invalidCells = [];
+
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object') {
+            return invalidCells.push({ row: index, reason: 'Each row must be an object with program, yearLevel and days.' });
+        }
+        const { program, yearLevel, section, label, error } = parseCohort(row, programsByName);
+        const reject = (reason, dayOfWeek) => invalidCells.push({ row: index, program, yearLevel: row.yearLevel, section, dayOfWeek, reason });
+
+        if (error) return reject(error);
+        if (!row.days || typeof row.days !== 'object') return reject(`${label}: days must be an object keyed by day of the week.`);
+
+        const rowKey = getMatrixRowKey(program, yearLevel, section);
+        if (rowIndexes.has(rowKey)) return reject(`${label} appears more than once.`);
+        rowIndexes.set(rowKey, index);
+
+        for (const [dayOfWeek, isEligible] of Object.entries(row.days)) {
+            if (!DAYS_OF_WEEK.includes(dayOfWeek)) {
+                reject(`${label}: '${dayOfWeek}' is not a valid day of the week.`, dayOfWeek);
+            } else if (isEligible !== null && typeof isEligible !== 'boolean') {
+                reject(`${label}: ${dayOfWeek} must be true, false or null.`, dayOfWeek);
+            } else if (isEligible !== null) {
+                cells.set(getMatrixCellKey(program, yearLevel, section, dayOfWeek), { program, yearLevel, section, dayOfWeek, isEligible });
+            }
+        }
+    });
+
+    return { cells, invalidCells, programsByName, rowIndexes };
+};
+
+// Cells a diff would add or switch on for archived programs, which cannot be given new schedule entries
+// (like addScheduleEntry). Entries they already have can still be switched off or removed.
+const findArchivedProgramCells = (diff, programsByName, rowIndexes) => {
+    return [...diff.added, ...diff.flipped.filter(cell => cell.to)]
+        .filter(cell => programsByName.get(cell.program).isArchived)
+        .map(({ program, yearLevel, section, dayOfWeek }) => ({
+            row: rowIndexes.get(getMatrixRowKey(program, yearLevel, section)),
+            program,
+            yearLevel,
+            section,
+            dayOfWeek,
+            reason: `Program '${program}' is archived and cannot be assigned.`,
+        }));
+};
+
+// Compares the stored entries of a version with a full replacement grid
+const diffMatrix = (currentEntries, cells) => {
+    const added = [];
+    const removed = [];
+    const flipped = [];
+    let unchanged = 0;
+
+    const currentByCell = new Map(currentEntries.map(e => [getMatrixCellKey(e.program, e.yearLevel, e.section, e.dayOfWeek), e]));
+    cells.forEach((cell, cellKey) => {
+        const current = currentByCell.get(cellKey);
+        if (!current) added.push(cell);
+        else if (current.isEligible !== cell.isEligible) flipped.push({ ...cell, _id: current._id, from: current.isEligible, to: cell.isEligible });
+        else unchanged++;
+    });
+    currentByCell.forEach((current, cellKey) => {
+        if (!cells.has(cellKey)) {
+            const { _id, program, yearLevel, section, dayOfWeek, isEligible } = current;
+            removed.push({ _id, program, yearLevel, section: section || null, dayOfWeek, isEligible });
+        }
+    });
+
+    return { added, removed, flipped, unchanged };
+};
+
+const summarizeDiff = (diff) => ({
+    added: diff.added.length,
+    removed: diff.removed.length,
+    flipped: diff.flipped.length,
+    unchanged: diff.unchanged,
+});
+
+// Shared by preview and apply: resolves the version, validates the grid and computes the diff.
+// Sends the error response itself and returns null when the request cannot go ahead.
+const prepareMatrixChange = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        next(new Error(errors.array().map(err => err.msg).join(', ')));
+        return null;
+    }
+
+    const { versionId, status, message } = await resolveRequestedVersion(req.body.version, null, { forEditing: true });
+    if (status) {
+        res.status(status);
+        next(new Error(message));
+        return null;
+    }
+
+    const mealService = parseMealServiceParam(req.body.mealService);
+    const { cells, invalidCells, programsByName, rowIndexes } = await parseMatrixRows(req.body.rows);
+    if (invalidCells.length === 0) {
+        const currentEntries = await Schedule.find({ version: versionId, mealService }).lean();
+        const diff = diffMatrix(currentEntries, cells);
+        invalidCells.push(...findArchivedProgramCells(diff, programsByName, rowIndexes));
+        if (invalidCells.length === 0) return { versionId, mealService, diff };
+    }
+
+    res.status(400).json({
+        success: false,
+        error: { message: `The schedule matrix has ${invalidCells.length} invalid cell(s). Nothing was changed.` },
+        invalidCells,
+    });
+    return null;
+};
+
+// @desc    Get the whole program x year x day schedule grid of one meal service
+// @route   GET /api/v1/schedules/matrix
+// @access  Private (Admin Only)
+const getScheduleMatrix = asyncHandler(async (req, res, next) => {
+    const mealService = parseMealServiceParam(req.query.mealService);
+    if (!mealService) {
+        res.status(400);
+        return next(new Error(`Meal service must be one of: ${MEAL_SERVICES.join(', ')}.`));
+    }
+    const { versionId, status, message } = await resolveRequestedVersion(req.query.version, req.query.date);
+    if (status) {
+        res.status(status);
+        return next(new Error(message));
+    }
+
+    const entries = await Schedule.find({ version: versionId, mealService })
+        .sort({ program: 1, yearLevel: 1, section: 1 })
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        version: versionId,
+        mealService,
+        days: DAYS_OF_WEEK,
+        rows: buildMatrixRows(entries),
+    });
+});
+
+// @desc    Preview the changes a full replacement grid would make
+// @route   POST /api/v1/schedules/matrix/preview
+// @access  Private (Admin Only)
+const previewScheduleMatrix = asyncHandler(async (req, res, next) => {
+    const change = await prepareMatrixChange(req, res, next);
+    if (!change) return;
+
+    res.status(200).json({
+        success: true,
+        version: change.versionId,
+        mealService: change.mealService,
+        summary: summarizeDiff(change.diff),
+        diff: change.diff,
+    });
+});
+
+// Writes a matrix diff in a single transaction, so a failed write leaves the schedule unchanged
+const applyMatrixDiff = async (versionId, mealService, diff) => {
+    await mongoose.connection.transaction(async (session) => {
+        if (diff.removed.length > 0) {
+            await Schedule.deleteMany({ _id: { $in: diff.removed.map(cell => cell._id) } }, { session });
+        }
+        if (diff.flipped.length > 0) {
+            await Schedule.bulkWrite(diff.flipped.map(cell => ({
+                updateOne: { filter: { _id: cell._id }, update: { $set: { isEligible: cell.to } } },
+            })), { session });
+        }
+        if (diff.added.length > 0) {
+            await Schedule.insertMany(diff.added.map(cell => ({ ...cell, version: versionId, mealService })), { session });
+        }
+    });
+};
+
+// @desc    Replace the whole schedule grid in a single transaction
+// @route   PUT /api/v1/schedules/matrix
+// @access  Private (Admin Only)
+const applyScheduleMatrix = asyncHandler(async (req, res, next) => {
+    const change = await prepareMatrixChange(req, res, next);
+    if (!change) return;
+    const { versionId, mealService, diff } = change;
+
+    await applyMatrixDiff(versionId, mealService, diff);
+
+    res.status(200).json({
+        success: true,
+        message: `${describeMealService(mealService)} schedule matrix applied: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.flipped.length} flipped.`,
+        version: versionId,
+        mealService,
+        summary: summarizeDiff(diff),
+        diff,
+    });
+});
+
+// --- CSV IMPORT / EXPORT (spreadsheet planning) ---
+
+const CSV_COHORT_COLUMNS = ['program', 'yearLevel', 'section'];
+const CSV_CELL_VALUES = { Y: true, YES: true, TRUE: true, 1: true, N: false, NO: false, FALSE: false, 0: false };
+
+// @desc    Download one meal service's schedule grid as CSV (one row per program/year/section, one column per day)
+// @route   GET /api/v1/schedules/export
+// @access  Private (Admin Only)
+const exportScheduleCsv = asyncHandler(async (req, res, next) => {
+    const mealService = parseMealServiceParam(req.query.mealService);
+    if (!mealService) {
+        res.status(400);
+        return next(new Error(`Meal service must be one of: ${MEAL_SERVICES.join(', ')}.`));
+    }
+    const { versionId, status, message } = await resolveRequestedVersion(req.query.version, req.query.date);
+    if (status) {
+        res.status(status);
+        return next(new Error(message));
+    }
+
+    const entries = await Schedule.find({ version: versionId, mealService })
+        .sort({ program: 1, yearLevel: 1, section: 1 })
+        .lean();
+    const rows = buildMatrixRows(entries).map(row => [
+        row.program,
+        row.yearLevel,
+        row.section,
+        ...DAYS_OF_WEEK.map(day => (row.days[day] === null ? '' : row.days[day] ? 'Y' : 'N')),
+    ]);
+
+    res.attachment(`schedule-${versionId || 'base'}-${mealService.toLowerCase()}.csv`);
+    res.type('text/csv');
+    res.status(200).send(toCsv([...CSV_COHORT_COLUMNS, ...DAYS_OF_WEEK], rows));
+});
+
+// Turns CSV records into matrix rows. Cell values are Y/N (also yes/no, true/false, 1/0); blank means no entry.
+// Returns the rows with the CSV line each came from, and the problems found in the file itself.
+const parseScheduleCsv = (text) => {
+    const errors = [];
+    let records;
+    try {
+        records = parseCsv(text);
+    } catch (error) {
+        return { rows: [], lines: [], errors: [{ line: null, reason: error.message }] };
+    }
+    if (records.length === 0) {
+        return { rows: [], lines: [], errors: [{ line: null, reason: 'The CSV file is empty.' }] };
+    }
+
+    // Columns are matched by name (any case and order); section is optional
+    const header = records[0].values.map(name => name.trim().toLowerCase());
+    const columnIndex = (name) => header.indexOf(name.toLowerCase());
+    const missingColumns = ['program', 'yearLevel', ...DAYS_OF_WEEK].filter(name => columnIndex(name) === -1);
+    const unknownColumns = records[0].values.filter(name => name.trim() !== '' &&
+        ![...CSV_COHORT_COLUMNS, ...DAYS_OF_WEEK].some(known => known.toLowerCase() === name.trim().toLowerCase()));
+    if (missingColumns.length > 0 || unknownColumns.length > 0) {
+        const problems = [];
+        if (missingColumns.length > 0) problems.push(`missing column(s): ${missingColumns.join(', ')}`);
+        if (unknownColumns.length > 0) problems.push(`unknown column(s): ${unknownColumns.join(', ')}`);
+        return { rows: [], lines: [], errors: [{ line: records[0].line, reason: `Invalid header row: ${problems.join('; ')}.` }] };
+    }
+
+    const rows = [];
+    const lines = [];
+    for (const { line, values } of records.slice(1)) {
+        const valueOf = (name) => (columnIndex(name) === -1 ? '' : (values[columnIndex(name)] || '').trim());
+        const row = { program: valueOf('program'), yearLevel: valueOf('yearLevel'), section: valueOf('section'), days: {} };
+        for (const day of DAYS_OF_WEEK) {
+            const cell = valueOf(day).toUpperCase();
+            if (cell === '') {
+                row.days[day] = null;
+            } else if (cell in CSV_CELL_VALUES) {
+                row.days[day] = CSV_CELL_VALUES[cell];
+            } else {
+                errors.push({ line, program: row.program, yearLevel: row.yearLevel, section: row.section || null, dayOfWeek: day, reason: `${day} must be Y, N or blank (got '${valueOf(day)}').` });
+                row.days[day] = null;
+            }
+        }
+        rows.push(row);
+        lines.push(line);
+    }
+
+    return { rows, lines, errors };
+};
+
+// @desc    Replace one meal service's schedule grid from a CSV file, in a single transaction
+// @route   POST /api/v1/schedules/import
+// @access  Private (Admin Only)
+const importScheduleCsv = asyncHandler(async (req, res, next) => {
+    if (typeof req.body !== 'string') {
+        res.status(400);
+        return next(new Error('Send the CSV file as the request body with Content-Type: text/csv.'));
+    }
+    const mealService = parseMealServiceParam(req.query.mealService);
+    if (!mealService) {
+        res.status(400);
+        return next(new Error(`Meal service must be one of: ${MEAL_SERVICES.join(', ')}.`));
+    }
+    const { versionId, status, message } = await resolveRequestedVersion(req.query.version, null, { forEditing: true });
+    if (status) {
+        res.status(status);
+        return next(new Error(message));
+    }
+
+    // Problems in the file and in the rows (unknown program, year limits, duplicates) are reported together
+    const { rows, lines, errors } = parseScheduleCsv(req.body);
+    const { cells, invalidCells, programsByName, rowIndexes } = await parseMatrixRows(rows);
+    let diff = null;
+    if (errors.length === 0 && invalidCells.length === 0) {
+        const currentEntries = await Schedule.find({ version: versionId, mealService }).lean();
+        diff = diffMatrix(currentEntries, cells);
+        invalidCells.push(...findArchivedProgramCells(diff, programsByName, rowIndexes));
+    }
+    invalidCells.forEach(({ row, ...cell }) => errors.push({ line: lines[row], ...cell }));
+    if (errors.length > 0) {
+        errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+        return res.status(400).json({
+            success: false,
+            error: { message: `The CSV file has ${errors.length} error(s). Nothing was changed.` },
+            errors,
+        });
+    }
+
+    await applyMatrixDiff(versionId, mealService, diff);
+
+    res.status(200).json({
+        success: true,
+        message: `${describeMealService(mealService)} schedule imported from ${rows.length} row(s): ${diff.added.length} added, ${diff.removed.length} removed, ${diff.flipped.length} flipped.`,
+        version: versionId,
+        mealService,
+        summary: summarizeDiff(diff),
+        diff,
+    });
+});
+
+// --- IMPACT ANALYSIS (what-if) ---
+
+// Validates proposed cell changes; like the matrix, every invalid change is reported together
+const parseScheduleChanges = async (changes) => {
+    const programsByName = await loadProgramsByName();
+    const parsedChanges = new Map();
+    const invalidChanges = [];
+
+    changes.forEach((change, index) => {
+        if (!change || typeof change !== 'object') {
+            return invalidChanges.push({ index, reason: 'Each change must be an object with program, yearLevel, dayOfWeek and isEligible.' });
+        }
+        const { program, yearLevel, section, label, error } = parseCohort(change, programsByName);
+        const { dayOfWeek, isEligible } = change;
+        const reject = (reason) => invalidChanges.push({ index, program, yearLevel: change.yearLevel, section, dayOfWeek, reason });
+
+        if (error) return reject(error);
+        if (!DAYS_OF_WEEK.includes(dayOfWeek)) return reject(`${label}: '${dayOfWeek}' is not a valid day of the week.`);
+        if (isEligible !== null && typeof isEligible !== 'boolean') return reject(`${label}: isEligible must be true, false or null (remove the entry).`);
+
+        const cellKey = getMatrixCellKey(program, yearLevel, section, dayOfWeek);
+        if (parsedChanges.has(cellKey)) return reject(`${label} ${dayOfWeek} is changed more than once.`);
+        parsedChanges.set(cellKey, { program, yearLevel, section, dayOfWeek, isEligible });
+    });
+
+    return { parsedChanges, invalidChanges };
+};
+
+// How many times each weekday's schedule is used in a month. Make-up days count as the weekday they
+// follow; days closed campus-wide (NO_MEALS without a program) are not counted.
+const countScheduleDaysInMonth = async (year, month) => {
+    const monthStart = campusTimeToDate(year, month, 1);
+    const monthEnd = new Date(campusTimeToDate(year, month + 1, 1).getTime() - 1);
+    const exceptionsByDate = await getCalendarExceptions(monthStart, monthEnd);
+
+    const occurrences = Object.fromEntries(DAYS_OF_WEEK.map(day => [day, 0]));
+    for (let d = monthStart; d <= monthEnd; d = addCampusDays(d, 1)) {
+        const exceptions = exceptionsByDate.get(d.getTime()) || [];
+        if (exceptions.some(e => e.type === 'NO_MEALS' && !e.program)) continue;
+        occurrences[getEffectiveDayOfWeek(exceptions, d)]++;
+    }
+    return occurrences;
+};
+
+const sumOverMonth = (perDay, occurrences) => DAYS_OF_WEEK.reduce((total, day) => total + perDay[day] * occurrences[day], 0);
+
+// @desc    Show how proposed schedule changes would change allotted meals (nothing is saved)
+// @route   POST /api/v1/schedules/impact
+// @access  Private (Admin Only)
+const getScheduleImpact = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { versionId, status, message } = await resolveRequestedVersion(req.body.version);
+    if (status) {
+        res.status(status);
+        return next(new Error(message));
+    }
+
+    let year, month;
+    if (req.body.month) {
+        [year, month] = req.body.month.split('-').map(part => parseInt(part, 10));
+    } else {
+        ({ year, month } = getCampusDateParts());
+    }
+
+    const { parsedChanges, invalidChanges } = await parseScheduleChanges(req.body.changes);
+    if (invalidChanges.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: { message: `${invalidChanges.length} proposed change(s) are invalid.` },
+            invalidChanges,
+        });
+    }
+
+    const mealService = parseMealServiceParam(req.body.mealService);
+    const [currentEntries, groupCounts, occurrences] = await Promise.all([
+        Schedule.find({ version: versionId, mealService }).select('program yearLevel section dayOfWeek isEligible').lean(),
+        getStudentGroupCounts(),
+        countScheduleDaysInMonth(year, month),
+    ]);
+
+    // Proposed schedule = current entries with the changes applied (null removes the entry)
+    const proposedByCell = new Map(currentEntries.map(e => [getMatrixCellKey(e.program, e.yearLevel, e.section, e.dayOfWeek), e]));
+    parsedChanges.forEach((change, cellKey) => {
+        if (change.isEligible === null) proposedByCell.delete(cellKey);
+        else proposedByCell.set(cellKey, change);
+    });
+
+    const current = calculateWeeklyAllotments(currentEntries, groupCounts);
+    const proposed = calculateWeeklyAllotments([...proposedByCell.values()], groupCounts);
+
+    const byDay = {};
+    const dailyDelta = {};
+    DAYS_OF_WEEK.forEach(day => {
+        dailyDelta[day] = proposed.byDay[day] - current.byDay[day];
+        byDay[day] = { current: current.byDay[day], proposed: proposed.byDay[day], delta: dailyDelta[day] };
+    });
+
+    const byProgram = [];
+    current.byProgram.forEach((currentDays, program) => {
+        const proposedDays = proposed.byProgram.get(program);
+        const delta = Object.fromEntries(DAYS_OF_WEEK.map(day => [day, proposedDays[day] - currentDays[day]]));
+        const weeklyDelta = DAYS_OF_WEEK.reduce((total, day) => total + delta[day], 0);
+        if (DAYS_OF_WEEK.some(day => delta[day] !== 0)) {
+            byProgram.push({ program, byDay: delta, weeklyDelta, monthlyDelta: sumOverMonth(delta, occurrences) });
+        }
+    });
+    byProgram.sort((a, b) => a.program.localeCompare(b.program));
+
+    // Students whose eligibility on that weekday actually changes (section rules can mask a cohort change)
+    const changes = [...parsedChanges.values()].map(change => {
+        const studentsAffected = groupCounts
+            .filter(group => group.program === change.program && group.yearLevel === change.yearLevel
+                && (!change.section || group.section === change.section)
+                && current.lookups[change.dayOfWeek](group) !== proposed.lookups[change.dayOfWeek](group))
+            .reduce((total, group) => total + group.count, 0);
+        const existing = currentEntries.find(e => getMatrixCellKey(e.program, e.yearLevel, e.section, e.dayOfWeek)
+            === getMatrixCellKey(change.program, change.yearLevel, change.section, change.dayOfWeek));
+        return { ...change, from: existing ? existing.isEligible : null, to: change.isEligible, studentsAffected };
+    });
+
+    res.status(200).json({
+        success: true,
+        version: versionId,
+        mealService,
+        month: `${year}-${String(month).padStart(2, '0')}`,
+        summary: {
+            weeklyDelta: DAYS_OF_WEEK.reduce((total, day) => total + dailyDelta[day], 0),
+            monthlyDelta: sumOverMonth(dailyDelta, occurrences),
+        },
+        byDay,
+        byProgram,
+        changes,
+    });
+});
+
 module.exports = {
     addScheduleEntry,
     getSchedules,
     updateScheduleEntry,
     deleteScheduleEntry,
+    getScheduleMatrix,
+    previewScheduleMatrix,
+    applyScheduleMatrix,
+    exportScheduleCsv,
+    importScheduleCsv,
+    getScheduleImpact,
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+const ScheduleVersion = require('../models/ScheduleVersionModel');
+const Schedule = require('../models/ScheduleModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const {
+    parseCampusDate,
+    startOfCampusDay,
+    endOfCampusDay,
+    addCampusDays,
+} = require('../utils/campusTime');
+const { getServiceDate } = require('../utils/serviceDay');
+const { getScheduleVersionIdOn } = require('../utils/scheduleVersions');
+
+// Finds another version whose dates overlap the given range (effectiveTo null = open-ended)
+const findOverlappingVersion = (effectiveFrom, effectiveTo, excludeId = null) => {
+    const query = {
+        _id: { $ne: excludeId },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gte: effectiveFrom } }],
+    };
+    if (effectiveTo) query.effectiveFrom = { $lte: effectiveTo };
+    return ScheduleVersion.findOne(query);
+};
+
+// @desc    Get all schedule versions
+// @route   GET /api/v1/schedule-versions
+// @access  Private (Admin Only)
+const getScheduleVersions = asyncHandler(async (req, res) => {
+    const [versions, currentVersionId] = await Promise.all([
+        ScheduleVersion.find().sort({ effectiveFrom: -1 }),
+        getScheduleVersionIdOn(getServiceDate()),
+    ]);
+    res.status(200).json({
+        success: true,
+        count: versions.length,
+        currentVersion: currentVersionId,
+        data: versions,
+    });
+});
+
+// @desc    Create a schedule version, copying the entries of the schedule it replaces
+// @route   POST /api/v1/schedule-versions
+// @access  Private (Admin Only)
+const createScheduleVersion = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { name, effectiveFrom, effectiveTo, copyEntries = true } = req.body;
+    const parsedFrom = parseCampusDate(effectiveFrom);
+    const parsedTo = effectiveTo ? parseCampusDate(effectiveTo) : null;
+    if (!parsedFrom || (effectiveTo && !parsedTo)) {
+        res.status(400);
+        return next(new Error('Invalid date format for effectiveFrom/effectiveTo. Please use YYYY-MM-DD.'));
+    }
+    const versionStart = startOfCampusDay(parsedFrom);
+    const versionEnd = parsedTo ? endOfCampusDay(parsedTo) : null;
+    if (versionEnd && versionEnd < versionStart) {
+        res.status(400);
+        return next(new Error('Schedule version must start on or before its end date.'));
+    }
+    if (await ScheduleVersion.exists({ name })) {
+        res.status(400);
+        return next(new Error(`A schedule version named '${name}' already exists.`));
+    }
+
+    // The schedule in force the day before is the starting point for the new one
+    const dayBefore = addCampusDays(versionStart, -1);
+    const previousVersionId = await getScheduleVersionIdOn(dayBefore);
+
+    // An open-ended version that started earlier is closed the day before the new one starts
+    const openVersion = await ScheduleVersion.findOne({ effectiveTo: null, effectiveFrom: { $lt: versionStart } });
+    const overlapping = await findOverlappingVersion(versionStart, versionEnd, openVersion ? openVersion._id : null);
+    if (overlapping) {
+        res.status(400);
+        return next(new Error(`Dates overlap the existing schedule version '${overlapping.name}' (${overlapping.effectiveFromLocal} to ${overlapping.effectiveToLocal || 'open-ended'}).`));
+    }
+
+    // Closing the old version, creating the new one and copying its entries succeed or fail together,
+    // so a failed create never leaves the schedule without a version in force
+    let version;
+    let copiedEntries = 0;
+    await mongoose.connection.transaction(async (session) => {
+        if (openVersion) {
+            openVersion.effectiveTo = endOfCampusDay(dayBefore);
+            await openVersion.save({ session });
+        }
+
+        [version] = await ScheduleVersion.create([{
+            name,
+            effectiveFrom: versionStart,
+            effectiveTo: versionEnd,
+            createdBy: req.admin._id,
+        }], { session });
+
+        copiedEntries = 0;
+        if (copyEntries) {
+            const entries = await Schedule.find({ version: previousVersionId }).session(session).lean();
+            if (entries.length > 0) {
+                await Schedule.insertMany(entries.map(({ program, yearLevel, section, mealService, dayOfWeek, isEligible }) => ({
+                    version: version._id, program, yearLevel, section, mealService, dayOfWeek, isEligible,
+                })), { session });
+            }
+            copiedEntries = entries.length;
+        }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: `Schedule version '${version.name}' created with ${copiedEntries} copied entries.`,
+        data: version,
+        closedVersion: openVersion || undefined,
+    });
+});
+
+// @desc    Rename a schedule version or change its dates
+// @route   PUT /api/v1/schedule-versions/:id
+// @access  Private (Admin Only)
+const updateScheduleVersion = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid schedule version ID format: ${req.params.id}`));
+    }
+
+    const version = await ScheduleVersion.findById(req.params.id);
+    if (!version) {
+        res.status(404);
+        return next(new Error(`Schedule version not found with ID: ${req.params.id}`));
+    }
+
+    const { name, effectiveFrom, effectiveTo } = req.body;
+    if (effectiveFrom !== undefined) {
+        const parsedFrom = parseCampusDate(effectiveFrom);
+        if (!parsedFrom) {
+            res.status(400);
+            return next(new Error('Invalid date format for effectiveFrom. Please use YYYY-MM-DD.'));
+        }
+        version.effectiveFrom = startOfCampusDay(parsedFrom);
+    }
+    if (effectiveTo !== undefined) {
+        const parsedTo = effectiveTo ? parseCampusDate(effectiveTo) : null;
+        if (effectiveTo && !parsedTo) {
+            res.status(400);
+            return next(new Error('Invalid date format for effectiveTo. Please use YYYY-MM-DD.'));
+        }
+        version.effectiveTo = parsedTo ? endOfCampusDay(parsedTo) : null;
+    }
+    if (name !== undefined) {
+        if (await ScheduleVersion.exists({ name, _id: { $ne: version._id } })) {
+            res.status(400);
+            return next(new Error(`A schedule version named '${name}' already exists.`));
+        }
+        version.name = name;
+    }
+    if (version.effectiveTo && version.effectiveTo < version.effectiveFrom) {
+        res.status(400);
+        return next(new Error('Schedule version must start on or before its end date.'));
+    }
+
+    const overlapping = await findOverlappingVersion(version.effectiveFrom, version.effectiveTo, version._id);
+    if (overlapping) {
+        res.status(400);
+        return next(new Error(`Dates overlap the existing schedule version '${overlapping.name}' (${overlapping.effectiveFromLocal} to ${overlapping.effectiveToLocal || 'open-ended'}).`));
+    }
+
+    const updatedVersion = await version.save();
+    res.status(200).json({
+        success: true,
+        message: 'Schedule version updated successfully',
+        data: updatedVersion,
+    });
+});
+
+// @desc    Delete a schedule version that has not started yet, with its entries
+// @route   DELETE /api/v1/schedule-versions/:id
+// @access  Private (Admin Only)
+const deleteScheduleVersion = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid schedule version ID format: ${req.params.id}`));
+    }
+    const version = await ScheduleVersion.findById(req.params.id);
+    if (!version) {
+        res.status(404);
+        return next(new Error(`Schedule version not found with ID: ${req.params.id}`));
+    }
+    // Versions that have been in force are kept so past eligibility and allotments stay reproducible
+    if (version.effectiveFrom <= getServiceDate()) {
+        res.status(400);
+        return next(new Error(`Schedule version '${version.name}' has already taken effect and cannot be deleted. Set its end date instead.`));
+    }
+
+    const { deletedCount } = await Schedule.deleteMany({ version: version._id });
+    await version.deleteOne();
+    res.status(200).json({
+        success: true,
+        message: `Schedule version '${version.name}' and its ${deletedCount} entries deleted successfully.`,
+        data: {},
+    });
+});
+
+module.exports = {
+    getScheduleVersions,
+    createScheduleVersion,
+    updateScheduleVersion,
+    deleteScheduleVersion,
+};
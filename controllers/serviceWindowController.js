@@ -0,0 +1,140 @@
+const ServiceWindow = require('../models/ServiceWindowModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { DEFAULT_MEAL_SERVICE, describeMealService } = require('../utils/mealServices');
+const { validateProgram, validateProgramYearLevel } = require('../utils/programRules');
+
+const SERVICE_WINDOW_ORDER_ERROR = 'Service window start time must be before its end time.';
+
+// @desc    Get all meal service windows
+// @route   GET /api/v1/service-windows
+// @access  Private (Admin Only)
+const getServiceWindows = asyncHandler(async (req, res) => {
+    const query = {};
+    if (req.query.dayOfWeek) query.dayOfWeek = req.query.dayOfWeek;
+    if (req.query.program) query.program = req.query.program.toUpperCase();
+    if (req.query.mealService) query.mealService = req.query.mealService.toUpperCase();
+
+    const serviceWindows = await ServiceWindow.find(query).sort({ dayOfWeek: 1, mealService: 1, program: 1, yearLevel: 1 });
+    res.status(200).json({
+        success: true,
+        count: serviceWindows.length,
+        data: serviceWindows,
+    });
+});
+
+// @desc    Add a meal service window for a day and meal service (optionally for a program/year cohort)
+// @route   POST /api/v1/service-windows
+// @access  Private (Admin Only)
+const addServiceWindow = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { dayOfWeek, startTime, endTime, program, yearLevel, mealService = DEFAULT_MEAL_SERVICE } = req.body;
+    if (startTime >= endTime) {
+        res.status(400);
+        return next(new Error(SERVICE_WINDOW_ORDER_ERROR));
+    }
+    if (yearLevel && !program) {
+        res.status(400);
+        return next(new Error('A year level can only be set on a service window together with a program.'));
+    }
+    if (program) {
+        const programError = yearLevel
+            ? await validateProgramYearLevel(program, yearLevel, { allowArchived: false })
+            : await validateProgram(program, { allowArchived: false });
+        if (programError) {
+            res.status(400);
+            return next(new Error(programError));
+        }
+    }
+
+    const query = {
+        dayOfWeek,
+        mealService,
+        program: program ? program.toUpperCase() : null,
+        yearLevel: yearLevel ? parseInt(yearLevel, 10) : null,
+    };
+    const windowExists = await ServiceWindow.findOne(query);
+    if (windowExists) {
+        res.status(400);
+        return next(new Error(`A ${describeMealService(mealService).toLowerCase()} service window already exists for this cohort on ${dayOfWeek}. Update it instead.`));
+    }
+
+    const serviceWindow = await ServiceWindow.create({ ...query, startTime, endTime });
+
+    res.status(201).json({
+        success: true,
+        data: serviceWindow,
+    });
+});
+
+// @desc    Update the start/end time of a meal service window
+// @route   PUT /api/v1/service-windows/:id
+// @access  Private (Admin Only)
+const updateServiceWindow = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid service window ID format: ${req.params.id}`));
+    }
+
+    const serviceWindow = await ServiceWindow.findById(req.params.id);
+    if (!serviceWindow) {
+        res.status(404);
+        return next(new Error(`Service window not found with ID: ${req.params.id}`));
+    }
+
+    // A new start or end time is checked against the stored other end
+    const startTime = req.body.startTime || serviceWindow.startTime;
+    const endTime = req.body.endTime || serviceWindow.endTime;
+    if (startTime >= endTime) {
+        res.status(400);
+        return next(new Error(SERVICE_WINDOW_ORDER_ERROR));
+    }
+    serviceWindow.startTime = startTime;
+    serviceWindow.endTime = endTime;
+
+    const updatedServiceWindow = await serviceWindow.save();
+    res.status(200).json({
+        success: true,
+        message: 'Service window updated successfully',
+        data: updatedServiceWindow,
+    });
+});
+
+// @desc    Delete a meal service window
+// @route   DELETE /api/v1/service-windows/:id
+// @access  Private (Admin Only)
+const deleteServiceWindow = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid service window ID format: ${req.params.id}`));
+    }
+    const serviceWindow = await ServiceWindow.findById(req.params.id);
+    if (!serviceWindow) {
+        res.status(404);
+        return next(new Error(`Service window not found with ID: ${req.params.id}`));
+    }
+    await serviceWindow.deleteOne();
+    res.status(200).json({
+        success: true,
+        message: `${describeMealService(serviceWindow.mealService)} service window for ${serviceWindow.dayOfWeek} deleted successfully.`,
+        data: {},
+    });
+});
+
+module.exports = {
+    getServiceWindows,
+    addServiceWindow,
+    updateServiceWindow,
+    deleteServiceWindow,
+};
@@ -1,8 +1,16 @@
 const mongoose = require('mongoose');
 const Student = require('../models/StudentModel');
-const Program = require('../models/ProgramModel');
+const MealRecord = require('../models/MealRecordModel');
+const StudentChange = require('../models/StudentChangeModel');
 const asyncHandler = require('express-async-handler');
 const { validationResult } = require('express-validator');
+const { issueMealPass } = require('../utils/mealPass');
+const { getYearLevelError, loadProgramsByName, validateProgramYearLevel } = require('../utils/programRules');
+const { parseCsv } = require('../utils/csv');
+const { SPREADSHEET_FORMATS, XLSX_CONTENT_TYPE, streamSpreadsheet, readXlsxRecords } = require('../utils/spreadsheet');
+const { parseCampusDate, startOfCampusDay, endOfCampusDay, formatCampusDate } = require('../utils/campusTime');
+const { ACTIVE_STUDENT_FILTER, DEFAULT_ENROLLMENT_STATUS } = require('../utils/enrollment');
+const { diffStudentFields, buildStudentChange, recordStudentChange, getStudentCohortAt } = require('../utils/studentHistory');
 
 // Helper to generate a unique email from a name
 const generateUniqueEmail = async (name) => {
@@ -17,10 +25,32 @@ const generateUniqueEmail = async (name) => {
     return email;
 };
 
-const validateProgramExists = async (programName) => {
-    const program = await Program.findOne({ name: programName.toUpperCase() });
-    if (!program) throw new Error(`Program '${programName.toUpperCase()}' does not exist.`);
-    return true;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const EMAIL_LOOKUP_CHUNK = 500;
+
+// Same addresses as generateUniqueEmail, for many names at once. The emails already taken for every name are
+// loaded up front (one query per 500 names), then numbered in memory; repeated names get the next free number.
+const generateUniqueEmails = async (names) => {
+    const bases = names.map(name => name.replace(/\s+/g, '').toLowerCase());
+    const uniqueBases = [...new Set(bases)];
+    const taken = new Set();
+    for (let i = 0; i < uniqueBases.length; i += EMAIL_LOOKUP_CHUNK) {
+        const patterns = uniqueBases.slice(i, i + EMAIL_LOOKUP_CHUNK)
+            .map(base => new RegExp(`^${escapeRegExp(base)}\\d*@student\\.laverdad\\.edu\\.ph$`));
+        const existing = await Student.find({ email: { $in: patterns } }).select('email').lean();
+        existing.forEach(student => taken.add(student.email));
+    }
+
+    return bases.map(emailBase => {
+        let email = `${emailBase}@student.laverdad.edu.ph`;
+        let count = 0;
+        while (taken.has(email)) {
+            count++;
+            email = `${emailBase}${count}@student.laverdad.edu.ph`;
+        }
+        taken.add(email);
+        return email;
+    });
 };
 
 const addStudent = asyncHandler(async (req, res, next) => {
@@ -34,7 +64,12 @@ const addStudent = asyncHandler(async (req, res, next) => {
         }
     }
     
-    await validateProgramExists(program);
+    // The program must exist, not be archived and offer this year level
+    const programError = await validateProgramYearLevel(program, yearLevel, { allowArchived: false });
+    if (programError) {
+        res.status(400);
+        return next(new Error(programError));
+    }
 
     const studentIdExists = await Student.findOne({ studentIdNumber: studentIdNumber.trim() });
     if (studentIdExists) {
@@ -44,18 +79,18 @@ const addStudent = asyncHandler(async (req, res, next) => {
 
     const email = await generateUniqueEmail(name.trim());
 
-    if (program.toUpperCase() === 'ACT' && parseInt(yearLevel, 10) > 2) {
-        res.status(400);
-        return next(new Error('ACT program is only available for Year 1 and 2.'));
-    }
-
-    const student = await Student.create({
-        studentIdNumber: studentIdNumber.trim(),
-        name: name.trim(),
-        email: email,
-        program: program.trim().toUpperCase(),
-        yearLevel: parseInt(yearLevel, 10),
-        section: section ? section.trim().toUpperCase() : undefined,
+    // The student and its change log entry are written together
+    let student;
+    await mongoose.connection.transaction(async (session) => {
+        [student] = await Student.create([{
+            studentIdNumber: studentIdNumber.trim(),
+            name: name.trim(),
+            email: email,
+            program: program.trim().toUpperCase(),
+            yearLevel: parseInt(yearLevel, 10),
+            section: section ? section.trim().toUpperCase() : undefined,
+        }], { session });
+        await recordStudentChange(null, student, { source: 'CREATE', changedBy: req.admin._id, session });
     });
 
     res.status(201).json({ success: true, message: 'Student added successfully', data: student });
@@ -67,6 +102,7 @@ const updateStudent = asyncHandler(async (req, res, next) => {
         res.status(404);
         return next(new Error(`Student not found with ID: ${req.params.id}`));
     }
+    const before = student.toObject();
 
     const { studentIdNumber, name, program, yearLevel, section } = req.body;
 
@@ -84,34 +120,50 @@ const updateStudent = asyncHandler(async (req, res, next) => {
         student.studentIdNumber = studentIdNumber.trim();
     }
     
-    if (program) {
-        await validateProgramExists(program);
-        student.program = program.trim().toUpperCase();
-    }
+    if (program) student.program = program.trim().toUpperCase();
     if (yearLevel) student.yearLevel = parseInt(yearLevel, 10);
+    if (program || yearLevel) {
+        // Students already in an archived program can still change year level, but nobody new can join it
+        const programError = await validateProgramYearLevel(student.program, student.yearLevel, { allowArchived: !student.isModified('program') });
+        if (programError) {
+            res.status(400);
+            return next(new Error(programError));
+        }
+    }
     if (section !== undefined) student.section = section ? section.trim().toUpperCase() : null;
     
-    const updatedStudent = await student.save();
+    let updatedStudent;
+    await mongoose.connection.transaction(async (session) => {
+        updatedStudent = await student.save({ session });
+        await recordStudentChange(before, updatedStudent, { source: 'UPDATE', changedBy: req.admin._id, session });
+    });
     res.status(200).json({ success: true, message: 'Student updated successfully', data: updatedStudent });
 });
 
-const getStudents = asyncHandler(async (req, res, next) => {
+// The program/yearLevel/section/enrollmentStatus/search filters and the sort order of the student list, shared by
+// GET /students and the masterlist export
+const buildStudentListQuery = (params) => {
     let query = {};
-    if (req.query.program) {
-        query.program = req.query.program.toUpperCase();
+    if (params.program) {
+        query.program = params.program.toUpperCase();
     }
-    if (req.query.yearLevel) {
-        const year = parseInt(req.query.yearLevel, 10);
+    if (params.yearLevel) {
+        const year = parseInt(params.yearLevel, 10);
         if (!isNaN(year)) {
             query.yearLevel = year;
         }
     }
-    if (req.query.section) {
-        query.section = req.query.section.toUpperCase();
+    if (params.section) {
+        query.section = params.section.toUpperCase();
+    }
+    if (params.enrollmentStatus) {
+        const status = params.enrollmentStatus.toUpperCase();
+        if (status === DEFAULT_ENROLLMENT_STATUS) Object.assign(query, ACTIVE_STUDENT_FILTER);
+        else query.enrollmentStatus = status;
     }
 
-    if (req.query.search) {
-        const searchRegex = new RegExp(req.query.search, 'i');
+    if (params.search) {
+        const searchRegex = new RegExp(params.search, 'i');
         query.$or = [
             { name: searchRegex },
             { studentIdNumber: searchRegex }
@@ -119,10 +171,9 @@ const getStudents = asyncHandler(async (req, res, next) => {
     }
 
     let sortOptions = {};
-    const { sortBy, order } = req.query;
+    const { sortBy, order } = params;
 
-   
-    if (req.query.program) {
+    if (params.program) {
         sortOptions = { yearLevel: 1, name: 1 };
     } else if (sortBy) {
         const allowedSortKeys = ['name', 'program', 'yearLevel', 'studentIdNumber', 'createdAt', 'updatedAt'];
@@ -134,6 +185,11 @@ const getStudents = asyncHandler(async (req, res, next) => {
     } else {
         sortOptions.name = 1;
     }
+    return { query, sortOptions };
+};
+
+const getStudents = asyncHandler(async (req, res, next) => {
+    const { query, sortOptions } = buildStudentListQuery(req.query);
 
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 8;
@@ -192,7 +248,10 @@ const deleteStudent = asyncHandler(async (req, res, next) => {
         return next(new Error(`Student not found with ID: ${req.params.id}`));
     }
 
-    await student.deleteOne();
+    await mongoose.connection.transaction(async (session) => {
+        await student.deleteOne({ session });
+        await recordStudentChange(student, null, { source: 'DELETE', changedBy: req.admin._id, session });
+    });
 
     res.status(200).json({
         success: true,
@@ -201,10 +260,425 @@ const deleteStudent = asyncHandler(async (req, res, next) => {
     });
 });
 
+// @desc    Issue a signed, short-lived QR meal pass for a student
+// @route   GET /api/v1/students/:id/meal-pass
+// @access  Private (Admin Only)
+const getStudentMealPass = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid student ID format: ${req.params.id}`));
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+        res.status(404);
+        return next(new Error(`Student not found with ID: ${req.params.id}`));
+    }
+
+    const { pass, issuedAt, expiresAt } = issueMealPass(student);
+    res.status(200).json({
+        success: true,
+        data: { studentIdNumber: student.studentIdNumber, pass, issuedAt, expiresAt },
+    });
+});
+
+// @desc    Get a fresh QR meal pass for the signed-in student (their app refreshes it before it expires)
+// @route   GET /api/v1/students/me/meal-pass
+// @access  Private (Student, Firebase ID token)
+const getMyMealPass = asyncHandler(async (req, res) => {
+    const { pass, issuedAt, expiresAt } = issueMealPass(req.student);
+    res.status(200).json({
+        success: true,
+        data: { studentIdNumber: req.student.studentIdNumber, name: req.student.name, pass, issuedAt, expiresAt },
+    });
+});
+
+// @desc    Revoke all previously issued QR meal passes for a student
+// @route   POST /api/v1/students/:id/meal-pass/revoke
+// @access  Private (Admin Only)
+const revokeStudentMealPasses = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid student ID format: ${req.params.id}`));
+    }
+
+    const student = await Student.findByIdAndUpdate(
+        req.params.id,
+        { $inc: { mealPassVersion: 1 }, mealPassRevokedAt: new Date() },
+        { new: true }
+    );
+    if (!student) {
+        res.status(404);
+        return next(new Error(`Student not found with ID: ${req.params.id}`));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `All meal passes issued to ${student.studentIdNumber} before now have been revoked.`,
+        data: student,
+    });
+});
+
+// @desc    Change a student's enrollment status (active, on leave, dropped, graduated)
+// @route   PATCH /api/v1/students/:id/enrollment
+// @access  Private (Admin Only)
+const updateEnrollmentStatus = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid student ID format: ${req.params.id}`));
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+        res.status(404);
+        return next(new Error(`Student not found with ID: ${req.params.id}`));
+    }
+
+    const { status, reason } = req.body;
+    const before = student.toObject();
+    const previousStatus = student.enrollmentStatus || DEFAULT_ENROLLMENT_STATUS;
+    if (status === previousStatus) {
+        res.status(400);
+        return next(new Error(`Student ${student.studentIdNumber} is already ${status}.`));
+    }
+
+    student.enrollmentStatus = status;
+    student.enrollmentHistory.push({ status, changedAt: new Date(), changedBy: req.admin._id, reason });
+    if (status === 'GRADUATED') student.graduatedAt = new Date();
+    else if (previousStatus === 'GRADUATED') student.graduatedAt = null;
+    await mongoose.connection.transaction(async (session) => {
+        await student.save({ session });
+        await recordStudentChange(before, student, { source: 'ENROLLMENT', changedBy: req.admin._id, session });
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Student ${student.studentIdNumber} is now ${status} (was ${previousStatus}).`,
+        data: student,
+    });
+});
+
+// @desc    Get a student's change log, newest first
+// @route   GET /api/v1/students/:id/history
+// @access  Private (Admin Only)
+const getStudentHistory = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid student ID format: ${req.params.id}`));
+    }
+
+    // The log outlives the student, so a deleted student's history can still be read
+    const changes = await StudentChange.find({ student: req.params.id })
+        .sort({ changedAt: -1, _id: -1 })
+        .populate('changedBy', 'name email');
+    if (changes.length === 0 && !(await Student.exists({ _id: req.params.id }))) {
+        res.status(404);
+        return next(new Error(`Student not found with ID: ${req.params.id}`));
+    }
+
+    res.status(200).json({
+        success: true,
+        count: changes.length,
+        data: changes,
+    });
+});
+
+// @desc    Get the cohort (program, year level, section, enrollment status) a student was in on a date
+// @route   GET /api/v1/students/:id/cohort?date=YYYY-MM-DD
+// @access  Private (Admin Only)
+const getStudentCohort = asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        return next(new Error(`Invalid student ID format: ${req.params.id}`));
+    }
+    const date = req.query.date ? parseCampusDate(req.query.date) : new Date();
+    if (!date) {
+        res.status(400);
+        return next(new Error('Invalid date format. Please use YYYY-MM-DD.'));
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+        res.status(404);
+        return next(new Error(`Student not found with ID: ${req.params.id}`));
+    }
+
+    // "As of" a date means after that day's edits
+    const cohort = await getStudentCohortAt(student, endOfCampusDay(date));
+    res.status(200).json({
+        success: true,
+        data: {
+            studentIdNumber: student.studentIdNumber,
+            date: formatCampusDate(date),
+            ...cohort,
+            inMasterlist: student.createdAt <= endOfCampusDay(date), // False before the student was added
+        },
+    });
+});
+
+// --- MASTERLIST EXPORT ---
+
+const MASTERLIST_COLUMNS = ['studentIdNumber', 'name', 'email', 'program', 'yearLevel', 'section', 'enrollmentStatus'];
+const MASTERLIST_CLAIM_COLUMNS = ['claimed', 'unclaimed'];
+
+// Counts each student's claimed and eligible-but-unclaimed meals between two dates, keyed by student _id
+const getClaimCountsByStudent = async (from, to, mealService) => {
+    const match = {
+        student: { $ne: null },
+        dateChecked: { $gte: startOfCampusDay(from), $lte: endOfCampusDay(to) },
+        status: { $in: ['CLAIMED', 'ELIGIBLE_BUT_NOT_CLAIMED'] },
+    };
+    if (mealService) match.mealService = mealService;
+    const counts = await MealRecord.aggregate([
+        { $match: match },
+        { $group: {
+            _id: '$student',
+            claimed: { $sum: { $cond: [{ $eq: ['$status', 'CLAIMED'] }, 1, 0] } },
+            unclaimed: { $sum: { $cond: [{ $eq: ['$status', 'ELIGIBLE_BUT_NOT_CLAIMED'] }, 1, 0] } },
+        } },
+    ]);
+    return new Map(counts.map(item => [String(item._id), item]));
+};
+
+// Yields one row of masterlist values per student, read from a cursor so the whole masterlist is never held in memory
+async function* readMasterlistRows(query, sortOptions, claimCounts) {
+    const cursor = Student.find(query).sort(sortOptions).select(MASTERLIST_COLUMNS.join(' ')).lean().cursor();
+    try {
+        for await (const student of cursor) {
+            const values = MASTERLIST_COLUMNS.map(column => student[column]);
+            values[MASTERLIST_COLUMNS.indexOf('enrollmentStatus')] = student.enrollmentStatus || DEFAULT_ENROLLMENT_STATUS;
+            if (claimCounts) {
+                const counts = claimCounts.get(String(student._id));
+                values.push(counts ? counts.claimed : 0, counts ? counts.unclaimed : 0);
+            }
+            yield values;
+        }
+    } finally {
+        await cursor.close(); // Also when the download is abandoned part-way
+    }
+}
+
+// @desc    Download the full filtered student list as CSV or XLSX, optionally with claim counts for a date range
+// @route   GET /api/v1/students/export
+// @access  Private (Admin Only)
+const exportStudents = asyncHandler(async (req, res, next) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+        res.status(400);
+        return next(new Error(`format must be one of: ${SPREADSHEET_FORMATS.join(', ')}`));
+    }
+    const from = req.query.from ? parseCampusDate(req.query.from) : null;
+    const to = req.query.to ? parseCampusDate(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+        res.status(400);
+        return next(new Error('Invalid date format for from/to. Please use YYYY-MM-DD.'));
+    }
+    if (Boolean(from) !== Boolean(to)) {
+        res.status(400);
+        return next(new Error('Provide both from and to to include claim counts.'));
+    }
+    if (from && startOfCampusDay(from) > startOfCampusDay(to)) {
+        res.status(400);
+        return next(new Error('from must not be after to.'));
+    }
+    const mealService = req.query.mealService ? req.query.mealService.toUpperCase() : null;
+
+    const { query, sortOptions } = buildStudentListQuery(req.query);
+    const claimCounts = from ? await getClaimCountsByStudent(from, to, mealService) : null;
+
+    // Once streaming starts errors can no longer reach the error handler, so streamSpreadsheet deals with them
+    await streamSpreadsheet(res, {
+        format,
+        filename: `students-${formatCampusDate(new Date())}`,
+        sheetName: 'Students',
+        header: claimCounts ? [...MASTERLIST_COLUMNS, ...MASTERLIST_CLAIM_COLUMNS] : MASTERLIST_COLUMNS,
+        rows: readMasterlistRows(query, sortOptions, claimCounts),
+    });
+});
+
+// --- BULK IMPORT ---
+
+const STUDENT_CSV_COLUMNS = ['studentIdNumber', 'name', 'program', 'yearLevel', 'section'];
+const STUDENT_IMPORT_BATCH_SIZE = 500;
+const SECTION_PATTERN = /^[A-Z0-9-]{1,10}$/;
+
+// Turns an uploaded masterlist (CSV text or an XLSX buffer) into student rows. Columns are matched by name (any
+// case and order); section is optional and other columns (e.g. an email or contact column) are ignored.
+const parseStudentFile = async (file) => {
+    let records;
+    try {
+        records = Buffer.isBuffer(file) ? await readXlsxRecords(file) : parseCsv(file);
+    } catch (error) {
+        return { rows: [], ignoredColumns: [], errors: [{ line: null, reason: error.message }] };
+    }
+    if (records.length === 0) {
+        return { rows: [], ignoredColumns: [], errors: [{ line: null, reason: 'The file is empty.' }] };
+    }
+
+    const header = records[0].values.map(name => name.trim().toLowerCase());
+    const columnIndex = (name) => header.indexOf(name.toLowerCase());
+    const missingColumns = STUDENT_CSV_COLUMNS.filter(name => name !== 'section' && columnIndex(name) === -1);
+    if (missingColumns.length > 0) {
+        return { rows: [], ignoredColumns: [], errors: [{ line: records[0].line, reason: `Invalid header row: missing column(s): ${missingColumns.join(', ')}.` }] };
+    }
+    const ignoredColumns = records[0].values.filter(name => name.trim() !== '' &&
+        !STUDENT_CSV_COLUMNS.some(known => known.toLowerCase() === name.trim().toLowerCase()));
+
+    const rows = records.slice(1).map(({ line, values }) => {
+        const valueOf = (name) => (columnIndex(name) === -1 ? '' : (values[columnIndex(name)] || '').trim());
+        return {
+            line,
+            studentIdNumber: valueOf('studentIdNumber'),
+            name: valueOf('name').replace(/\s+/g, ' '),
+            program: valueOf('program').toUpperCase(),
+            yearLevel: valueOf('yearLevel'),
+            section: valueOf('section').toUpperCase() || null,
+        };
+    });
+    return { rows, ignoredColumns, errors: [] };
+};
+
+// Checks every row against the file, the programs and the existing students, and works out what each row
+// would do: create a student, update one (matched by studentIdNumber) or leave it unchanged.
+const planStudentImport = async (rows) => {
+    const errors = [];
+    const plan = [];
+    const programsByName = await loadProgramsByName();
+    const existingStudents = await Student.find({ studentIdNumber: { $in: rows.map(row => row.studentIdNumber).filter(Boolean) } }).lean();
+    const existingById = new Map(existingStudents.map(student => [student.studentIdNumber, student]));
+    const firstLineById = new Map();
+
+    for (const row of rows) {
+        const reject = (reason) => errors.push({ line: row.line, studentIdNumber: row.studentIdNumber || null, reason });
+        const existing = existingById.get(row.studentIdNumber);
+        const rowErrorCount = errors.length;
+
+        if (!row.studentIdNumber) reject('Student ID Number is required.');
+        else if (firstLineById.has(row.studentIdNumber)) reject(`Student ID ${row.studentIdNumber} appears more than once in the file (first on line ${firstLineById.get(row.studentIdNumber)}).`);
+        else firstLineById.set(row.studentIdNumber, row.line);
+        if (!row.name) reject('Name is required.');
+        const program = programsByName.get(row.program);
+        if (!row.program) reject('Program is required.');
+        else if (!program) reject(`Program '${row.program}' does not exist in the database.`);
+        else if (program.isArchived && (!existing || existing.program !== row.program)) reject(`Program '${row.program}' is archived and cannot be assigned.`);
+        else if (!/^\d+$/.test(row.yearLevel)) reject('Year Level must be a whole number.');
+        else {
+            const yearLevelError = getYearLevelError(program, parseInt(row.yearLevel, 10));
+            if (yearLevelError) reject(yearLevelError);
+        }
+        if (row.section && !SECTION_PATTERN.test(row.section)) reject(`Section '${row.section}' must be up to 10 letters, numbers or dashes.`);
+        if (errors.length > rowErrorCount) continue;
+
+        const fields = { name: row.name, program: row.program, yearLevel: parseInt(row.yearLevel, 10), section: row.section };
+        if (!existing) {
+            plan.push({ line: row.line, studentIdNumber: row.studentIdNumber, action: 'create', fields });
+            continue;
+        }
+        const changes = Object.keys(fields).filter(field => (existing[field] ?? null) !== fields[field]);
+        plan.push({
+            line: row.line,
+            studentIdNumber: row.studentIdNumber,
+            action: changes.length > 0 ? 'update' : 'unchanged',
+            _id: existing._id,
+            existing,
+            changes,
+            fields,
+        });
+    }
+
+    // New students, and students whose name changed (as in updateStudent), get a generated email
+    const needEmail = plan.filter(item => item.action === 'create' || (item.changes || []).includes('name'));
+    const emails = await generateUniqueEmails(needEmail.map(item => item.fields.name));
+    needEmail.forEach((item, index) => { item.fields.email = emails[index]; });
+
+    return { plan, errors };
+};
+
+// @desc    Import or update students from a masterlist CSV or XLSX (use ?dryRun=true to only get the report)
+// @route   POST /api/v1/students/import
+// @access  Private (Admin Only)
+const importStudents = asyncHandler(async (req, res, next) => {
+    if (typeof req.body !== 'string' && !Buffer.isBuffer(req.body)) {
+        res.status(400);
+        return next(new Error(`Send the file as the request body with Content-Type: text/csv (CSV) or ${XLSX_CONTENT_TYPE} (XLSX).`));
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    const { rows, ignoredColumns, errors: fileErrors } = await parseStudentFile(req.body);
+    const { plan, errors: rowErrors } = await planStudentImport(rows);
+    const errors = [...fileErrors, ...rowErrors].sort((a, b) => (a.line || 0) - (b.line || 0));
+    const summary = {
+        rows: rows.length,
+        create: plan.filter(item => item.action === 'create').length,
+        update: plan.filter(item => item.action === 'update').length,
+        unchanged: plan.filter(item => item.action === 'unchanged').length,
+        errors: errors.length,
+    };
+    const report = plan.map(({ line, studentIdNumber, action, changes, fields }) => ({
+        line, studentIdNumber, action, changes, email: fields.email,
+    }));
+
+    if (dryRun) {
+        return res.status(200).json({ success: true, dryRun: true, summary, ignoredColumns, errors, rows: report });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: { message: `The file has ${errors.length} error(s). Nothing was changed.` },
+            summary,
+            errors,
+        });
+    }
+
+    // Written in batches, all in one transaction so a failure part-way leaves the students as they were.
+    // New students get their _id up front so their change log entries can refer to them.
+    const changedItems = plan.filter(item => item.action !== 'unchanged');
+    const changedAt = new Date();
+    const writes = [];
+    const changeLog = [];
+    changedItems.forEach(item => {
+        if (item.action === 'create') {
+            const document = { _id: new mongoose.Types.ObjectId(), studentIdNumber: item.studentIdNumber, ...item.fields };
+            writes.push({ insertOne: { document } });
+            changeLog.push(buildStudentChange(document, diffStudentFields(null, document), { source: 'CREATE', changedBy: req.admin._id, changedAt }));
+        } else {
+            writes.push({ updateOne: { filter: { _id: item._id }, update: { $set: item.fields } } });
+            changeLog.push(buildStudentChange(item.existing, diffStudentFields(item.existing, { ...item.existing, ...item.fields }), { source: 'IMPORT', changedBy: req.admin._id, changedAt }));
+        }
+    });
+    await mongoose.connection.transaction(async (session) => {
+        for (let i = 0; i < writes.length; i += STUDENT_IMPORT_BATCH_SIZE) {
+            await Student.bulkWrite(writes.slice(i, i + STUDENT_IMPORT_BATCH_SIZE), { session });
+            await StudentChange.insertMany(changeLog.slice(i, i + STUDENT_IMPORT_BATCH_SIZE), { session });
+        }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Imported ${rows.length} row(s): ${summary.create} created, ${summary.update} updated, ${summary.unchanged} unchanged.`,
+        summary,
+        ignoredColumns,
+        rows: report,
+    });
+});
+
 module.exports = {
     addStudent,
     getStudents,
     getStudentById,
     updateStudent,
-    deleteStudent
+    deleteStudent,
+    getStudentMealPass,
+    getMyMealPass,
+    revokeStudentMealPasses,
+    importStudents,
+    exportStudents,
+    updateEnrollmentStatus,
+    getStudentHistory,
+    getStudentCohort,
 };
\ No newline at end of file
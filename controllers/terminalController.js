@@ -0,0 +1,139 @@
+const KitchenTerminal = require('../models/KitchenTerminalModel');
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+
+// Helper to load a terminal by its database ID, setting the proper status code on failure
+const findTerminalOrFail = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400);
+        throw new Error(`Invalid terminal ID format: ${req.params.id}`);
+    }
+    const terminal = await KitchenTerminal.findById(req.params.id);
+    if (!terminal) {
+        res.status(404);
+        throw new Error(`Kitchen terminal not found with ID: ${req.params.id}`);
+    }
+    return terminal;
+};
+
+// @desc    Get all registered kitchen terminals
+// @route   GET /api/v1/terminals
+// @access  Private (Admin Only)
+const getTerminals = asyncHandler(async (req, res) => {
+    const terminals = await KitchenTerminal.find({}).sort({ name: 1 });
+    res.status(200).json({
+        success: true,
+        count: terminals.length,
+        data: terminals,
+    });
+});
+
+// @desc    Register a new kitchen terminal and issue its API key
+// @route   POST /api/v1/terminals
+// @access  Private (Admin Only)
+const registerTerminal = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const { name, location } = req.body;
+
+    const terminalExists = await KitchenTerminal.findOne({ name: name.trim() });
+    if (terminalExists) {
+        res.status(400);
+        return next(new Error(`Kitchen terminal with name '${name.trim()}' already exists.`));
+    }
+
+    const terminal = new KitchenTerminal({
+        name: name.trim(),
+        location,
+        createdBy: req.admin._id,
+    });
+    const apiKey = terminal.issueApiKey();
+    await terminal.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Kitchen terminal registered. Store the API key now; it will not be shown again.',
+        apiKey,
+        data: terminal,
+    });
+});
+
+// @desc    Rename or relocate a kitchen terminal
+// @route   PUT /api/v1/terminals/:id
+// @access  Private (Admin Only)
+const updateTerminal = asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400);
+        return next(new Error(errors.array().map(err => err.msg).join(', ')));
+    }
+
+    const terminal = await findTerminalOrFail(req, res);
+    const { name, location } = req.body;
+
+    if (name && name.trim() !== terminal.name) {
+        const nameTaken = await KitchenTerminal.findOne({ name: name.trim() });
+        if (nameTaken) {
+            res.status(400);
+            return next(new Error(`Kitchen terminal with name '${name.trim()}' already exists.`));
+        }
+        terminal.name = name.trim();
+    }
+    if (location !== undefined) terminal.location = location;
+
+    const updatedTerminal = await terminal.save();
+    res.status(200).json({
+        success: true,
+        message: 'Kitchen terminal updated successfully',
+        data: updatedTerminal,
+    });
+});
+
+// @desc    Rotate a kitchen terminal's API key (the old key stops working immediately)
+// @route   POST /api/v1/terminals/:id/rotate-key
+// @access  Private (Admin Only)
+const rotateTerminalKey = asyncHandler(async (req, res) => {
+    const terminal = await findTerminalOrFail(req, res);
+
+    const apiKey = terminal.issueApiKey();
+    terminal.isActive = true;
+    terminal.revokedAt = undefined;
+    await terminal.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'API key rotated. Store the new key now; it will not be shown again.',
+        apiKey,
+        data: terminal,
+    });
+});
+
+// @desc    Revoke a kitchen terminal's access
+// @route   POST /api/v1/terminals/:id/revoke
+// @access  Private (Admin Only)
+const revokeTerminal = asyncHandler(async (req, res) => {
+    const terminal = await findTerminalOrFail(req, res);
+
+    terminal.isActive = false;
+    terminal.revokedAt = new Date();
+    await terminal.save();
+
+    res.status(200).json({
+        success: true,
+        message: `Kitchen terminal '${terminal.name}' has been revoked.`,
+        data: terminal,
+    });
+});
+
+module.exports = {
+    getTerminals,
+    registerTerminal,
+    updateTerminal,
+    rotateTerminalKey,
+    revokeTerminal,
+};
@@ -3,11 +3,10 @@ const path = require('path');
 const { faker } = require('@faker-js/faker');
 
 const programsFilePath = path.join(__dirname, '_data', 'programs.json');
-let ALLOWED_PROGRAMS = [];
+let PROGRAMS = [];
 try {
     const programsData = fs.readFileSync(programsFilePath, 'utf-8');
-    const programs = JSON.parse(programsData);
-    ALLOWED_PROGRAMS = programs.map(p => p.name);
+    PROGRAMS = JSON.parse(programsData);
 } catch (error) {
     console.error(`Error: Could not read or parse programs.json at ${programsFilePath}`.red.bold);
     process.exit(1);
@@ -35,13 +34,12 @@ for (let i = 0; i < NUM_STUDENTS; i++) {
     const middleInitialOrRandom = faker.string.alpha(1).toUpperCase(); 
     const initials = `${firstInitial}${lastInitial}${middleInitialOrRandom}`;
 
-    const program = faker.helpers.arrayElement(ALLOWED_PROGRAMS);
-    let yearLevel;
-    if (program === 'ACT') {
-        yearLevel = faker.helpers.arrayElement([1, 2]);
-    } else {
-        yearLevel = faker.helpers.arrayElement([1, 2, 3, 4]);
-    }
+    // Year levels come from the program, with the same defaults as ProgramModel
+    const programData = faker.helpers.arrayElement(PROGRAMS);
+    const program = programData.name;
+    const minYearLevel = programData.minYearLevel || 1;
+    const maxYearLevel = programData.maxYearLevel || (programData.programType === 'ASSOCIATE' ? 2 : 4);
+    const yearLevel = faker.number.int({ min: minYearLevel, max: maxYearLevel });
     const section = faker.helpers.arrayElement(SECTIONS);
 
     const yearPrefix = new Date().getFullYear().toString().slice(-2); 
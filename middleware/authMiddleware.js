@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/AdminModel'); // Need Admin model to find user by ID from token
+const KitchenTerminal = require('../models/KitchenTerminalModel'); // Need terminal registry to verify kitchen API keys
+const Student = require('../models/StudentModel'); // Need Student model to find the student signed in with Google
+const firebaseAdmin = require('../config/firebaseAdmin');
+const { verifyStreamToken } = require('../utils/streamToken');
 // const asyncHandler = require('./asyncHandler'); // Optional: For cleaner async error handling
 
 // middleware/authMiddleware.js
@@ -61,25 +65,106 @@ const protect = async (req, res, next) => {
 
 
 /**
- * Protects routes intended for Kitchen Staff by verifying a static API Key.
+ * Protects Server-Sent Events routes. Accepts a short-lived stream token as ?token= (browsers' EventSource
+ * cannot send headers); without one, falls back to the Bearer JWT check of protect.
+ * Attaches the authenticated admin document to req.admin if successful.
  */
-const protectKitchen = (req, res, next) => {
-    const apiKey = req.headers['x-api-key']; // Or 'apikey', 'Authorization', etc. Choose a header name.
+const protectStream = async (req, res, next) => {
+    if (!req.query.token) return protect(req, res, next);
+
+    try {
+        const { id } = verifyStreamToken(String(req.query.token));
+        req.admin = await Admin.findById(id).select('-password');
+        if (!req.admin) {
+            res.status(401);
+            return next(new Error('Not authorized, user not found'));
+        }
+        next();
+    } catch (error) {
+        console.error(`Stream Token Verification Error: ${error.message}`.red);
+        res.status(401);
+        if (error.name === 'TokenExpiredError') {
+            return next(new Error('Not authorized, stream token expired. Request a new one.'));
+        }
+        return next(new Error('Not authorized, stream token failed verification'));
+    }
+};
 
-    if (!process.env.KITCHEN_STAFF_API_KEY) {
-        console.error('FATAL ERROR: KITCHEN_STAFF_API_KEY is not defined in environment variables.'.red.bold);
-        res.status(500); // Internal Server Error
-        return next(new Error('Server configuration error: API key not set.'));
+/**
+ * Protects routes intended for Kitchen Staff by verifying a per-terminal API Key.
+ * Attaches the registered kitchen terminal document to req.terminal if successful.
+ */
+const protectKitchen = async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+
+    if (!apiKey) {
+        res.status(401); // Unauthorized
+        return next(new Error('Unauthorized: Missing API Key.'));
     }
 
-    if (apiKey && apiKey === process.env.KITCHEN_STAFF_API_KEY) {
-        // API Key is valid
-        // Optionally, you could attach some identifier for the kitchen client if needed
-        // req.kitchenClient = { id: 'kitchen_terminal_1' };
+    try {
+        const terminal = await KitchenTerminal.findOne({
+            apiKeyHash: KitchenTerminal.hashApiKey(apiKey),
+            isActive: true,
+        });
+
+        if (!terminal) {
+            res.status(401); // Unauthorized
+            return next(new Error('Unauthorized: Invalid or revoked API Key.'));
+        }
+
+        // Record usage without blocking the scan on the write
+        KitchenTerminal.updateOne({ _id: terminal._id }, { lastUsedAt: new Date() }).catch((error) => {
+            console.warn(`Failed to update lastUsedAt for terminal ${terminal.name}: ${error.message}`.yellow);
+        });
+
+        req.terminal = terminal;
         next();
-    } else {
+    } catch (error) {
+        console.error(`Kitchen API Key Verification Error: ${error.message}`.red);
+        res.status(500);
+        return next(new Error('Server error while verifying API Key.'));
+    }
+};
+
+/**
+ * Protects routes used by students themselves (e.g. fetching their own QR meal pass).
+ * Expects the Firebase ID token from the student's Google Sign-In as `Authorization: Bearer <token>`,
+ * and attaches the student whose school email it belongs to as req.student.
+ */
+const protectStudent = async (req, res, next) => {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
         res.status(401); // Unauthorized
-        return next(new Error('Unauthorized: Invalid or missing API Key.'));
+        return next(new Error('Not authorized, no token provided'));
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await firebaseAdmin.auth().verifyIdToken(req.headers.authorization.split(' ')[1]);
+    } catch (error) {
+        console.error(`Student Token Verification Error: ${error.code || error.message}`.red);
+        res.status(401);
+        if (error.code === 'auth/id-token-expired') {
+            return next(new Error('Not authorized, token expired. Please sign in again.'));
+        }
+        return next(new Error('Not authorized, token failed verification'));
+    }
+
+    try {
+        const student = decodedToken.email
+            ? await Student.findOne({ email: decodedToken.email.toLowerCase() })
+            : null;
+        if (!student) {
+            res.status(403); // Forbidden
+            return next(new Error('No student record is linked to this Google account. Please contact the school office.'));
+        }
+
+        req.student = student;
+        next();
+    } catch (error) {
+        console.error(`Student Lookup Error: ${error.message}`.red);
+        res.status(500);
+        return next(new Error('Server error while verifying the student account.'));
     }
 };
 
@@ -125,7 +210,9 @@ const errorHandler = (err, req, res, next) => {
 
 module.exports = {
     protect,
-    // protectKitchen, // Add this line
+    protectStream,
+    protectKitchen,
+    protectStudent,
     notFound,
     errorHandler
 };
\ No newline at end of file
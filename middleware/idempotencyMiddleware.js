@@ -0,0 +1,64 @@
+// middleware/idempotencyMiddleware.js
+const colors = require('colors'); // Optional for colored logging
+const IdempotencyKey = require('../models/IdempotencyKeyModel');
+
+/**
+ * Makes a route safe to retry when the client sends an `Idempotency-Key` header.
+ * The first request with a key is processed normally and its JSON response is stored.
+ * Later requests with the same key replay the stored response instead of running the handler again.
+ * Requests without the header pass straight through.
+ * Must be placed after the authentication middleware so the key can be scoped to the caller.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+        return next();
+    }
+
+    const scope = req.terminal ? `terminal:${req.terminal._id}` : req.admin ? `admin:${req.admin._id}` : 'anonymous';
+
+    try {
+        const existing = await IdempotencyKey.findOne({ key, scope });
+        if (existing) {
+            if (existing.method !== req.method || existing.path !== req.originalUrl) {
+                res.status(422); // Unprocessable Entity
+                return next(new Error('This Idempotency-Key was already used for a different request.'));
+            }
+            if (!existing.completedAt) {
+                res.status(409); // Conflict
+                return next(new Error('A request with this Idempotency-Key is still being processed.'));
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        await IdempotencyKey.create({ key, scope, method: req.method, path: req.originalUrl });
+    } catch (error) {
+        if (error.code === 11000) {
+            // Another request with the same key got in between our lookup and insert
+            res.status(409);
+            return next(new Error('A request with this Idempotency-Key is still being processed.'));
+        }
+        res.status(500);
+        return next(error);
+    }
+
+    // Capture the outcome so it can be replayed. Server errors release the key so the client can retry.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const storeOutcome = res.statusCode >= 500
+            ? IdempotencyKey.deleteOne({ key, scope })
+            : IdempotencyKey.updateOne(
+                { key, scope },
+                { responseStatus: res.statusCode, responseBody: body, completedAt: new Date() }
+            );
+        storeOutcome.catch((error) => {
+            console.error(`Failed to store idempotent response for key ${key}: ${error.message}`.red);
+        });
+        return originalJson(body);
+    };
+
+    next();
+};
+
+module.exports = { idempotent };
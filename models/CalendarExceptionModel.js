@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { formatCampusDate } = require('../utils/campusTime');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// NO_MEALS:     Holiday, suspended classes, exam day... nobody (or only the targeted cohort) is served.
+// DAY_OVERRIDE: Make-up day; the whole campus follows the weekly schedule of `treatAsDay`.
+// COHORT_GRANT: One-day grant; the targeted program (or program + year) is served regardless of schedule.
+const CALENDAR_EXCEPTION_TYPES = ['NO_MEALS', 'DAY_OVERRIDE', 'COHORT_GRANT'];
+
+const calendarExceptionSchema = new mongoose.Schema(
+  {
+    // Midnight on campus of the affected day
+    date: {
+      type: Date,
+      required: [true, 'Date is required for a calendar exception'],
+      index: true,
+    },
+    type: {
+      type: String,
+      required: [true, 'Calendar exception type is required'],
+      enum: {
+        values: CALENDAR_EXCEPTION_TYPES,
+        message: '{VALUE} is not a supported calendar exception type',
+      },
+    },
+    treatAsDay: {
+      type: String,
+      enum: {
+        values: DAYS_OF_WEEK,
+        message: '{VALUE} is not a valid day of the week',
+      },
+    },
+    // Optional cohort targeting for NO_MEALS; required (at least the program) for COHORT_GRANT
+    program: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    yearLevel: {
+      type: Number,
+      min: [1, 'Year level must be at least 1'], // The upper limit comes from the program
+      default: null,
+    },
+    // Optional: only this meal service. Without one, NO_MEALS cancels every service and COHORT_GRANT grants lunch only.
+    mealService: {
+      type: String,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+      default: null,
+    },
+    description: {
+      type: String,
+      required: [true, 'Please add a description (e.g., Independence Day, Midterm Exams)'],
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, id: false },
+    toObject: { virtuals: true, id: false },
+  }
+);
+
+// Only one "treat as" rule can apply to a date
+calendarExceptionSchema.index(
+  { date: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'DAY_OVERRIDE' } }
+);
+
+calendarExceptionSchema.virtual('dateLocal').get(function () {
+  return this.date ? formatCampusDate(this.date) : undefined;
+});
+
+calendarExceptionSchema.pre('validate', function(next) {
+    if (this.type === 'DAY_OVERRIDE') {
+        if (!this.treatAsDay) {
+            return next(new Error('A DAY_OVERRIDE exception must specify which day to treat the date as (treatAsDay).'));
+        }
+        if (this.program || this.yearLevel) {
+            return next(new Error('A DAY_OVERRIDE exception applies to the whole campus and cannot target a cohort.'));
+        }
+        if (this.mealService) {
+            return next(new Error('A DAY_OVERRIDE exception applies to every meal service and cannot target one.'));
+        }
+    } else {
+        this.treatAsDay = undefined;
+    }
+    if (this.type === 'COHORT_GRANT' && !this.program) {
+        return next(new Error('A COHORT_GRANT exception must specify at least a program.'));
+    }
+    if (this.yearLevel && !this.program) {
+        return next(new Error('A year level can only be set on a calendar exception together with a program.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('CalendarException', calendarExceptionSchema);
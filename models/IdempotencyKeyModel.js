@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, 'Idempotency key is required'],
+            trim: true,
+        },
+        // Who the key belongs to (a kitchen terminal or admin ID), so clients cannot replay each other's responses
+        scope: {
+            type: String,
+            required: true,
+        },
+        method: {
+            type: String,
+            required: true,
+        },
+        path: {
+            type: String,
+            required: true,
+        },
+        responseStatus: {
+            type: Number,
+        },
+        responseBody: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        completedAt: {
+            type: Date,
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+            expires: 60 * 60 * 24, // Keys are forgotten after 24 hours
+        },
+    }
+);
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const kitchenTerminalSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Please add a terminal name (e.g., Main Canteen - Station 1)'],
+            unique: true,
+            trim: true,
+        },
+        location: {
+            type: String,
+            trim: true,
+        },
+        // Only the SHA-256 hash of the API key is stored. The raw key is shown once on register/rotate.
+        apiKeyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        // First characters of the raw key, safe to display so admins can tell keys apart.
+        apiKeyPrefix: {
+            type: String,
+            required: true,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        keyRotatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        lastUsedAt: {
+            type: Date,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+kitchenTerminalSchema.statics.hashApiKey = function (apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+// Generates a new raw API key and sets its hash/prefix on this terminal. Returns the raw key.
+kitchenTerminalSchema.methods.issueApiKey = function () {
+    const apiKey = `kt_${crypto.randomBytes(32).toString('hex')}`;
+    this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+    this.apiKeyPrefix = apiKey.substring(0, 11);
+    this.keyRotatedAt = new Date();
+    return apiKey;
+};
+
+module.exports = mongoose.model('KitchenTerminal', kitchenTerminalSchema);
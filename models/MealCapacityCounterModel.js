@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+// Days after the service day that a counter is kept. Claims can only change for a few days
+// (offline uploads are accepted up to OFFLINE_CLAIM_MAX_AGE_DAYS), so old counters are removed.
+const COUNTER_RETENTION_DAYS = 30;
+
+// Portions handed out so far on a service day, per meal service and program (null = whole kitchen).
+// A claim reserves its portion here with a single conditional increment before its meal record is
+// written, so terminals scanning at the same moment cannot go past a capacity. Cancelled claims give it back.
+const mealCapacityCounterSchema = new mongoose.Schema(
+  {
+    // Midnight on campus of the service day
+    serviceDate: {
+      type: Date,
+      required: true,
+    },
+    mealService: {
+      type: String,
+      required: true,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+    },
+    program: {
+      type: String,
+      default: null,
+    },
+    claimed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mealCapacityCounterSchema.index({ serviceDate: 1, mealService: 1, program: 1 }, { unique: true });
+mealCapacityCounterSchema.index({ serviceDate: 1 }, { expireAfterSeconds: COUNTER_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('MealCapacityCounter', mealCapacityCounterSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { formatCampusDate } = require('../utils/campusTime');
+const { MEAL_SERVICES, DEFAULT_MEAL_SERVICE } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Number of portions the kitchen cooks. A capacity applies either every week on a weekday, or on one
+// specific date (which replaces the weekday capacity for the same program on that date).
+const mealCapacitySchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: String,
+      enum: {
+        values: DAYS_OF_WEEK,
+        message: '{VALUE} is not a valid day of the week',
+      },
+      default: null,
+    },
+    // Midnight on campus of the specific date
+    date: {
+      type: Date,
+      default: null,
+    },
+    // Optional: a separate quota for one program. Leave empty for the whole kitchen.
+    program: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    mealService: {
+      type: String,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+      default: DEFAULT_MEAL_SERVICE,
+    },
+    portions: {
+      type: Number,
+      required: [true, 'Number of portions is required'],
+      min: [0, 'Portions cannot be negative'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, id: false },
+    toObject: { virtuals: true, id: false },
+  }
+);
+
+mealCapacitySchema.index({ dayOfWeek: 1, date: 1, mealService: 1, program: 1 }, { unique: true });
+
+mealCapacitySchema.virtual('dateLocal').get(function () {
+  return this.date ? formatCampusDate(this.date) : null;
+});
+
+mealCapacitySchema.pre('validate', function(next) {
+    if (!this.dayOfWeek === !this.date) {
+        return next(new Error('A meal capacity must have either a dayOfWeek or a specific date, not both.'));
+    }
+    if (this.portions != null && !Number.isInteger(this.portions)) {
+        return next(new Error('Portions must be a whole number.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('MealCapacity', mealCapacitySchema);
@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
+const { formatCampusDate, formatCampusDateTime } = require('../utils/campusTime');
+const { MEAL_SERVICES, DEFAULT_MEAL_SERVICE } = require('../utils/mealServices');
 
 const MEAL_RECORD_STATUSES = [
     'CLAIMED',
     'INELIGIBLE_NOT_SCHEDULED',
     'INELIGIBLE_STUDENT_NOT_FOUND',
+    'INELIGIBLE_OUTSIDE_SERVICE_WINDOW',
+    'INELIGIBLE_OVERRIDE_DENIED',
+    'INELIGIBLE_CAPACITY_REACHED',
+    'INELIGIBLE_NOT_ENROLLED',
     'ELIGIBLE_BUT_NOT_CLAIMED',
+    'CLAIM_CANCELLED',
 ];
 
 const mealRecordSchema = new mongoose.Schema(
@@ -29,12 +36,35 @@ const mealRecordSchema = new mongoose.Schema(
         type: Number,
         required: [true, 'Year level is required at time of record'],
     },
+    sectionAtTimeOfRecord: {
+        type: String,
+        uppercase: true,
+        default: null,
+    },
     dateChecked: {
       type: Date,
       required: [true, 'Date of check/claim is required'],
       default: Date.now,
       index: true,
     },
+    // Start of the service day this record counts towards. Used to enforce one claim per student per meal service per day.
+    serviceDate: {
+      type: Date,
+      index: true,
+    },
+    mealService: {
+      type: String,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+      default: DEFAULT_MEAL_SERVICE,
+    },
+    terminal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KitchenTerminal',
+      required: false, // Not set for system-generated records (e.g., unclaimed backfill)
+    },
     status: {
       type: String,
       required: [true, 'Meal record status is required'],
@@ -43,9 +73,36 @@ const mealRecordSchema = new mongoose.Schema(
         message: '{VALUE} is not a supported meal record status',
       },
     },
+    recordedOffline: {
+      type: Boolean,
+      default: false, // True for claims uploaded by a terminal after working offline
+    },
+    cancelledAt: {
+      type: Date, // Set when the kitchen cancels a mis-scanned claim
+    },
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true, id: false },
+    toObject: { virtuals: true, id: false },
+  }
+);
+
+// Campus-local renderings of the stored UTC timestamps, included in API responses
+mealRecordSchema.virtual('dateCheckedLocal').get(function () {
+  return this.dateChecked ? formatCampusDateTime(this.dateChecked) : undefined;
+});
+mealRecordSchema.virtual('serviceDateLocal').get(function () {
+  return this.serviceDate ? formatCampusDate(this.serviceDate) : undefined;
+});
+
+// Database-level guarantee that concurrent scans cannot create two claims for the same student and meal service on the same day.
+// Legacy records without a serviceDate are excluded so the index can be built over existing data.
+mealRecordSchema.index(
+  { student: 1, serviceDate: 1, mealService: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'CLAIMED', serviceDate: { $exists: true } },
   }
 );
 
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+const PROGRAM_TYPES = ['BACHELOR', 'ASSOCIATE', 'GRADUATE'];
+// Upper bound for any program, so a typo cannot create a 40-year program
+const MAX_PROGRAM_YEARS = 10;
+
 const programSchema = new mongoose.Schema(
     {
         name: {
@@ -19,11 +23,54 @@ const programSchema = new mongoose.Schema(
             required: [true, 'Please add a hex color code for the program (e.g., #46050A)'],
             default: '#FFFFFF', // Default to white
             trim: true,
-        }
+        },
+        // Optional classification, e.g. ASSOCIATE for two-year programs such as ACT
+        programType: {
+            type: String,
+            enum: {
+                values: PROGRAM_TYPES,
+                message: '{VALUE} is not a supported program type',
+            },
+            default: null,
+        },
+        // The year levels students and schedules of this program can have
+        minYearLevel: {
+            type: Number,
+            min: [1, 'Minimum year level must be at least 1'],
+            default: 1,
+        },
+        maxYearLevel: {
+            type: Number,
+            max: [MAX_PROGRAM_YEARS, `Maximum year level cannot exceed ${MAX_PROGRAM_YEARS}`],
+            // Associate programs run for two years; everything else defaults to four
+            default: function () {
+                return this.programType === 'ASSOCIATE' ? 2 : 4;
+            },
+        },
+        // Archived programs are hidden from dropdowns and cannot be given to new students or schedule
+        // entries, but keep their existing students and meal history
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        archivedAt: {
+            type: Date,
+        },
     },
     {
         timestamps: true,
     }
 );
 
+// Safety net only: the controller rejects an inverted range with a 400 before saving
+programSchema.pre('validate', function(next) {
+    if (!Number.isInteger(this.minYearLevel) || !Number.isInteger(this.maxYearLevel)) {
+        return next(new Error('Year level limits must be whole numbers.'));
+    }
+    if (this.minYearLevel > this.maxYearLevel) {
+        return next(new Error('Minimum year level cannot be greater than the maximum year level.'));
+    }
+    next();
+});
+
 module.exports = mongoose.model('Program', programSchema);
\ No newline at end of file
@@ -1,9 +1,17 @@
 const mongoose = require('mongoose');
+const { MEAL_SERVICES, DEFAULT_MEAL_SERVICE } = require('../utils/mealServices');
+const { validateProgramYearLevel } = require('../utils/programRules');
 
 const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
 const scheduleSchema = new mongoose.Schema(
   {
+    // The schedule version this entry belongs to; null for the base schedule
+    version: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduleVersion',
+      default: null,
+    },
     program: {
       type: String,
       required: [true, 'Program is required for schedule entry'],
@@ -12,8 +20,24 @@ const scheduleSchema = new mongoose.Schema(
     yearLevel: {
       type: Number,
       required: [true, 'Year level is required for schedule entry'],
-      min: [1, 'Year level must be at least 1'],
-      max: [4, 'Year level cannot exceed 4'],
+      min: [1, 'Year level must be at least 1'], // The upper limit comes from the program
+    },
+    // Optional: limit the entry to one section. Section entries take precedence over the
+    // cohort-wide entry (section null) for that day; other sections fall back to the cohort entry.
+    section: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    // The meal this entry is for; each service has its own weekly schedule
+    mealService: {
+      type: String,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+      default: DEFAULT_MEAL_SERVICE,
     },
     dayOfWeek: {
       type: String,
@@ -34,14 +58,14 @@ const scheduleSchema = new mongoose.Schema(
   }
 );
 
-scheduleSchema.index({ program: 1, yearLevel: 1, dayOfWeek: 1 }, { unique: true });
+scheduleSchema.index({ version: 1, program: 1, yearLevel: 1, section: 1, mealService: 1, dayOfWeek: 1 }, { unique: true });
 
+// The year level is checked against the program's own limits
 scheduleSchema.pre('save', function(next) {
-    if (this.program === 'ACT' && this.yearLevel > 2) {
-        const err = new Error('ACT program schedule is only available for Year 1 and 2.');
-        return next(err);
-    }
-    next();
+    if (!this.isModified('program') && !this.isModified('yearLevel')) return next();
+    validateProgramYearLevel(this.program, this.yearLevel)
+        .then(error => next(error ? new Error(error) : undefined))
+        .catch(next);
 });
 
 module.exports = mongoose.model('Schedule', scheduleSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { formatCampusDate } = require('../utils/campusTime');
+
+// A dated edition of the weekly schedule (e.g., one per semester). Schedule entries belong to a version;
+// entries without a version form the base schedule, used on dates no version covers.
+const scheduleVersionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a name for the schedule version (e.g., 1st Semester AY 2025-2026)'],
+      unique: true,
+      trim: true,
+    },
+    // Midnight on campus of the first day the version is in force
+    effectiveFrom: {
+      type: Date,
+      required: [true, 'Effective start date is required'],
+      index: true,
+    },
+    // Last millisecond of the last day it is in force (inclusive). Null means open-ended.
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, id: false },
+    toObject: { virtuals: true, id: false },
+  }
+);
+
+scheduleVersionSchema.virtual('effectiveFromLocal').get(function () {
+  return this.effectiveFrom ? formatCampusDate(this.effectiveFrom) : undefined;
+});
+scheduleVersionSchema.virtual('effectiveToLocal').get(function () {
+  return this.effectiveTo ? formatCampusDate(this.effectiveTo) : null;
+});
+
+scheduleVersionSchema.pre('validate', function(next) {
+    if (this.effectiveFrom && this.effectiveTo && this.effectiveFrom > this.effectiveTo) {
+        return next(new Error('Schedule version must start on or before its end date.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('ScheduleVersion', scheduleVersionSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// One end-of-school-year promotion run. Keeps what it changed for every student, so the run can be undone.
+const rolloverChangeSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    studentIdNumber: {
+      type: String,
+      required: true,
+    },
+    program: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['PROMOTED', 'GRADUATED'],
+      required: true,
+    },
+    fromYearLevel: {
+      type: Number,
+      required: true,
+    },
+    toYearLevel: {
+      type: Number,
+      required: true,
+    },
+    // Enrollment status before the run (null for students created before it was tracked); restored on undo
+    fromEnrollmentStatus: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const schoolYearRolloverSchema = new mongoose.Schema(
+  {
+    // The school year that ended, e.g. "2025-2026"
+    schoolYear: {
+      type: String,
+      required: [true, 'Please specify the school year being closed (e.g., 2025-2026)'],
+      trim: true,
+    },
+    performedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    repeaters: {
+      type: [String],
+      default: [],
+    },
+    onLeave: {
+      type: [String],
+      default: [],
+    },
+    summary: {
+      promoted: { type: Number, default: 0 },
+      graduated: { type: Number, default: 0 },
+      excluded: { type: Number, default: 0 },
+    },
+    // The undo snapshot (not returned by the list endpoint)
+    changes: {
+      type: [rolloverChangeSchema],
+      select: false,
+    },
+    undoneAt: {
+      type: Date,
+      default: null,
+    },
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A school year can only be rolled over once (unless that run was undone)
+schoolYearRolloverSchema.index(
+  { schoolYear: 1 },
+  { unique: true, partialFilterExpression: { undoneAt: { $type: 'null' } } }
+);
+
+module.exports = mongoose.model('SchoolYearRollover', schoolYearRolloverSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { MEAL_SERVICES, DEFAULT_MEAL_SERVICE } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const serviceWindowSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: String,
+      required: [true, 'Day of the week is required'],
+      enum: {
+        values: DAYS_OF_WEEK,
+        message: '{VALUE} is not a valid day of the week',
+      },
+    },
+    mealService: {
+      type: String,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+      default: DEFAULT_MEAL_SERVICE,
+    },
+    startTime: {
+      type: String,
+      required: [true, 'Start time (HH:mm) is required'],
+      match: [TIME_OF_DAY_REGEX, 'Start time must be in 24-hour HH:mm format'],
+    },
+    endTime: {
+      type: String,
+      required: [true, 'End time (HH:mm) is required'],
+      match: [TIME_OF_DAY_REGEX, 'End time must be in 24-hour HH:mm format'],
+    },
+    // Optional cohort targeting. Leave both empty for a window that applies to everyone on that day.
+    program: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    yearLevel: {
+      type: Number,
+      min: [1, 'Year level must be at least 1'], // The upper limit comes from the program
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+serviceWindowSchema.index({ dayOfWeek: 1, mealService: 1, program: 1, yearLevel: 1 }, { unique: true });
+
+// Safety net only: the controller rejects these with a 400 before saving
+serviceWindowSchema.pre('validate', function(next) {
+    if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+        return next(new Error('Service window start time must be before its end time.'));
+    }
+    if (this.yearLevel && !this.program) {
+        return next(new Error('A year level can only be set on a service window together with a program.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('ServiceWindow', serviceWindowSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const STUDENT_CHANGE_SOURCES = ['CREATE', 'UPDATE', 'IMPORT', 'ENROLLMENT', 'ROLLOVER', 'ROLLOVER_UNDO', 'DELETE'];
+
+// One edit to a student: who made it, when, and the before/after value of every field it changed.
+// Used for the student's history and to work out which cohort a student was in on a past date.
+const studentChangeSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    studentIdNumber: {
+      type: String,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    source: {
+      type: String,
+      enum: STUDENT_CHANGE_SOURCES,
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+  },
+  {
+    timestamps: false,
+  }
+);
+
+studentChangeSchema.index({ student: 1, changedAt: -1 });
+studentChangeSchema.index({ changedAt: 1 });
+
+module.exports = mongoose.model('StudentChange', studentChangeSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { formatCampusDate } = require('../utils/campusTime');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// GRANT: the student is served on the covered days even if their cohort is not scheduled.
+// DENY:  the student is not served on the covered days (e.g., suspension from the program).
+const OVERRIDE_TYPES = ['GRANT', 'DENY'];
+
+const studentEligibilityOverrideSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: [true, 'Student is required for an eligibility override'],
+      index: true,
+    },
+    type: {
+      type: String,
+      required: [true, 'Override type is required'],
+      enum: {
+        values: OVERRIDE_TYPES,
+        message: '{VALUE} is not a supported override type',
+      },
+    },
+    // Midnight on campus of the first covered day
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    // Last millisecond of the last covered day (inclusive)
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+    },
+    // Optional: only these weekdays within the range (e.g., an extra Saturday for a working student)
+    daysOfWeek: {
+      type: [{ type: String, enum: DAYS_OF_WEEK }],
+      default: undefined,
+    },
+    // Optional: only this meal service. Without one, DENY covers every service and GRANT grants lunch only.
+    mealService: {
+      type: String,
+      enum: {
+        values: MEAL_SERVICES,
+        message: '{VALUE} is not a valid meal service',
+      },
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please add a reason (e.g., Working student, Disciplinary suspension, Medical)'],
+      trim: true,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, id: false },
+    toObject: { virtuals: true, id: false },
+  }
+);
+
+studentEligibilityOverrideSchema.index({ startDate: 1, endDate: 1 });
+
+studentEligibilityOverrideSchema.virtual('startDateLocal').get(function () {
+  return this.startDate ? formatCampusDate(this.startDate) : undefined;
+});
+studentEligibilityOverrideSchema.virtual('endDateLocal').get(function () {
+  return this.endDate ? formatCampusDate(this.endDate) : undefined;
+});
+
+studentEligibilityOverrideSchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.startDate > this.endDate) {
+        return next(new Error('Override start date must be on or before its end date.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('StudentEligibilityOverride', studentEligibilityOverrideSchema);
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { validateProgramYearLevel } = require('../utils/programRules');
+const { ENROLLMENT_STATUSES, DEFAULT_ENROLLMENT_STATUS } = require('../utils/enrollment');
+
+const enrollmentChangeSchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            enum: ENROLLMENT_STATUSES,
+            required: true,
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        reason: {
+            type: String,
+            trim: true,
+        },
+    },
+    { _id: false }
+);
 
 const studentSchema = new mongoose.Schema(
     {
@@ -28,8 +53,7 @@ const studentSchema = new mongoose.Schema(
         yearLevel: {
             type: Number,
             required: [true, 'Please specify the year level'],
-            min: [1, 'Year level must be at least 1'],
-            max: [4, 'Year level cannot exceed 4'],
+            min: [1, 'Year level must be at least 1'], // The upper limit comes from the program
         },
         section: {
             type: String,
@@ -41,6 +65,34 @@ const studentSchema = new mongoose.Schema(
             default: '/images/default-avatar.png',
             trim: true,
         },
+        // Bumped when a student's QR meal passes are revoked (e.g., lost ID card); older passes stop working
+        mealPassVersion: {
+            type: Number,
+            default: 0,
+        },
+        mealPassRevokedAt: {
+            type: Date,
+        },
+        // Only ACTIVE students are eligible for meals and counted in allotments
+        enrollmentStatus: {
+            type: String,
+            enum: {
+                values: ENROLLMENT_STATUSES,
+                message: '{VALUE} is not a valid enrollment status',
+            },
+            default: DEFAULT_ENROLLMENT_STATUS,
+            index: true,
+        },
+        // Every status change, oldest first
+        enrollmentHistory: {
+            type: [enrollmentChangeSchema],
+            default: [],
+        },
+        // Set when a student finishes the final year of their program (by the school-year rollover or by hand)
+        graduatedAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -52,4 +104,12 @@ studentSchema.index(
     { unique: true, partialFilterExpression: { email: { $type: "string" } } }
 );
 
+// Students can only be in a year level their program offers
+studentSchema.pre('save', function(next) {
+    if (!this.isModified('program') && !this.isModified('yearLevel')) return next();
+    validateProgramYearLevel(this.program, this.yearLevel)
+        .then(error => next(error ? new Error(error) : undefined))
+        .catch(next);
+});
+
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
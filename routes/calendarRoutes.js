@@ -0,0 +1,50 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const {
+    getCalendarExceptions,
+    addCalendarException,
+    updateCalendarException,
+    deleteCalendarException,
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const CALENDAR_EXCEPTION_TYPES = ['NO_MEALS', 'DAY_OVERRIDE', 'COHORT_GRANT'];
+
+const router = express.Router();
+
+const calendarExceptionValidationRules = [
+    body('date', 'Date is required (YYYY-MM-DD)').notEmpty().isString(),
+    body('type', `Type must be one of: ${CALENDAR_EXCEPTION_TYPES.join(', ')}`).trim().toUpperCase().isIn(CALENDAR_EXCEPTION_TYPES),
+    body('treatAsDay', 'treatAsDay must be a valid day of the week').optional({ nullable: true }).isIn(DAYS_OF_WEEK),
+    body('program', 'Program must be a string if provided').optional({ nullable: true }).isString().trim().toUpperCase(),
+    body('yearLevel', 'Year Level must be a positive integer if provided').optional({ nullable: true })
+        .isInt({ min: 1 }),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional({ nullable: true }).toUpperCase().isIn(MEAL_SERVICES),
+    body('description', 'Description is required').notEmpty().isString().trim(),
+];
+
+const updateCalendarExceptionValidationRules = [
+    body('date', 'Date must be a string (YYYY-MM-DD) if provided').optional().isString(),
+    body('type', `Type must be one of: ${CALENDAR_EXCEPTION_TYPES.join(', ')}`).optional().trim().toUpperCase().isIn(CALENDAR_EXCEPTION_TYPES),
+    body('treatAsDay', 'treatAsDay must be a valid day of the week').optional({ nullable: true }).isIn(DAYS_OF_WEEK),
+    body('program', 'Program must be a string if provided').optional({ nullable: true }).isString().trim().toUpperCase(),
+    body('yearLevel', 'Year Level must be a positive integer if provided').optional({ nullable: true })
+        .isInt({ min: 1 }),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional({ nullable: true }).toUpperCase().isIn(MEAL_SERVICES),
+    body('description', 'Description must be a non-empty string if provided').optional().notEmpty().isString().trim(),
+];
+
+router.use(protect); // All calendar routes are admin only
+
+router.route('/')
+    .get(getCalendarExceptions)
+    .post(calendarExceptionValidationRules, addCalendarException);
+
+router.route('/:id')
+    .put(updateCalendarExceptionValidationRules, updateCalendarException)
+    .delete(deleteCalendarException);
+
+module.exports = router;
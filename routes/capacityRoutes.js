@@ -0,0 +1,42 @@
+// routes/capacityRoutes.js
+const express = require('express');
+const {
+    getMealCapacities,
+    addMealCapacity,
+    updateMealCapacity,
+    deleteMealCapacity,
+    getRemainingPortions,
+} = require('../controllers/capacityController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const router = express.Router();
+
+const mealCapacityValidationRules = [
+    body('dayOfWeek', 'dayOfWeek must be a valid day of the week if provided').optional({ nullable: true }).isIn(DAYS_OF_WEEK),
+    body('date', 'Date must be a string (YYYY-MM-DD) if provided').optional({ nullable: true }).isString(),
+    body('program', 'Program must be a string if provided').optional({ nullable: true }).isString().trim().toUpperCase(),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional().toUpperCase().isIn(MEAL_SERVICES),
+    body('portions', 'Portions must be a whole number of at least 0').isInt({ min: 0 }),
+];
+
+const updateMealCapacityValidationRules = [
+    body('portions', 'Portions must be a whole number of at least 0').isInt({ min: 0 }),
+];
+
+router.use(protect); // All meal capacity routes are admin only
+
+router.get('/remaining', getRemainingPortions);
+
+router.route('/')
+    .get(getMealCapacities)
+    .post(mealCapacityValidationRules, addMealCapacity);
+
+router.route('/:id')
+    .put(updateMealCapacityValidationRules, updateMealCapacity)
+    .delete(deleteMealCapacity);
+
+module.exports = router;
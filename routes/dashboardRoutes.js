@@ -1,7 +1,7 @@
 // routes/dashboardRoutes.js
 const express = require('express');
-const { getPerformanceSummary, getProgramBreakdown } = require('../controllers/dashboardController');
-const { protect } = require('../middleware/authMiddleware'); // Admin protection
+const { getPerformanceSummary, getProgramBreakdown, getLiveFeedToken, streamLiveClaims } = require('../controllers/dashboardController');
+const { protect, protectStream } = require('../middleware/authMiddleware'); // Admin protection
 
 const router = express.Router();
 
@@ -18,4 +18,18 @@ router.get(
     protect, // Ensure only logged-in admins can access
     getProgramBreakdown
 );
+
+// POST /api/v1/dashboard/live/token - Short-lived token for opening the live feed with EventSource
+router.post(
+    '/live/token',
+    protect,
+    getLiveFeedToken
+);
+
+// GET /api/v1/dashboard/live - Server-Sent Events stream of meal records and today's counters
+router.get(
+    '/live',
+    protectStream, // Bearer JWT, or ?token= from /live/token (EventSource cannot send headers)
+    streamLiveClaims
+);
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,97 @@
 // routes/eligibilityRoutes.js
 const express = require('express');
-const { checkStudentEligibility } = require('../controllers/eligibilityController');
-// const { protectKitchen } = require('../middleware/authMiddleware'); // Import the API Key protection
+const {
+    checkStudentEligibility,
+    previewStudentEligibility,
+    confirmMealClaim,
+    cancelMealClaim,
+    previewMealPass,
+    claimWithMealPass,
+} = require('../controllers/eligibilityController');
+const { getOfflineRoster, syncOfflineClaims } = require('../controllers/offlineController');
+const { getRemainingPortions } = require('../controllers/capacityController');
+const { protectKitchen } = require('../middleware/authMiddleware'); // Import the API Key protection
+const { idempotent } = require('../middleware/idempotencyMiddleware'); // Replays retried scans sent with an Idempotency-Key
+const { body } = require('express-validator');
+const { MEAL_SERVICES } = require('../utils/mealServices');
 
 const router = express.Router();
 
-// GET /api/v1/eligibility/:studentIdNumber - Check student eligibility
+const offlineClaimsValidationRules = [
+    body('rosters', 'Rosters must be a non-empty array of at most 20 roster signatures').isArray({ min: 1, max: 20 }),
+    body('rosters.*', 'Each roster must be the signature string from GET /offline/roster').isString().notEmpty(),
+    body('claims', 'Claims must be a non-empty array of at most 2000 items').isArray({ min: 1, max: 2000 }),
+    body('claims.*.studentIdNumber', 'Each claim must have a studentIdNumber').notEmpty(),
+    body('claims.*.claimedAt', 'Each claim must have a claimedAt ISO 8601 timestamp').isISO8601(),
+    body('claims.*.mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional().toUpperCase().isIn(MEAL_SERVICES),
+];
+
+// GET /api/v1/eligibility/offline/roster - Signed snapshot of today's eligible students for offline mode
+router.get(
+    '/offline/roster',
+    protectKitchen,
+    getOfflineRoster
+);
+
+// POST /api/v1/eligibility/offline/claims - Bulk upload of claims recorded offline
+router.post(
+    '/offline/claims',
+    protectKitchen,
+    idempotent,
+    offlineClaimsValidationRules,
+    syncOfflineClaims
+);
+
+// GET /api/v1/eligibility/capacity - Portions remaining today, for display at the counter
+router.get(
+    '/capacity',
+    protectKitchen,
+    getRemainingPortions
+);
+
+// POST /api/v1/eligibility/pass/preview - Read-only eligibility preview from a signed QR meal pass
+router.post(
+    '/pass/preview',
+    protectKitchen,
+    previewMealPass
+);
+
+// POST /api/v1/eligibility/pass/claim - Claim a meal with a signed QR meal pass
+router.post(
+    '/pass/claim',
+    protectKitchen,
+    idempotent,
+    claimWithMealPass
+);
+
+// POST /api/v1/eligibility/claims/:receiptId/cancel - Cancel a mis-scanned claim within the cancel window
+router.post(
+    '/claims/:receiptId/cancel',
+    protectKitchen,
+    idempotent,
+    cancelMealClaim
+);
+
+// GET /api/v1/eligibility/:studentIdNumber/preview - Read-only eligibility preview (no record written)
+router.get(
+    '/:studentIdNumber/preview',
+    protectKitchen,
+    previewStudentEligibility
+);
+
+// POST /api/v1/eligibility/:studentIdNumber/claim - Confirm a previewed claim and get a receipt ID
+router.post(
+    '/:studentIdNumber/claim',
+    protectKitchen,
+    idempotent,
+    confirmMealClaim
+);
+
+// GET /api/v1/eligibility/:studentIdNumber - Check eligibility and claim in one call (legacy, see ELIGIBILITY_SINGLE_CALL_MODE)
 router.get(
     '/:studentIdNumber',
-    // protectKitchen, // Apply API Key protection middleware
+    protectKitchen, // Apply per-terminal API Key protection middleware
+    idempotent,
     checkStudentEligibility
 );
 
@@ -0,0 +1,49 @@
+// routes/overrideRoutes.js
+const express = require('express');
+const {
+    getOverrides,
+    addOverride,
+    updateOverride,
+    deleteOverride,
+} = require('../controllers/overrideController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const OVERRIDE_TYPES = ['GRANT', 'DENY'];
+
+const router = express.Router();
+
+const overrideValidationRules = [
+    body('studentIdNumber', 'Student ID Number is required').notEmpty().isString().trim(),
+    body('type', `Type must be one of: ${OVERRIDE_TYPES.join(', ')}`).trim().toUpperCase().isIn(OVERRIDE_TYPES),
+    body('startDate', 'Start date is required (YYYY-MM-DD)').notEmpty().isString(),
+    body('endDate', 'End date is required (YYYY-MM-DD)').notEmpty().isString(),
+    body('daysOfWeek', 'daysOfWeek must be an array of days if provided').optional({ nullable: true }).isArray(),
+    body('daysOfWeek.*', 'daysOfWeek must only contain valid days of the week').isIn(DAYS_OF_WEEK),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional({ nullable: true }).toUpperCase().isIn(MEAL_SERVICES),
+    body('reason', 'Reason is required').notEmpty().isString().trim(),
+];
+
+const updateOverrideValidationRules = [
+    body('type', `Type must be one of: ${OVERRIDE_TYPES.join(', ')}`).optional().trim().toUpperCase().isIn(OVERRIDE_TYPES),
+    body('startDate', 'Start date must be a string (YYYY-MM-DD) if provided').optional().isString(),
+    body('endDate', 'End date must be a string (YYYY-MM-DD) if provided').optional().isString(),
+    body('daysOfWeek', 'daysOfWeek must be an array of days if provided').optional({ nullable: true }).isArray(),
+    body('daysOfWeek.*', 'daysOfWeek must only contain valid days of the week').isIn(DAYS_OF_WEEK),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional({ nullable: true }).toUpperCase().isIn(MEAL_SERVICES),
+    body('reason', 'Reason must be a non-empty string if provided').optional().notEmpty().isString().trim(),
+];
+
+router.use(protect); // All override routes are admin only
+
+router.route('/')
+    .get(getOverrides)
+    .post(overrideValidationRules, addOverride);
+
+router.route('/:id')
+    .put(updateOverrideValidationRules, updateOverride)
+    .delete(deleteOverride);
+
+module.exports = router;
@@ -1,14 +1,29 @@
 const express = require('express');
-const { getPrograms, addProgram, updateProgram, deleteProgram } = require('../controllers/programController');
+const { getPrograms, addProgram, updateProgram, deleteProgram, archiveProgram, restoreProgram } = require('../controllers/programController');
 const { protect } = require('../middleware/authMiddleware');
 const { body } = require('express-validator');
 
+const PROGRAM_TYPES = ['BACHELOR', 'ASSOCIATE', 'GRADUATE'];
+
 const router = express.Router();
 
 // Validation middleware for adding a program
 const addProgramValidationRules = [
     body('name', 'Program name/acronym is required').notEmpty().isString().trim(),
     body('description', 'Program description is required').notEmpty().isString().trim(),
+    body('color', 'Color must be a string if provided').optional().isString().trim(),
+    body('programType', `Program type must be one of: ${PROGRAM_TYPES.join(', ')} if provided`).optional({ nullable: true }).trim().toUpperCase().isIn(PROGRAM_TYPES),
+    body('minYearLevel', 'Minimum year level must be a whole number from 1 to 10 if provided').optional().isInt({ min: 1, max: 10 }),
+    body('maxYearLevel', 'Maximum year level must be a whole number from 1 to 10 if provided').optional().isInt({ min: 1, max: 10 }),
+];
+
+const updateProgramValidationRules = [
+    body('name', 'Program name/acronym must be a non-empty string if provided').optional().notEmpty().isString().trim(),
+    body('description', 'Program description must be a non-empty string if provided').optional().notEmpty().isString().trim(),
+    body('color', 'Color must be a string if provided').optional().isString().trim(),
+    body('programType', `Program type must be one of: ${PROGRAM_TYPES.join(', ')} if provided`).optional({ nullable: true }).trim().toUpperCase().isIn(PROGRAM_TYPES),
+    body('minYearLevel', 'Minimum year level must be a whole number from 1 to 10 if provided').optional().isInt({ min: 1, max: 10 }),
+    body('maxYearLevel', 'Maximum year level must be a whole number from 1 to 10 if provided').optional().isInt({ min: 1, max: 10 }),
 ];
 
 // --- Route Definitions ---
@@ -22,7 +37,11 @@ router.route('/')
 // Update a specific program (admin only)
 // Delete a specific program (admin only)
 router.route('/:id')
-    .put(protect, updateProgram)
-    .delete(protect, deleteProgram);
+    .put(protect, updateProgramValidationRules, updateProgram)
+    .delete(protect, deleteProgram); // Refused while students, schedules or meal records still use the program
+
+// Archive (soft-delete) or restore a program (admin only)
+router.post('/:id/archive', protect, archiveProgram);
+router.post('/:id/restore', protect, restoreProgram);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+// routes/rolloverRoutes.js
+const express = require('express');
+const {
+    getRollovers,
+    runRollover,
+    undoRollover,
+} = require('../controllers/rolloverController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+const rolloverValidationRules = [
+    body('schoolYear', 'School year is required (e.g., 2025-2026)').isString().trim().matches(/^\d{4}-\d{4}$/),
+    body('repeaters', 'Repeaters must be an array of student ID numbers if provided').optional().isArray(),
+    body('onLeave', 'On-leave students must be an array of student ID numbers if provided').optional().isArray(),
+];
+
+router.use(protect); // All rollover routes are admin only
+
+router.route('/')
+    .get(getRollovers)
+    .post(rolloverValidationRules, runRollover);
+
+router.post('/:id/undo', undoRollover);
+
+module.exports = router;
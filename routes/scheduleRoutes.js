@@ -1,7 +1,19 @@
 const express = require('express');
-const { addScheduleEntry, getSchedules, updateScheduleEntry, deleteScheduleEntry } = require('../controllers/scheduleController');
+const {
+    addScheduleEntry,
+    getSchedules,
+    updateScheduleEntry,
+    deleteScheduleEntry,
+    getScheduleMatrix,
+    previewScheduleMatrix,
+    applyScheduleMatrix,
+    exportScheduleCsv,
+    importScheduleCsv,
+    getScheduleImpact,
+} = require('../controllers/scheduleController');
 const { protect } = require('../middleware/authMiddleware');
 const { body } = require('express-validator');
+const { MEAL_SERVICES } = require('../utils/mealServices');
 
 const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
@@ -9,16 +21,41 @@ const router = express.Router();
 
 const scheduleValidationRules = [
     body('program', 'Program is required').notEmpty().trim().toUpperCase(),
-    body('yearLevel', 'Year Level is required').notEmpty().isInt({ min: 1, max: 4 }).withMessage('Year Level must be an integer between 1 and 4'),
+    body('yearLevel', 'Year Level is required').notEmpty().isInt({ min: 1 }).withMessage('Year Level must be a positive integer'),
     body('scheduleDays', 'Schedule days must be an array and is required').isArray({ min: 1 }),
     body('scheduleDays.*.dayOfWeek', 'Each schedule day must have a valid dayOfWeek').notEmpty().isIn(DAYS_OF_WEEK),
     body('scheduleDays.*.isEligible', 'Each schedule day must have an isEligible boolean value').isBoolean(),
+    body('section', 'Section must be a string if provided').optional({ nullable: true }).isString().trim().toUpperCase(),
+    body('version', 'Version must be a schedule version ID or "base" if provided').optional().isString().trim(),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional().toUpperCase().isIn(MEAL_SERVICES),
 ];
 
 const updateScheduleValidationRules = [
     body('isEligible', 'isEligible field must be a boolean and is required for update').exists().isBoolean(),
 ];
 
+// Cells are validated in the controller so every invalid cell can be reported together
+const scheduleMatrixValidationRules = [
+    body('rows', 'rows must be an array of { program, yearLevel, section, days } objects').isArray(),
+    body('version', 'Version must be a schedule version ID or "base" if provided').optional().isString().trim(),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional().toUpperCase().isIn(MEAL_SERVICES),
+];
+
+const scheduleImpactValidationRules = [
+    body('changes', 'changes must be a non-empty array of { program, yearLevel, section, dayOfWeek, isEligible } objects').isArray({ min: 1 }),
+    body('version', 'Version must be a schedule version ID or "base" if provided').optional().isString().trim(),
+    body('month', 'Month must be in YYYY-MM format if provided').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional().toUpperCase().isIn(MEAL_SERVICES),
+];
+
+router.get('/matrix', protect, getScheduleMatrix);
+router.post('/matrix/preview', protect, scheduleMatrixValidationRules, previewScheduleMatrix);
+router.put('/matrix', protect, scheduleMatrixValidationRules, applyScheduleMatrix);
+router.post('/impact', protect, scheduleImpactValidationRules, getScheduleImpact);
+router.get('/export', protect, exportScheduleCsv);
+// The CSV file is sent as the raw request body
+router.post('/import', protect, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), importScheduleCsv);
+
 router.post('/', protect, scheduleValidationRules, addScheduleEntry);
 router.get('/', protect, getSchedules);
 router.put('/:id', protect, updateScheduleValidationRules, updateScheduleEntry);
@@ -0,0 +1,37 @@
+// routes/scheduleVersionRoutes.js
+const express = require('express');
+const {
+    getScheduleVersions,
+    createScheduleVersion,
+    updateScheduleVersion,
+    deleteScheduleVersion,
+} = require('../controllers/scheduleVersionController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+const scheduleVersionValidationRules = [
+    body('name', 'Name is required').notEmpty().isString().trim(),
+    body('effectiveFrom', 'Effective start date is required (YYYY-MM-DD)').notEmpty().isString(),
+    body('effectiveTo', 'Effective end date must be a string (YYYY-MM-DD) if provided').optional({ nullable: true }).isString(),
+    body('copyEntries', 'copyEntries must be a boolean if provided').optional().isBoolean().toBoolean(),
+];
+
+const updateScheduleVersionValidationRules = [
+    body('name', 'Name must be a non-empty string if provided').optional().notEmpty().isString().trim(),
+    body('effectiveFrom', 'Effective start date must be a string (YYYY-MM-DD) if provided').optional().isString(),
+    body('effectiveTo', 'Effective end date must be a string (YYYY-MM-DD) or null if provided').optional({ nullable: true }).isString(),
+];
+
+router.use(protect); // All schedule version routes are admin only
+
+router.route('/')
+    .get(getScheduleVersions)
+    .post(scheduleVersionValidationRules, createScheduleVersion);
+
+router.route('/:id')
+    .put(updateScheduleVersionValidationRules, updateScheduleVersion)
+    .delete(deleteScheduleVersion);
+
+module.exports = router;
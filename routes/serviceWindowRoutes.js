@@ -0,0 +1,43 @@
+// routes/serviceWindowRoutes.js
+const express = require('express');
+const {
+    getServiceWindows,
+    addServiceWindow,
+    updateServiceWindow,
+    deleteServiceWindow,
+} = require('../controllers/serviceWindowController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+const { MEAL_SERVICES } = require('../utils/mealServices');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const router = express.Router();
+
+const serviceWindowValidationRules = [
+    body('dayOfWeek', 'A valid dayOfWeek is required').notEmpty().isIn(DAYS_OF_WEEK),
+    body('startTime', 'Start time is required in HH:mm format').matches(TIME_OF_DAY_REGEX),
+    body('endTime', 'End time is required in HH:mm format').matches(TIME_OF_DAY_REGEX),
+    body('mealService', `Meal service must be one of ${MEAL_SERVICES.join(', ')} if provided`).optional().toUpperCase().isIn(MEAL_SERVICES),
+    body('program', 'Program must be a string if provided').optional({ nullable: true }).isString().trim().toUpperCase(),
+    body('yearLevel', 'Year Level must be a positive integer if provided').optional({ nullable: true })
+        .isInt({ min: 1 }),
+];
+
+const updateServiceWindowValidationRules = [
+    body('startTime', 'Start time must be in HH:mm format if provided').optional().matches(TIME_OF_DAY_REGEX),
+    body('endTime', 'End time must be in HH:mm format if provided').optional().matches(TIME_OF_DAY_REGEX),
+];
+
+router.use(protect); // All service window routes are admin only
+
+router.route('/')
+    .get(getServiceWindows)
+    .post(serviceWindowValidationRules, addServiceWindow);
+
+router.route('/:id')
+    .put(updateServiceWindowValidationRules, updateServiceWindow)
+    .delete(deleteServiceWindow);
+
+module.exports = router;
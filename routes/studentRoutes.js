@@ -3,11 +3,12 @@ const express = require('express');
 // Import necessary controller functions
 // Update this line near the top
 // Update this line near the top
-const { addStudent, getStudents, getStudentById, updateStudent, deleteStudent } = require('../controllers/studentController');
-const { protect } = require('../middleware/authMiddleware');
+const { addStudent, getStudents, getStudentById, updateStudent, deleteStudent, getStudentMealPass, getMyMealPass, revokeStudentMealPasses, importStudents, exportStudents, updateEnrollmentStatus, getStudentHistory, getStudentCohort } = require('../controllers/studentController');
+const { protect, protectStudent } = require('../middleware/authMiddleware');
 const { body } = require('express-validator');
-
-const ALLOWED_PROGRAMS = ['BSA', 'BSAIS', 'BSIS', 'BSSW', 'BAB', 'ACT'];
+const { programExists } = require('../utils/programRules');
+const { ENROLLMENT_STATUSES } = require('../utils/enrollment');
+const { XLSX_CONTENT_TYPE } = require('../utils/spreadsheet');
 
 const router = express.Router();
 
@@ -17,10 +18,10 @@ const router = express.Router();
 const studentValidationRules = [
     body('studentIdNumber', 'Student ID Number is required').notEmpty().trim(),
     body('name', 'Student Name is required').notEmpty().trim(),
-    body('program', 'Program is required').notEmpty().trim().toUpperCase()
-        .isIn(ALLOWED_PROGRAMS).withMessage(`Program must be one of: ${ALLOWED_PROGRAMS.join(', ')}`),
+    body('program', 'Program is required').notEmpty().bail().trim().toUpperCase()
+        .custom(programExists), // Read from the Program collection, so new programs work straight away
     body('yearLevel', 'Year Level is required').notEmpty()
-        .isInt({ min: 1, max: 4 }).withMessage('Year Level must be an integer between 1 and 4'),
+        .isInt({ min: 1 }).withMessage('Year Level must be a positive integer'),
     body('section', 'Section must be a string if provided').optional().isString().trim().toUpperCase(),
     body('profilePictureUrl', 'Profile Picture URL must be a valid URL if provided').optional({ checkFalsy: true }).isURL().trim(),
 ];
@@ -29,14 +30,18 @@ const studentValidationRules = [
 const studentPatchValidationRules = [
     body('studentIdNumber', 'Student ID Number must be a non-empty string if provided').optional().notEmpty().trim(),
     body('name', 'Student Name must be a non-empty string if provided').optional().notEmpty().trim(),
-    body('program', `Program must be one of: ${ALLOWED_PROGRAMS.join(', ')} if provided`).optional().trim().toUpperCase()
-        .isIn(ALLOWED_PROGRAMS),
-    body('yearLevel', 'Year Level must be an integer between 1 and 4 if provided').optional()
-        .isInt({ min: 1, max: 4 }),
+    body('program', 'Program must be a non-empty string if provided').optional().notEmpty().bail().trim().toUpperCase()
+        .custom(programExists),
+    body('yearLevel', 'Year Level must be a positive integer if provided').optional()
+        .isInt({ min: 1 }),
     body('section', 'Section must be a string if provided').optional({ nullable: true }).isString().trim().toUpperCase(), // Allow null to clear
     body('profilePictureUrl', 'Profile Picture URL must be a valid URL if provided').optional({ nullable: true, checkFalsy: true }).isURL().trim(), // Allow null/empty to clear
 ];
 
+const enrollmentStatusValidationRules = [
+    body('status', `Status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`).isString().trim().toUpperCase().isIn(ENROLLMENT_STATUSES),
+    body('reason', 'Reason must be a string if provided').optional().isString().trim(),
+];
 
 // --- Route Definitions ---
 
@@ -48,6 +53,15 @@ router.post(
     addStudent
 );
 
+// POST /api/v1/students/import - Bulk import/update from a masterlist CSV or XLSX (?dryRun=true for the report only)
+router.post(
+    '/import',
+    protect,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    express.raw({ type: XLSX_CONTENT_TYPE, limit: '5mb' }),
+    importStudents
+);
+
 // GET /api/v1/students - Get all students with filtering/pagination/etc.
 router.get(
     '/',
@@ -55,6 +69,20 @@ router.get(
     getStudents // Call the getStudents controller function
 );
 
+// GET /api/v1/students/export - Full filtered masterlist as CSV or XLSX (optionally with claim counts for from/to)
+router.get(
+    '/export',
+    protect,
+    exportStudents
+);
+
+// GET /api/v1/students/me/meal-pass - The signed-in student's own QR meal pass (Firebase ID token, not an admin JWT)
+router.get(
+    '/me/meal-pass',
+    protectStudent,
+    getMyMealPass
+);
+
 // GET /api/v1/students/:id - Get a single student by ID
 router.get(
     '/:id', // Uses a URL parameter ':id'
@@ -81,5 +109,41 @@ router.delete(
     deleteStudent // Call the deleteStudent controller function
 );
 
+// GET /api/v1/students/:id/meal-pass - Issue a signed QR meal pass
+router.get(
+    '/:id/meal-pass',
+    protect,
+    getStudentMealPass
+);
+
+// GET /api/v1/students/:id/history - Change log (who changed what, when, before and after)
+router.get(
+    '/:id/history',
+    protect,
+    getStudentHistory
+);
+
+// GET /api/v1/students/:id/cohort?date=YYYY-MM-DD - The student's cohort as of a date
+router.get(
+    '/:id/cohort',
+    protect,
+    getStudentCohort
+);
+
+// PATCH /api/v1/students/:id/enrollment - Change enrollment status (kept in the student's enrollment history)
+router.patch(
+    '/:id/enrollment',
+    protect,
+    enrollmentStatusValidationRules,
+    updateEnrollmentStatus
+);
+
+// POST /api/v1/students/:id/meal-pass/revoke - Revoke all previously issued QR meal passes
+router.post(
+    '/:id/meal-pass/revoke',
+    protect,
+    revokeStudentMealPasses
+);
+
 // --- Export Router ---
 module.exports = router;
\ No newline at end of file
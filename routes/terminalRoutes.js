@@ -0,0 +1,35 @@
+// routes/terminalRoutes.js
+const express = require('express');
+const {
+    getTerminals,
+    registerTerminal,
+    updateTerminal,
+    rotateTerminalKey,
+    revokeTerminal,
+} = require('../controllers/terminalController');
+const { protect } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+const registerTerminalValidationRules = [
+    body('name', 'Terminal name is required').notEmpty().isString().trim(),
+    body('location', 'Location must be a string if provided').optional().isString().trim(),
+];
+
+const updateTerminalValidationRules = [
+    body('name', 'Terminal name must be a non-empty string if provided').optional().notEmpty().isString().trim(),
+    body('location', 'Location must be a string if provided').optional().isString().trim(),
+];
+
+router.use(protect); // All terminal management routes are admin only
+
+router.route('/')
+    .get(getTerminals)
+    .post(registerTerminalValidationRules, registerTerminal);
+
+router.put('/:id', updateTerminalValidationRules, updateTerminal);
+router.post('/:id/rotate-key', rotateTerminalKey);
+router.post('/:id/revoke', revokeTerminal);
+
+module.exports = router;
@@ -11,7 +11,19 @@ const Admin = require('./models/AdminModel');
 const Program = require('./models/ProgramModel');
 const Student = require('./models/StudentModel');
 const Schedule = require('./models/ScheduleModel');
+const ScheduleVersion = require('./models/ScheduleVersionModel');
 const MealRecord = require('./models/MealRecordModel');
+const IdempotencyKey = require('./models/IdempotencyKeyModel');
+const ServiceWindow = require('./models/ServiceWindowModel');
+const MealCapacity = require('./models/MealCapacityModel');
+const MealCapacityCounter = require('./models/MealCapacityCounterModel');
+const KitchenTerminal = require('./models/KitchenTerminalModel');
+const CalendarException = require('./models/CalendarExceptionModel');
+const StudentEligibilityOverride = require('./models/StudentEligibilityOverrideModel');
+const StudentChange = require('./models/StudentChangeModel');
+const SchoolYearRollover = require('./models/SchoolYearRolloverModel');
+const { getServiceDate } = require('./utils/serviceDay');
+const { DEFAULT_MEAL_SERVICE } = require('./utils/mealServices');
 
 // Connect to DB
 mongoose.connect(process.env.MONGO_URI, {});
@@ -26,7 +38,19 @@ const importData = async () => {
     try {
         console.log('--- Deleting existing data... ---'.cyan);
         await MealRecord.deleteMany();
+        await MealRecord.syncIndexes(); // Claims are unique per meal service, not per day
+        await IdempotencyKey.deleteMany();
+        await MealCapacityCounter.deleteMany();
+        await MealCapacity.deleteMany();
+        await ServiceWindow.deleteMany();
+        await KitchenTerminal.deleteMany();
+        await CalendarException.deleteMany();
+        await StudentEligibilityOverride.deleteMany();
+        await StudentChange.deleteMany();
+        await SchoolYearRollover.deleteMany();
+        await ScheduleVersion.deleteMany();
         await Schedule.deleteMany();
+        await Schedule.syncIndexes(); // Replaces the old per-cohort unique index with the per-version, per-service one
         await Student.deleteMany();
         await Program.deleteMany();
         await Admin.deleteMany();
@@ -55,7 +79,11 @@ const importData = async () => {
         // Step 2: Seed Students and create a lookup map of their REAL database IDs
         const seededStudents = await Student.create(students);
         const studentMap = new Map();
-        seededStudents.forEach(s => studentMap.set(s.studentIdNumber, s._id));
+        const sectionMap = new Map();
+        seededStudents.forEach(s => {
+            studentMap.set(s.studentIdNumber, s._id);
+            sectionMap.set(s.studentIdNumber, s.section || null);
+        });
         console.log('Students Imported and lookup map created...'.green);
 
         // Step 3: Read the VERIFIED meal history file
@@ -69,12 +97,16 @@ const importData = async () => {
                 console.warn(`Warning: Student ID ${record.student._id} from JSON not found in DB. Skipping record.`);
                 return null;
             }
+            const dateChecked = new Date(record.dateChecked);
+            const serviceDate = getServiceDate(dateChecked);
             return {
                 student: studentDbId, // Use the actual MongoDB _id
                 studentIdNumber: record.student._id,
                 programAtTimeOfRecord: record.student.program,
                 yearLevelAtTimeOfRecord: record.student.yearLevel,
-                dateChecked: new Date(record.dateChecked),
+                sectionAtTimeOfRecord: sectionMap.get(record.student._id),
+                dateChecked,
+                serviceDate,
                 status: record.status,
             };
         }).filter(Boolean); // Filter out any records that couldn't be matched
@@ -95,6 +127,16 @@ const importData = async () => {
 const destroyData = async () => {
     try {
         await MealRecord.deleteMany();
+        await IdempotencyKey.deleteMany();
+        await MealCapacityCounter.deleteMany();
+        await MealCapacity.deleteMany();
+        await ServiceWindow.deleteMany();
+        await KitchenTerminal.deleteMany();
+        await CalendarException.deleteMany();
+        await StudentEligibilityOverride.deleteMany();
+        await StudentChange.deleteMany();
+        await SchoolYearRollover.deleteMany();
+        await ScheduleVersion.deleteMany();
         await Schedule.deleteMany();
         await Student.deleteMany();
         await Program.deleteMany();
@@ -107,11 +149,79 @@ const destroyData = async () => {
     }
 };
 
+// Existing data from before meal services were tracked: everything becomes lunch, then the unique
+// indexes are rebuilt to include the meal service. Safe to run more than once.
+const migrateMealServices = async () => {
+    try {
+        for (const Model of [Schedule, ServiceWindow, MealCapacity, MealRecord]) {
+            const { modifiedCount } = await Model.updateMany(
+                { mealService: { $exists: false } },
+                { $set: { mealService: DEFAULT_MEAL_SERVICE } }
+            );
+            await Model.syncIndexes();
+            console.log(`${Model.modelName}: ${modifiedCount} document(s) set to ${DEFAULT_MEAL_SERVICE}.`.green);
+        }
+        console.log('--- Meal Service Migration Complete ---'.green.bold);
+        process.exit();
+    } catch (err) {
+        console.error(`${err}`.red.bold);
+        process.exit(1);
+    }
+};
+
+// Programs created before year-level limits were stored get the rules that used to be hardcoded:
+// ACT is a two-year associate program, everything else runs Year 1 to 4. Safe to run more than once.
+const migrateProgramYearLevels = async () => {
+    try {
+        const act = await Program.updateOne(
+            { name: 'ACT', maxYearLevel: { $exists: false } },
+            { $set: { programType: 'ASSOCIATE', minYearLevel: 1, maxYearLevel: 2 } }
+        );
+        const others = await Program.updateMany(
+            { maxYearLevel: { $exists: false } },
+            { $set: { minYearLevel: 1, maxYearLevel: 4 } }
+        );
+        console.log(`${act.modifiedCount + others.modifiedCount} program(s) given year-level limits.`.green);
+        console.log('--- Program Year Level Migration Complete ---'.green.bold);
+        process.exit();
+    } catch (err) {
+        console.error(`${err}`.red.bold);
+        process.exit(1);
+    }
+};
+
+// Students created before enrollment was tracked become ACTIVE, or GRADUATED if a rollover already graduated
+// them. Safe to run more than once.
+const migrateEnrollmentStatus = async () => {
+    try {
+        const graduated = await Student.updateMany(
+            { enrollmentStatus: { $exists: false }, graduatedAt: { $ne: null } },
+            { $set: { enrollmentStatus: 'GRADUATED' } }
+        );
+        const active = await Student.updateMany(
+            { enrollmentStatus: { $exists: false } },
+            { $set: { enrollmentStatus: 'ACTIVE' } }
+        );
+        console.log(`${active.modifiedCount} student(s) set to ACTIVE, ${graduated.modifiedCount} to GRADUATED.`.green);
+        console.log('--- Enrollment Status Migration Complete ---'.green.bold);
+        process.exit();
+    } catch (err) {
+        console.error(`${err}`.red.bold);
+        process.exit(1);
+    }
+};
+
 if (process.argv[2] === '-i') {
     importData();
 } else if (process.argv[2] === '-d') {
     destroyData();
+} else if (process.argv[2] === '-m') {
+    migrateMealServices();
+} else if (process.argv[2] === '-y') {
+    migrateProgramYearLevels();
+} else if (process.argv[2] === '-e') {
+    migrateEnrollmentStatus();
 } else {
-    console.log('Please use the -i flag to import data or -d to destroy data.'.yellow);
+    console.log('Please use the -i flag to import data, -d to destroy data, -m to migrate existing data to meal services, -y to add year-level limits to existing programs or -e to set the enrollment status of existing students.'.yellow);
     process.exit();
 }
\ No newline at end of file
@@ -13,6 +13,7 @@ const morgan = require('morgan'); // HTTP request logger middleware
 const rateLimit = require('express-rate-limit');
 const { notFound, errorHandler } = require('./middleware/errorMiddleware');
 const connectDB = require('./config/db'); // Import the database connection function
+const { CAMPUS_TIMEZONE } = require('./utils/campusTime'); // Timezone used for all day/week/month boundaries
 
 require('./config/firebaseAdmin');
 
@@ -72,6 +73,13 @@ const eligibilityRoutes = require('./routes/eligibilityRoutes'); // Import eligi
 const recordRoutes = require('./routes/recordRoutes'); // Import meal record routes
 const dashboardRoutes = require('./routes/dashboardRoutes');
 const programRoutes = require('./routes/programRoutes');
+const terminalRoutes = require('./routes/terminalRoutes');
+const serviceWindowRoutes = require('./routes/serviceWindowRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const overrideRoutes = require('./routes/overrideRoutes');
+const scheduleVersionRoutes = require('./routes/scheduleVersionRoutes');
+const capacityRoutes = require('./routes/capacityRoutes');
+const rolloverRoutes = require('./routes/rolloverRoutes');
 
 // Basic Health Check Route (Good practice for monitoring)
 app.get(`${API_VERSION}/health`, (req, res) => {
@@ -80,6 +88,7 @@ app.get(`${API_VERSION}/health`, (req, res) => {
         success: true, // Indicate success explicitly
         status: 'UP',
         timestamp: new Date().toISOString(),
+        timezone: CAMPUS_TIMEZONE,
     });
 });
 
@@ -91,6 +100,13 @@ app.use(`${API_VERSION}/eligibility`, eligibilityRoutes);
 app.use(`${API_VERSION}/meal-records`, recordRoutes); 
 app.use(`${API_VERSION}/dashboard`, dashboardRoutes);
 app.use(`${API_VERSION}/programs`, programRoutes);
+app.use(`${API_VERSION}/terminals`, terminalRoutes);
+app.use(`${API_VERSION}/service-windows`, serviceWindowRoutes);
+app.use(`${API_VERSION}/calendar-exceptions`, calendarRoutes);
+app.use(`${API_VERSION}/eligibility-overrides`, overrideRoutes);
+app.use(`${API_VERSION}/schedule-versions`, scheduleVersionRoutes);
+app.use(`${API_VERSION}/meal-capacities`, capacityRoutes);
+app.use(`${API_VERSION}/rollovers`, rolloverRoutes);
 
 // --- Error Handling Middleware (Uncomment/Add in Phase 3) ---
 // Should be placed AFTER all routes
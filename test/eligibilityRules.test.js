@@ -0,0 +1,182 @@
+// test/eligibilityRules.test.js
+// The order in which evaluateEligibility applies its rules, and which rule decides each outcome.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubQuery, serviceDateOf, restoreMocks } = require('./helpers');
+const Schedule = require('../models/ScheduleModel');
+const ScheduleVersion = require('../models/ScheduleVersionModel');
+const MealRecord = require('../models/MealRecordModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const CalendarException = require('../models/CalendarExceptionModel');
+const StudentEligibilityOverride = require('../models/StudentEligibilityOverrideModel');
+const MealCapacity = require('../models/MealCapacityModel');
+const { evaluateEligibility } = require('../utils/eligibilityRules');
+
+const MONDAY = serviceDateOf('2025-06-02');
+const atCampusTime = (serviceDate, hours, minutes = 0) => new Date(serviceDate.getTime() + (hours * 60 + minutes) * 60 * 1000);
+const NOON = atCampusTime(MONDAY, 12);
+
+const student = {
+    _id: new mongoose.Types.ObjectId(),
+    studentIdNumber: '25-00001ABC',
+    program: 'BSIS',
+    yearLevel: 1,
+    section: 'A',
+    enrollmentStatus: 'ACTIVE',
+};
+
+// Stubs everything evaluateEligibility reads. Schedule entries only count on the weekday they are for.
+const stubDay = ({
+    schedules = [{ program: 'BSIS', yearLevel: 1, section: null, mealService: 'LUNCH', dayOfWeek: 'Monday', isEligible: true }],
+    calendarExceptions = [],
+    overrides = [],
+    serviceWindows = [],
+    capacities = [],
+    claimedToday = [],
+    existingClaim = null,
+} = {}) => {
+    stubQuery(CalendarException, 'find', calendarExceptions.map(e => ({ date: MONDAY, ...e })));
+    stubQuery(ScheduleVersion, 'find', []);
+    const scheduleFind = stubQuery(Schedule, 'find', (filter) => schedules.filter(s =>
+        s.program === filter.program && s.yearLevel === filter.yearLevel
+        && s.mealService === filter.mealService && s.dayOfWeek === filter.dayOfWeek));
+    stubQuery(StudentEligibilityOverride, 'find', overrides.map(o => ({ startDate: MONDAY, endDate: MONDAY, ...o })));
+    stubQuery(ServiceWindow, 'find', serviceWindows);
+    stubQuery(MealCapacity, 'find', capacities);
+    stubQuery(MealRecord, 'findOne', existingClaim);
+    mock.method(MealRecord, 'aggregate', async () => claimedToday);
+    return { scheduleFind };
+};
+
+describe('evaluateEligibility', () => {
+    afterEach(restoreMocks);
+
+    it('lets a scheduled, active student claim', async () => {
+        stubDay();
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'ELIGIBLE');
+        assert.equal(outcome.recordStatus, 'CLAIMED');
+        assert.equal(outcome.reasonCode, 'SCHEDULED');
+        assert.equal(outcome.mealService, 'LUNCH');
+    });
+
+    it('turns away a student whose cohort is not scheduled that day', async () => {
+        stubDay({ schedules: [] });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'NOT_SCHEDULED');
+        assert.equal(outcome.reasonCode, 'NOT_SCHEDULED');
+    });
+
+    it('reports an existing claim before anything else, even for a student no longer enrolled', async () => {
+        stubDay({ existingClaim: { _id: new mongoose.Types.ObjectId(), status: 'CLAIMED' } });
+        const outcome = await evaluateEligibility({ ...student, enrollmentStatus: 'DROPPED' }, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'ALREADY_CLAIMED');
+        assert.equal(outcome.recordStatus, null);
+    });
+
+    it('checks enrollment before overrides, so a grant does not feed a student who left', async () => {
+        stubDay({ overrides: [{ student: student._id, type: 'GRANT', reason: 'Working student' }] });
+        const outcome = await evaluateEligibility({ ...student, enrollmentStatus: 'GRADUATED' }, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'NOT_ENROLLED');
+        assert.equal(outcome.reasonCode, 'ENROLLMENT_GRADUATED');
+    });
+
+    it('lets a DENY override win over the schedule', async () => {
+        stubDay({ overrides: [{ student: student._id, type: 'DENY', reason: 'Disciplinary suspension' }] });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'ELIGIBILITY_SUSPENDED');
+        assert.equal(outcome.reasonCode, 'OVERRIDE_DENY');
+    });
+
+    it('lets DENY win when a GRANT covers the same day', async () => {
+        stubDay({ overrides: [
+            { student: student._id, type: 'GRANT', reason: 'Working student' },
+            { student: student._id, type: 'DENY', reason: 'Disciplinary suspension' },
+        ] });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.reasonCode, 'OVERRIDE_DENY');
+    });
+
+    it('lets a GRANT override win over a holiday', async () => {
+        stubDay({
+            calendarExceptions: [{ type: 'NO_MEALS', description: 'Independence Day' }],
+            overrides: [{ student: student._id, type: 'GRANT', reason: 'Working student' }],
+        });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'ELIGIBLE');
+        assert.equal(outcome.reasonCode, 'OVERRIDE_GRANT');
+    });
+
+    it('lets a NO_MEALS calendar exception win over the schedule', async () => {
+        stubDay({ calendarExceptions: [{ type: 'NO_MEALS', description: 'Independence Day' }] });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'NOT_SCHEDULED');
+        assert.equal(outcome.reasonCode, 'CALENDAR_NO_MEALS');
+        assert.match(outcome.reason, /Independence Day/);
+    });
+
+    it('lets the most specific calendar exception win', async () => {
+        stubDay({ calendarExceptions: [
+            { type: 'NO_MEALS', description: 'Exam week' },
+            { type: 'COHORT_GRANT', program: 'BSIS', yearLevel: 1, description: 'Freshman orientation' },
+        ] });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.reasonCode, 'CALENDAR_COHORT_GRANT');
+    });
+
+    it('only grants lunch with a COHORT_GRANT that names no meal service', async () => {
+        stubDay({ schedules: [], calendarExceptions: [{ type: 'COHORT_GRANT', program: 'BSIS', description: 'Foundation Day' }] });
+        assert.equal((await evaluateEligibility(student, MONDAY, 'LUNCH', NOON)).eligibilityStatus, 'ELIGIBLE');
+        assert.equal((await evaluateEligibility(student, MONDAY, 'BREAKFAST', NOON)).eligibilityStatus, 'NOT_SCHEDULED');
+    });
+
+    it('follows the weekday of a DAY_OVERRIDE make-up day', async () => {
+        const { scheduleFind } = stubDay({
+            schedules: [{ program: 'BSIS', yearLevel: 1, section: null, mealService: 'LUNCH', dayOfWeek: 'Friday', isEligible: true }],
+            calendarExceptions: [{ type: 'DAY_OVERRIDE', treatAsDay: 'Friday', description: 'Make-up day' }],
+        });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'ELIGIBLE');
+        assert.equal(scheduleFind.mock.calls[0].arguments[0].dayOfWeek, 'Friday');
+    });
+
+    it('lets a section rule override the cohort-wide one', async () => {
+        stubDay({ schedules: [
+            { program: 'BSIS', yearLevel: 1, section: null, mealService: 'LUNCH', dayOfWeek: 'Monday', isEligible: true },
+            { program: 'BSIS', yearLevel: 1, section: 'A', mealService: 'LUNCH', dayOfWeek: 'Monday', isEligible: false },
+        ] });
+        assert.equal((await evaluateEligibility(student, MONDAY, null, NOON)).eligibilityStatus, 'NOT_SCHEDULED');
+        assert.equal((await evaluateEligibility({ ...student, section: 'B' }, MONDAY, null, NOON)).eligibilityStatus, 'ELIGIBLE');
+    });
+
+    it('checks the service window only for scheduled students', async () => {
+        const serviceWindows = [{ dayOfWeek: 'Monday', mealService: 'LUNCH', program: null, startTime: '11:00', endTime: '13:00' }];
+        stubDay({ serviceWindows });
+        const late = await evaluateEligibility(student, MONDAY, null, atCampusTime(MONDAY, 15));
+        assert.equal(late.eligibilityStatus, 'OUTSIDE_SERVICE_WINDOW');
+
+        restoreMocks();
+        stubDay({ serviceWindows, schedules: [] });
+        const unscheduled = await evaluateEligibility(student, MONDAY, 'LUNCH', atCampusTime(MONDAY, 15));
+        assert.equal(unscheduled.eligibilityStatus, 'NOT_SCHEDULED');
+    });
+
+    it('turns students away once the capacity is used up, after every other check', async () => {
+        stubDay({
+            capacities: [{ program: null, mealService: 'LUNCH', dayOfWeek: 'Monday', portions: 100 }],
+            claimedToday: [{ _id: 'BSIS', count: 100 }],
+        });
+        const outcome = await evaluateEligibility(student, MONDAY, null, NOON);
+        assert.equal(outcome.eligibilityStatus, 'CAPACITY_REACHED');
+        assert.equal(outcome.recordStatus, 'INELIGIBLE_CAPACITY_REACHED');
+
+        restoreMocks();
+        stubDay({
+            capacities: [{ program: null, mealService: 'LUNCH', dayOfWeek: 'Monday', portions: 100 }],
+            claimedToday: [{ _id: 'BSIS', count: 100 }],
+            overrides: [{ student: student._id, type: 'DENY', reason: 'Disciplinary suspension' }],
+        });
+        assert.equal((await evaluateEligibility(student, MONDAY, null, NOON)).eligibilityStatus, 'ELIGIBILITY_SUSPENDED');
+    });
+});
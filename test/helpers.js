@@ -0,0 +1,89 @@
+// test/helpers.js
+// Shared fakes for the behaviour tests. Nothing connects to MongoDB: each test replaces the model statics it
+// touches with mock.method, and restoreMocks() puts them back afterwards.
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { parseCampusDate, startOfCampusDay } = require('../utils/campusTime');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+require('colors'); // Log lines use colors' String extensions
+
+/**
+ * A chainable query (select, sort, lean, session, populate...) that resolves to a fixed result.
+ * @param {*} result
+ * @returns {object} A thenable standing in for a mongoose Query.
+ */
+const fakeQuery = (result) => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        exec: () => Promise.resolve(result),
+    };
+    ['select', 'sort', 'lean', 'session', 'populate', 'limit', 'skip'].forEach(method => {
+        query[method] = () => query;
+    });
+    return query;
+};
+
+/**
+ * Replaces a query static (find, findOne, findById...) so it returns a fake query.
+ * @param {object} Model
+ * @param {string} method
+ * @param {*|function(...*): *} result - The result, or a function of the call's arguments that returns it.
+ * @returns {object} The mock, for inspecting calls.
+ */
+const stubQuery = (Model, method, result) => {
+    return mock.method(Model, method, (...args) => fakeQuery(typeof result === 'function' ? result(...args) : result));
+};
+
+/**
+ * Runs mongoose.connection.transaction callbacks straight away with a fake session.
+ * @returns {object} The session passed to every callback.
+ */
+const stubTransaction = () => {
+    const session = { id: 'test-session' };
+    mock.method(mongoose.connection, 'transaction', async (callback) => callback(session));
+    return session;
+};
+
+/**
+ * Calls a controller like Express would and collects the outcome.
+ * @param {function} handler - An asyncHandler-wrapped controller.
+ * @param {object} req - At least the fields the controller reads (body, query, params...).
+ * @returns {Promise<{status: number, body: *, error: Error|null}>}
+ */
+const runController = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+    let error = null;
+    await handler({ body: {}, query: {}, params: {}, headers: {}, ...req }, res, (err) => {
+        error = err || null;
+    });
+    return { status: res.statusCode, body: res.body, error };
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Date} Midnight on campus, like a stored serviceDate.
+ */
+const serviceDateOf = (date) => startOfCampusDay(parseCampusDate(date));
+
+const restoreMocks = () => mock.restoreAll();
+
+module.exports = {
+    fakeQuery,
+    stubQuery,
+    stubTransaction,
+    runController,
+    serviceDateOf,
+    restoreMocks,
+};
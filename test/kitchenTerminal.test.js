@@ -0,0 +1,101 @@
+// test/kitchenTerminal.test.js
+// Registering kitchen terminals, and checking their API keys on kitchen routes.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { stubQuery, runController, restoreMocks } = require('./helpers');
+const KitchenTerminal = require('../models/KitchenTerminalModel');
+const { registerTerminal, rotateTerminalKey, revokeTerminal } = require('../controllers/terminalController');
+const { protectKitchen } = require('../middleware/authMiddleware');
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Saved terminals, which protectKitchen looks up by key hash like the database would
+let savedTerminals;
+
+// Calls protectKitchen with an API key and collects the outcome
+const checkKey = async (apiKey) => {
+    const req = { headers: apiKey === undefined ? {} : { 'x-api-key': apiKey } };
+    const res = { status(code) { this.statusCode = code; return this; } };
+    let error;
+    await protectKitchen(req, res, (err) => { error = err; });
+    return { terminal: req.terminal, status: res.statusCode, error };
+};
+
+const register = async (name = 'Main Canteen - Station 1') => {
+    const { status, body } = await runController(registerTerminal, { admin, body: { name, location: 'Main building' } });
+    assert.equal(status, 201);
+    return body;
+};
+
+describe('kitchen terminal API keys', () => {
+    beforeEach(() => {
+        savedTerminals = [];
+        mock.method(KitchenTerminal.prototype, 'save', async function () {
+            if (!savedTerminals.includes(this)) savedTerminals.push(this);
+            return this;
+        });
+        stubQuery(KitchenTerminal, 'findOne', (filter) => {
+            return savedTerminals.find(t => Object.entries(filter).every(([field, value]) => t[field] === value)) || null;
+        });
+        stubQuery(KitchenTerminal, 'findById', (id) => savedTerminals.find(t => t._id.equals(id)) || null);
+        mock.method(KitchenTerminal, 'updateOne', async () => ({ modifiedCount: 1 }));
+    });
+    afterEach(restoreMocks);
+
+    it('stores only the SHA-256 hash and a display prefix of a new key', async () => {
+        const { apiKey, data } = await register();
+
+        assert.match(apiKey, /^kt_[0-9a-f]{64}$/);
+        const [terminal] = savedTerminals;
+        assert.equal(terminal.apiKeyHash, sha256(apiKey));
+        assert.equal(terminal.apiKeyPrefix, apiKey.substring(0, 11));
+        assert.ok(!JSON.stringify(terminal.toObject()).includes(apiKey));
+        assert.ok(!JSON.stringify(data).includes(apiKey));
+        // The hash is never loaded unless asked for
+        assert.equal(KitchenTerminal.schema.path('apiKeyHash').options.select, false);
+    });
+
+    it('accepts a registered key and records when it was used', async () => {
+        const { apiKey } = await register();
+        const { terminal, error } = await checkKey(apiKey);
+
+        assert.equal(error, undefined);
+        assert.equal(terminal, savedTerminals[0]);
+        assert.equal(KitchenTerminal.updateOne.mock.calls[0].arguments[0]._id, terminal._id);
+    });
+
+    it('rejects a missing or unknown key', async () => {
+        await register();
+
+        assert.equal((await checkKey(undefined)).status, 401);
+        const unknown = await checkKey(`kt_${crypto.randomBytes(32).toString('hex')}`);
+        assert.equal(unknown.status, 401);
+        assert.equal(unknown.terminal, undefined);
+    });
+
+    it('stops accepting the old key as soon as the key is rotated', async () => {
+        const { apiKey: oldKey, data } = await register();
+        const { status, body } = await runController(rotateTerminalKey, { admin, params: { id: data._id.toString() } });
+
+        assert.equal(status, 200);
+        assert.notEqual(body.apiKey, oldKey);
+        assert.equal((await checkKey(oldKey)).status, 401);
+        assert.equal((await checkKey(body.apiKey)).error, undefined);
+    });
+
+    it('rejects the key of a revoked terminal until a new key is issued', async () => {
+        const { apiKey, data } = await register();
+        const { status } = await runController(revokeTerminal, { admin, params: { id: data._id.toString() } });
+
+        assert.equal(status, 200);
+        assert.ok(savedTerminals[0].revokedAt instanceof Date);
+        assert.equal((await checkKey(apiKey)).status, 401);
+
+        const { body } = await runController(rotateTerminalKey, { admin, params: { id: data._id.toString() } });
+        assert.equal((await checkKey(apiKey)).status, 401);
+        assert.equal((await checkKey(body.apiKey)).error, undefined);
+    });
+});
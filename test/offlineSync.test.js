@@ -0,0 +1,168 @@
+// test/offlineSync.test.js
+// Uploading claims recorded while a kitchen terminal was offline.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { stubQuery, runController, restoreMocks } = require('./helpers');
+const Student = require('../models/StudentModel');
+const Schedule = require('../models/ScheduleModel');
+const ScheduleVersion = require('../models/ScheduleVersionModel');
+const MealRecord = require('../models/MealRecordModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const CalendarException = require('../models/CalendarExceptionModel');
+const StudentEligibilityOverride = require('../models/StudentEligibilityOverrideModel');
+const MealCapacity = require('../models/MealCapacityModel');
+const MealCapacityCounter = require('../models/MealCapacityCounterModel');
+const { syncOfflineClaims } = require('../controllers/offlineController');
+const { getServiceDate } = require('../utils/serviceDay');
+const { formatCampusDate } = require('../utils/campusTime');
+
+const terminal = { _id: new mongoose.Types.ObjectId(), name: 'Canteen A', location: 'Main building' };
+const student = {
+    _id: new mongoose.Types.ObjectId(),
+    studentIdNumber: '25-00001ABC',
+    name: 'Juan Dela Cruz',
+    program: 'BSIS',
+    yearLevel: 1,
+    section: 'A',
+    enrollmentStatus: 'ACTIVE',
+};
+
+// An hour ago, so the claim is recent enough to be accepted whatever time the tests run
+const claimedAt = new Date(Date.now() - 60 * 60 * 1000);
+const serviceDate = getServiceDate(claimedAt);
+
+const signRoster = ({ terminalId = terminal._id, students = { [student.studentIdNumber]: ['LUNCH'] } } = {}) => jwt.sign(
+    { terminal: terminalId.toString(), serviceDate: formatCampusDate(serviceDate), students },
+    process.env.ROSTER_SIGNING_SECRET || process.env.JWT_SECRET
+);
+
+const upload = (body) => runController(syncOfflineClaims, {
+    terminal,
+    body: {
+        rosters: [signRoster()],
+        claims: [{ clientClaimId: 'c-1', studentIdNumber: student.studentIdNumber, claimedAt: claimedAt.toISOString(), mealService: 'LUNCH' }],
+        ...body,
+    },
+});
+
+// Stubs the database for a day on which the student's cohort is scheduled for lunch every weekday, without capacities
+const stubDatabase = ({ students = [student], overrides = [], existingClaim = () => null, createRecord } = {}) => {
+    stubQuery(Student, 'find', students);
+    stubQuery(CalendarException, 'find', []);
+    stubQuery(ScheduleVersion, 'find', []);
+    stubQuery(Schedule, 'find', (filter) => [{ program: 'BSIS', yearLevel: 1, section: null, mealService: 'LUNCH', dayOfWeek: filter.dayOfWeek, isEligible: true }]);
+    stubQuery(StudentEligibilityOverride, 'find', overrides);
+    stubQuery(ServiceWindow, 'find', []);
+    stubQuery(MealCapacity, 'find', []);
+    stubQuery(MealRecord, 'findOne', () => existingClaim());
+    mock.method(MealCapacityCounter, 'updateOne', async () => ({ modifiedCount: 0 }));
+    return mock.method(MealRecord, 'create', createRecord || (async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc })));
+};
+
+describe('syncOfflineClaims', () => {
+    afterEach(restoreMocks);
+
+    it('records an eligible claim as an offline claim at the time it was made', async () => {
+        const create = stubDatabase();
+        const { status, body } = await upload();
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { SYNCED: 1 });
+        assert.equal(body.data[0].status, 'SYNCED');
+        assert.equal(body.data[0].clientClaimId, 'c-1');
+
+        const [record] = create.mock.calls[0].arguments;
+        assert.equal(record.recordedOffline, true);
+        assert.equal(record.status, 'CLAIMED');
+        assert.equal(record.dateChecked.getTime(), claimedAt.getTime());
+        assert.equal(record.serviceDate.getTime(), serviceDate.getTime());
+        assert.equal(record.terminal, terminal._id);
+    });
+
+    it('refuses the whole upload when a roster was signed for another terminal', async () => {
+        const create = stubDatabase();
+        const { status, error } = await upload({ rosters: [signRoster({ terminalId: new mongoose.Types.ObjectId() })] });
+
+        assert.equal(status, 400);
+        assert.match(error.message, /not issued to this terminal/);
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('refuses a roster that was not signed by the server', async () => {
+        stubDatabase();
+        const forged = jwt.sign({ terminal: terminal._id.toString(), serviceDate: formatCampusDate(serviceDate), students: {} }, 'not-the-secret');
+        const { status, error } = await upload({ rosters: [forged] });
+
+        assert.equal(status, 400);
+        assert.match(error.message, /Roster signature is invalid/);
+    });
+
+    it('writes nothing for a student who is no longer enrolled', async () => {
+        const create = stubDatabase({ students: [{ ...student, enrollmentStatus: 'DROPPED' }] });
+        const { body } = await upload();
+
+        assert.equal(body.data[0].status, 'NOT_ENROLLED');
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('rejects a claim for a student missing from the signed roster', async () => {
+        const create = stubDatabase();
+        const { body } = await upload({ rosters: [signRoster({ students: {} })] });
+
+        assert.equal(body.data[0].status, 'NOT_IN_ROSTER');
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('judges the claim by the live rules, so an override made since the roster was downloaded still applies', async () => {
+        const create = stubDatabase({ overrides: [{ student: student._id, type: 'DENY', reason: 'Disciplinary suspension', startDate: serviceDate, endDate: serviceDate }] });
+        const { body } = await upload();
+
+        assert.equal(body.data[0].status, 'INELIGIBLE');
+        assert.equal(body.data[0].reasonCode, 'OVERRIDE_DENY');
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('rejects claims older than the upload window', async () => {
+        const create = stubDatabase();
+        const { body } = await upload({
+            claims: [{ studentIdNumber: student.studentIdNumber, claimedAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString() }],
+        });
+
+        assert.equal(body.data[0].status, 'REJECTED');
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('reports a retried upload of the same claim as already synced', async () => {
+        const receiptId = new mongoose.Types.ObjectId();
+        let existing = null;
+        stubDatabase({
+            existingClaim: () => existing,
+            // The first upload's record is written between the eligibility check and this insert
+            createRecord: async () => {
+                existing = { _id: receiptId, terminal, dateChecked: claimedAt, recordedOffline: true };
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            },
+        });
+        const { body } = await upload();
+
+        assert.equal(body.data[0].status, 'ALREADY_SYNCED');
+        assert.equal(body.data[0].receiptId, receiptId);
+    });
+
+    it('reports a claim made elsewhere as a conflict', async () => {
+        stubDatabase({
+            existingClaim: () => ({
+                _id: new mongoose.Types.ObjectId(),
+                terminal: { _id: new mongoose.Types.ObjectId(), name: 'Canteen B' },
+                dateChecked: new Date(claimedAt.getTime() - 5 * 60 * 1000),
+                recordedOffline: false,
+            }),
+        });
+        const { body } = await upload();
+
+        assert.equal(body.data[0].status, 'CONFLICT');
+        assert.equal(body.data[0].existingClaim.terminal, 'Canteen B');
+    });
+});
@@ -0,0 +1,84 @@
+// test/program.test.js
+// Adding and changing programs.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubQuery, stubTransaction, runController, restoreMocks } = require('./helpers');
+const Program = require('../models/ProgramModel');
+const Student = require('../models/StudentModel');
+const Schedule = require('../models/ScheduleModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const CalendarException = require('../models/CalendarExceptionModel');
+const MealCapacity = require('../models/MealCapacityModel');
+const MealRecord = require('../models/MealRecordModel');
+const StudentChange = require('../models/StudentChangeModel');
+const SchoolYearRollover = require('../models/SchoolYearRolloverModel');
+const { addProgram, updateProgram } = require('../controllers/programController');
+
+// A stored four-year program without students or schedule entries
+const stubProgram = (fields = {}) => {
+    const program = Program.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'BSIS', description: 'Information Systems', color: '#46050A', minYearLevel: 1, maxYearLevel: 4, ...fields });
+    const save = mock.method(program, 'save', async () => program);
+    stubQuery(Program, 'findById', program);
+    mock.method(Program, 'exists', async () => null);
+    mock.method(Student, 'countDocuments', async () => 0);
+    mock.method(Schedule, 'countDocuments', async () => 0);
+    return { program, save };
+};
+
+describe('addProgram', () => {
+    afterEach(restoreMocks);
+
+    it('rejects a minimum year level above the default maximum with a 400', async () => {
+        stubQuery(Program, 'findOne', null);
+        const save = mock.method(Program.prototype, 'save', async function () { return this; });
+        const { status, error } = await runController(addProgram, {
+            body: { name: 'act', description: 'Associate in Computer Technology', programType: 'ASSOCIATE', minYearLevel: '3' },
+        });
+
+        assert.equal(status, 400);
+        assert.match(error.message, /Minimum year level \(3\) cannot be greater than the maximum year level \(2\)/);
+        assert.equal(save.mock.callCount(), 0);
+    });
+});
+
+describe('updateProgram', () => {
+    afterEach(restoreMocks);
+
+    it('checks a new minimum year level against the stored maximum', async () => {
+        const { program, save } = stubProgram();
+        const { status, error } = await runController(updateProgram, { params: { id: program._id.toString() }, body: { minYearLevel: '5' } });
+
+        assert.equal(status, 400);
+        assert.match(error.message, /cannot be greater than the maximum year level \(4\)/);
+        assert.equal(save.mock.callCount(), 0);
+    });
+
+    it('saves a range that is still in order', async () => {
+        const { program, save } = stubProgram();
+        const { status } = await runController(updateProgram, { params: { id: program._id.toString() }, body: { maxYearLevel: '5' } });
+
+        assert.equal(status, 200);
+        assert.equal(save.mock.callCount(), 1);
+        assert.equal(program.maxYearLevel, 5);
+    });
+
+    it('renames the program in rollover snapshots in the same transaction', async () => {
+        const { program, save } = stubProgram();
+        const session = stubTransaction();
+        for (const Model of [Student, Schedule, ServiceWindow, CalendarException, MealCapacity, MealRecord, StudentChange]) {
+            mock.method(Model, 'updateMany', async () => ({ modifiedCount: 0 }));
+        }
+        const rolloverUpdate = mock.method(SchoolYearRollover, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+        const { status, body } = await runController(updateProgram, { params: { id: program._id.toString() }, body: { name: 'bsit' } });
+
+        assert.equal(status, 200);
+        assert.equal(save.mock.calls[0].arguments[0].session, session);
+        const [filter, update, options] = rolloverUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { 'changes.program': 'BSIS' });
+        assert.deepEqual(update, { $set: { 'changes.$[old].program': 'BSIT' } });
+        assert.deepEqual(options, { session, arrayFilters: [{ 'old.program': 'BSIS' }] });
+        assert.equal(body.renamed.updated.rollovers, 2);
+    });
+});
@@ -0,0 +1,103 @@
+// test/rollover.test.js
+// Undoing an end-of-school-year rollover.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubQuery, stubTransaction, runController, restoreMocks } = require('./helpers');
+const SchoolYearRollover = require('../models/SchoolYearRolloverModel');
+const Student = require('../models/StudentModel');
+const StudentChange = require('../models/StudentChangeModel');
+const { undoRollover } = require('../controllers/rolloverController');
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+const performedAt = new Date('2026-06-01T02:00:00Z');
+
+const promoted = { student: new mongoose.Types.ObjectId(), studentIdNumber: '25-00001ABC', program: 'BSIS', action: 'PROMOTED', fromYearLevel: 1, toYearLevel: 2 };
+const graduated = { student: new mongoose.Types.ObjectId(), studentIdNumber: '22-00002ABC', program: 'BSIS', action: 'GRADUATED', fromYearLevel: 4, toYearLevel: 4, fromEnrollmentStatus: 'ON_LEAVE' };
+const editedSince = { student: new mongoose.Types.ObjectId(), studentIdNumber: '25-00003ABC', program: 'BSIS', action: 'PROMOTED', fromYearLevel: 1, toYearLevel: 2 };
+
+// The students as they are now: the first two as the rollover left them, the third moved to another year level since
+const currentStudents = [
+    { _id: promoted.student, yearLevel: 2, graduatedAt: null, enrollmentStatus: 'ACTIVE' },
+    { _id: graduated.student, yearLevel: 4, graduatedAt: performedAt, enrollmentStatus: 'GRADUATED' },
+    { _id: editedSince.student, yearLevel: 3, graduatedAt: null, enrollmentStatus: 'ACTIVE' },
+];
+
+const stubRollover = ({ laterRollover = null } = {}) => {
+    const rollover = new SchoolYearRollover({
+        schoolYear: '2025-2026',
+        performedAt,
+        changes: [promoted, graduated, editedSince],
+    });
+    const save = mock.method(rollover, 'save', async () => rollover);
+    stubQuery(SchoolYearRollover, 'findById', rollover);
+    stubQuery(SchoolYearRollover, 'findOne', laterRollover);
+    stubQuery(Student, 'find', currentStudents);
+    const session = stubTransaction();
+    const bulkWrite = mock.method(Student, 'bulkWrite', async () => ({}));
+    const insertMany = mock.method(StudentChange, 'insertMany', async () => []);
+    return { rollover, save, session, bulkWrite, insertMany };
+};
+
+const undo = (rollover) => runController(undoRollover, { admin, params: { id: rollover._id.toString() } });
+
+describe('undoRollover', () => {
+    afterEach(restoreMocks);
+
+    it('puts promoted students back in their year level and gives graduates back their enrollment status', async () => {
+        const { rollover, bulkWrite } = stubRollover();
+        const { status, body } = await undo(rollover);
+
+        assert.equal(status, 200);
+        const writes = bulkWrite.mock.calls[0].arguments[0].map(write => write.updateOne);
+        assert.deepEqual(writes.find(w => w.filter._id.equals(promoted.student)).update, { $set: { yearLevel: 1 } });
+
+        const graduateUpdate = writes.find(w => w.filter._id.equals(graduated.student)).update;
+        assert.deepEqual(graduateUpdate.$set, { graduatedAt: null, enrollmentStatus: 'ON_LEAVE' });
+        assert.equal(graduateUpdate.$push.enrollmentHistory.status, 'ON_LEAVE');
+        assert.equal(graduateUpdate.$push.enrollmentHistory.changedBy, admin._id);
+        assert.equal(body.restored, 2);
+    });
+
+    it('leaves students edited since the rollover alone and reports them as skipped', async () => {
+        const { rollover, bulkWrite } = stubRollover();
+        const { body } = await undo(rollover);
+
+        const restoredIds = bulkWrite.mock.calls[0].arguments[0].map(write => write.updateOne.filter._id);
+        assert.ok(!restoredIds.some(id => id.equals(editedSince.student)));
+        assert.equal(body.skipped, 1);
+    });
+
+    it('logs every restored student in the change log and marks the run undone, all in one transaction', async () => {
+        const { rollover, save, session, bulkWrite, insertMany } = stubRollover();
+        await undo(rollover);
+
+        const [entries, options] = insertMany.mock.calls[0].arguments;
+        assert.equal(options.session, session);
+        assert.equal(bulkWrite.mock.calls[0].arguments[1].session, session);
+        assert.equal(save.mock.calls[0].arguments[0].session, session);
+        assert.deepEqual(entries.map(entry => entry.source), ['ROLLOVER_UNDO', 'ROLLOVER_UNDO']);
+        assert.deepEqual(entries.find(entry => entry.student.equals(graduated.student)).changes,
+            [{ field: 'enrollmentStatus', from: 'GRADUATED', to: 'ON_LEAVE' }]);
+        assert.ok(rollover.undoneAt instanceof Date);
+        assert.equal(rollover.undoneBy, admin._id);
+    });
+
+    it('refuses to undo a rollover while a later one is still in place', async () => {
+        const { rollover, bulkWrite } = stubRollover({ laterRollover: { schoolYear: '2026-2027' } });
+        const { status, error } = await undo(rollover);
+
+        assert.equal(status, 400);
+        assert.match(error.message, /2026-2027/);
+        assert.equal(bulkWrite.mock.callCount(), 0);
+    });
+
+    it('refuses to undo a rollover twice', async () => {
+        const { rollover, bulkWrite } = stubRollover();
+        rollover.undoneAt = new Date();
+        const { status } = await undo(rollover);
+
+        assert.equal(status, 400);
+        assert.equal(bulkWrite.mock.callCount(), 0);
+    });
+});
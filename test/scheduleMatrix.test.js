@@ -0,0 +1,76 @@
+// test/scheduleMatrix.test.js
+// Replacing a schedule grid through the matrix and the CSV import.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubQuery, stubTransaction, runController, restoreMocks } = require('./helpers');
+const Program = require('../models/ProgramModel');
+const Schedule = require('../models/ScheduleModel');
+const { applyScheduleMatrix, importScheduleCsv } = require('../controllers/scheduleController');
+
+const programs = [
+    { name: 'BSIS', description: 'Information Systems', minYearLevel: 1, maxYearLevel: 4, isArchived: false },
+    { name: 'ACT', description: 'Computer Technology', minYearLevel: 1, maxYearLevel: 2, isArchived: true },
+].map(program => Program.hydrate({ _id: new mongoose.Types.ObjectId(), ...program }));
+
+// ACT was archived with Year 1 eating on Mondays and an entry keeping them off on Tuesdays
+const currentEntries = [
+    { _id: new mongoose.Types.ObjectId(), program: 'ACT', yearLevel: 1, section: null, dayOfWeek: 'Monday', isEligible: true },
+    { _id: new mongoose.Types.ObjectId(), program: 'ACT', yearLevel: 1, section: null, dayOfWeek: 'Tuesday', isEligible: false },
+];
+
+const applyMatrix = (rows) => runController(applyScheduleMatrix, { body: { version: 'base', mealService: 'LUNCH', rows } });
+const bsisRow = { program: 'BSIS', yearLevel: 1, days: { Monday: true } };
+
+describe('schedule grid for archived programs', () => {
+    let writes;
+    beforeEach(() => {
+        stubQuery(Program, 'find', programs);
+        stubQuery(Schedule, 'find', currentEntries);
+        stubTransaction();
+        writes = ['deleteMany', 'bulkWrite', 'insertMany'].map(method => mock.method(Schedule, method, async () => ({})));
+    });
+    afterEach(restoreMocks);
+
+    const writeCount = () => writes.reduce((total, write) => total + write.mock.callCount(), 0);
+
+    it('refuses a new cell for an archived program with the same message as a single entry', async () => {
+        const { status, body } = await applyMatrix([bsisRow, { program: 'act', yearLevel: 1, days: { Monday: true, Tuesday: false, Wednesday: true } }]);
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.invalidCells, [
+            { row: 1, program: 'ACT', yearLevel: 1, section: null, dayOfWeek: 'Wednesday', reason: "Program 'ACT' is archived and cannot be assigned." },
+        ]);
+        assert.equal(writeCount(), 0);
+    });
+
+    it('refuses switching on a cell of an archived program', async () => {
+        const { status, body } = await applyMatrix([bsisRow, { program: 'ACT', yearLevel: 1, days: { Monday: true, Tuesday: true } }]);
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.invalidCells.map(cell => cell.dayOfWeek), ['Tuesday']);
+        assert.equal(writeCount(), 0);
+    });
+
+    it('still lets the cells an archived program has be kept, switched off or removed', async () => {
+        const { status, body } = await applyMatrix([bsisRow, { program: 'ACT', yearLevel: 1, days: { Monday: false } }]);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { added: 1, removed: 1, flipped: 1, unchanged: 0 });
+    });
+
+    it('refuses the same cells in a CSV import, with their line in the file', async () => {
+        const csv = [
+            'program,yearLevel,section,Monday,Tuesday,Wednesday,Thursday,Friday,Saturday,Sunday',
+            'BSIS,1,,Y,,,,,,',
+            'ACT,1,,Y,N,,Y,,,',
+        ].join('\n');
+        const { status, body } = await runController(importScheduleCsv, { body: csv, query: { version: 'base' } });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(error => [error.line, error.dayOfWeek, error.reason]), [
+            [3, 'Thursday', "Program 'ACT' is archived and cannot be assigned."],
+        ]);
+        assert.equal(writeCount(), 0);
+    });
+});
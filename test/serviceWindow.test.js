@@ -0,0 +1,68 @@
+// test/serviceWindow.test.js
+// Adding and changing meal service windows.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubQuery, runController, restoreMocks } = require('./helpers');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const { addServiceWindow, updateServiceWindow } = require('../controllers/serviceWindowController');
+
+describe('addServiceWindow', () => {
+    afterEach(restoreMocks);
+
+    it('rejects a window that ends before it starts with a 400', async () => {
+        const create = mock.method(ServiceWindow, 'create', async (doc) => doc);
+        const { status, error } = await runController(addServiceWindow, {
+            body: { dayOfWeek: 'Monday', mealService: 'LUNCH', startTime: '13:00', endTime: '11:00' },
+        });
+
+        assert.equal(status, 400);
+        assert.match(error.message, /start time must be before its end time/);
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('rejects a year level without a program with a 400', async () => {
+        const create = mock.method(ServiceWindow, 'create', async (doc) => doc);
+        const { status } = await runController(addServiceWindow, {
+            body: { dayOfWeek: 'Monday', mealService: 'LUNCH', startTime: '11:00', endTime: '13:00', yearLevel: 2 },
+        });
+
+        assert.equal(status, 400);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});
+
+describe('updateServiceWindow', () => {
+    afterEach(restoreMocks);
+
+    const stubWindow = () => {
+        const serviceWindow = new ServiceWindow({ dayOfWeek: 'Monday', mealService: 'LUNCH', startTime: '11:00', endTime: '13:00' });
+        const save = mock.method(serviceWindow, 'save', async () => serviceWindow);
+        stubQuery(ServiceWindow, 'findById', serviceWindow);
+        return { serviceWindow, save };
+    };
+
+    it('checks a new start time against the stored end time', async () => {
+        const { serviceWindow, save } = stubWindow();
+        const { status } = await runController(updateServiceWindow, {
+            params: { id: serviceWindow._id.toString() },
+            body: { startTime: '14:00' },
+        });
+
+        assert.equal(status, 400);
+        assert.equal(save.mock.callCount(), 0);
+        assert.equal(serviceWindow.startTime, '11:00');
+    });
+
+    it('saves a window that still starts before it ends', async () => {
+        const { serviceWindow, save } = stubWindow();
+        const { status } = await runController(updateServiceWindow, {
+            params: { id: serviceWindow._id.toString() },
+            body: { startTime: '10:30' },
+        });
+
+        assert.equal(status, 200);
+        assert.equal(save.mock.callCount(), 1);
+        assert.equal(serviceWindow.startTime, '10:30');
+        assert.equal(serviceWindow.endTime, '13:00');
+    });
+});
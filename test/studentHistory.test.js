@@ -0,0 +1,116 @@
+// test/studentHistory.test.js
+// Replaying the student change log to find the cohort a student was in on a past date.
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubQuery, serviceDateOf, restoreMocks } = require('./helpers');
+const Student = require('../models/StudentModel');
+const StudentChange = require('../models/StudentChangeModel');
+const Schedule = require('../models/ScheduleModel');
+const ScheduleVersion = require('../models/ScheduleVersionModel');
+const CalendarException = require('../models/CalendarExceptionModel');
+const StudentEligibilityOverride = require('../models/StudentEligibilityOverrideModel');
+const { getStudentCohortAt } = require('../utils/studentHistory');
+const { getEligibleStudentsOnDate } = require('../utils/eligibilityRules');
+
+const MONDAY = serviceDateOf('2025-06-02');
+const daysAfter = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// A change log entry, as StudentChange.find returns it
+const changeEntry = (student, changedAt, source, changes) => ({ _id: new mongoose.Types.ObjectId(), student, changedAt, source, changes });
+
+describe('getStudentCohortAt', () => {
+    afterEach(restoreMocks);
+
+    it('takes the value before the first change after the moment for each field', async () => {
+        const student = { _id: new mongoose.Types.ObjectId(), program: 'BSCS', yearLevel: 3, section: 'B', enrollmentStatus: 'ACTIVE' };
+        // Newest first, as the query sorts them: shifted program in the first week, then promoted by the rollover
+        const find = stubQuery(StudentChange, 'find', [
+            changeEntry(student._id, daysAfter(MONDAY, 90), 'ROLLOVER', [{ field: 'yearLevel', from: 2, to: 3 }]),
+            changeEntry(student._id, daysAfter(MONDAY, 7), 'UPDATE', [
+                { field: 'program', from: 'BSIS', to: 'BSCS' },
+                { field: 'yearLevel', from: 1, to: 2 },
+                { field: 'name', from: 'Juan Cruz', to: 'Juan Dela Cruz' },
+            ]),
+        ]);
+
+        const cohort = await getStudentCohortAt(student, MONDAY);
+
+        assert.deepEqual(cohort, { program: 'BSIS', yearLevel: 1, section: 'B', enrollmentStatus: 'ACTIVE' });
+        const [filter] = find.mock.calls[0].arguments;
+        assert.deepEqual(filter.changedAt, { $gt: MONDAY });
+        assert.deepEqual(filter.student, { $in: [student._id] });
+    });
+
+    it('returns the current cohort of a student not edited since', async () => {
+        stubQuery(StudentChange, 'find', []);
+        const student = { _id: new mongoose.Types.ObjectId(), program: 'BSIS', yearLevel: 2, section: '' };
+
+        assert.deepEqual(await getStudentCohortAt(student, MONDAY), { program: 'BSIS', yearLevel: 2, section: null, enrollmentStatus: 'ACTIVE' });
+    });
+
+    it('brings back the enrollment status of a student who left since', async () => {
+        const student = { _id: new mongoose.Types.ObjectId(), program: 'BSIS', yearLevel: 2, section: 'A', enrollmentStatus: 'DROPPED' };
+        stubQuery(StudentChange, 'find', [
+            changeEntry(student._id, daysAfter(MONDAY, 3), 'ENROLLMENT', [{ field: 'enrollmentStatus', from: 'ACTIVE', to: 'DROPPED' }]),
+        ]);
+
+        assert.equal((await getStudentCohortAt(student, MONDAY)).enrollmentStatus, 'ACTIVE');
+    });
+});
+
+describe('getEligibleStudentsOnDate', () => {
+    afterEach(restoreMocks);
+
+    // BSIS 1st years are scheduled for lunch on Mondays
+    const stubSchedule = () => {
+        stubQuery(CalendarException, 'find', []);
+        stubQuery(ScheduleVersion, 'find', []);
+        stubQuery(Schedule, 'find', [{ program: 'BSIS', yearLevel: 1, section: null, isEligible: true }]);
+        stubQuery(StudentEligibilityOverride, 'find', []);
+    };
+
+    const unedited = { _id: new mongoose.Types.ObjectId(), program: 'BSIS', yearLevel: 1, section: 'A', enrollmentStatus: 'ACTIVE' };
+    // Promoted and shifted since that Monday, when they were a BSIS 1st year
+    const shifted = { _id: new mongoose.Types.ObjectId(), program: 'BSCS', yearLevel: 2, section: 'A', enrollmentStatus: 'ACTIVE' };
+    // Re-enrolled since that Monday, when they were on leave
+    const returned = { _id: new mongoose.Types.ObjectId(), program: 'BSIS', yearLevel: 1, section: 'A', enrollmentStatus: 'ACTIVE' };
+    const laterChanges = [
+        changeEntry(shifted._id, daysAfter(MONDAY, 10), 'UPDATE', [
+            { field: 'program', from: 'BSIS', to: 'BSCS' },
+            { field: 'yearLevel', from: 1, to: 2 },
+        ]),
+        changeEntry(returned._id, daysAfter(MONDAY, 5), 'ENROLLMENT', [{ field: 'enrollmentStatus', from: 'ON_LEAVE', to: 'ACTIVE' }]),
+    ];
+
+    it('judges students edited since by the cohort they were in that day', async () => {
+        stubSchedule();
+        stubQuery(StudentChange, 'find', laterChanges);
+        stubQuery(Student, 'find', [unedited, shifted, returned]);
+
+        const { students } = await getEligibleStudentsOnDate(MONDAY);
+
+        assert.deepEqual(students.map(s => s._id), [unedited._id, shifted._id]);
+        const pastShifted = students.find(s => s._id === shifted._id);
+        assert.equal(pastShifted.program, 'BSIS');
+        assert.equal(pastShifted.yearLevel, 1);
+    });
+
+    it('only queries for the edited students whose past cohort can be eligible', async () => {
+        stubSchedule();
+        stubQuery(StudentChange, 'find', laterChanges);
+        const find = stubQuery(Student, 'find', []);
+
+        await getEligibleStudentsOnDate(MONDAY);
+
+        const [current, ...edited] = find.mock.calls[0].arguments[0].$or;
+        // Everyone else is matched on their current cohort
+        assert.deepEqual(current.$or, [{ program: 'BSIS', yearLevel: 1 }]);
+        assert.deepEqual(current._id.$nin.sort(), [shifted._id.toString(), returned._id.toString()].sort());
+        // The shifted student met the criteria with their past values alone; the returned student was on leave
+        assert.equal(edited.length, 1);
+        assert.deepEqual(edited[0]._id, { $in: [shifted._id.toString()] });
+        assert.equal(edited[0].$or, undefined);
+        assert.deepEqual(edited[0].enrollmentStatus, { $in: ['ACTIVE', null] });
+    });
+});
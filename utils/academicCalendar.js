@@ -0,0 +1,75 @@
+// utils/academicCalendar.js
+const CalendarException = require('../models/CalendarExceptionModel');
+const { getCurrentDayOfWeek, getServiceDate } = require('./serviceDay');
+const { DEFAULT_MEAL_SERVICE, appliesToMealService } = require('./mealServices');
+
+/**
+ * Loads the calendar exceptions for every service day in a range.
+ * @param {Date} startDate - Any instant on the first day.
+ * @param {Date} [endDate=startDate] - Any instant on the last day.
+ * @returns {Promise<Map<number, Array<object>>>} Exceptions keyed by serviceDate timestamp.
+ */
+const getCalendarExceptions = async (startDate, endDate = startDate) => {
+    const exceptions = await CalendarException.find({
+        date: { $gte: getServiceDate(startDate), $lte: endDate },
+    }).lean();
+
+    const byDate = new Map();
+    for (const exception of exceptions) {
+        const key = exception.date.getTime();
+        if (!byDate.has(key)) byDate.set(key, []);
+        byDate.get(key).push(exception);
+    }
+    return byDate;
+};
+
+/**
+ * Gets the weekday whose schedule applies on a date, following any DAY_OVERRIDE.
+ * @param {Array<object>} exceptions - Exceptions for that date.
+ * @param {Date} serviceDate - The service day.
+ * @returns {string} e.g. 'Monday'.
+ */
+const getEffectiveDayOfWeek = (exceptions, serviceDate) => {
+    const override = exceptions.find(e => e.type === 'DAY_OVERRIDE');
+    return override ? override.treatAsDay : getCurrentDayOfWeek(serviceDate);
+};
+
+// 0 = campus-wide, 1 = whole program, 2 = program + year. -1 = does not apply to the cohort.
+const getCohortSpecificity = (exception, cohort) => {
+    if (!exception.program) return 0;
+    if (exception.program !== cohort.program) return -1;
+    if (exception.yearLevel == null) return 1;
+    return exception.yearLevel === cohort.yearLevel ? 2 : -1;
+};
+
+/**
+ * Applies NO_MEALS and COHORT_GRANT exceptions on top of the weekly schedule for a cohort and meal service.
+ * The most specific matching exception wins; on a tie, NO_MEALS wins.
+ * @param {Array<object>} exceptions - Exceptions for that date.
+ * @param {{program: string, yearLevel: number}} cohort - The student or cohort.
+ * @param {boolean} isScheduled - Whether the (effective-day) weekly schedule makes the cohort eligible.
+ * @param {string} [mealService='LUNCH'] - The meal service being decided; see appliesToMealService.
+ * @returns {{isEligible: boolean, exception: object|null}} The outcome and the exception that decided it, if any.
+ */
+const applyCalendarExceptions = (exceptions, cohort, isScheduled, mealService = DEFAULT_MEAL_SERVICE) => {
+    let deciding = null;
+    let decidingSpecificity = -1;
+    for (const exception of exceptions) {
+        if (exception.type === 'DAY_OVERRIDE' || !appliesToMealService(exception, mealService)) continue;
+        const specificity = getCohortSpecificity(exception, cohort);
+        if (specificity < 0) continue;
+        if (specificity > decidingSpecificity || (specificity === decidingSpecificity && exception.type === 'NO_MEALS')) {
+            deciding = exception;
+            decidingSpecificity = specificity;
+        }
+    }
+
+    if (!deciding) return { isEligible: isScheduled, exception: null };
+    return { isEligible: deciding.type === 'COHORT_GRANT', exception: deciding };
+};
+
+module.exports = {
+    getCalendarExceptions,
+    getEffectiveDayOfWeek,
+    applyCalendarExceptions,
+};
@@ -0,0 +1,62 @@
+// utils/allotments.js
+// Turns the weekly schedule and the student roster into allotted meal counts. Used by the dashboard's
+// pre-calculation and by the schedule impact (what-if) analysis.
+const Student = require('../models/StudentModel');
+const { buildScheduleLookup } = require('./eligibilityRules');
+const { ACTIVE_STUDENT_FILTER } = require('./enrollment');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Counts the active students per program, year level and section.
+ * @returns {Promise<Array<{program: string, yearLevel: number, section: string|null, count: number}>>}
+ */
+const getStudentGroupCounts = async () => {
+    const studentCounts = await Student.aggregate([
+        { $match: ACTIVE_STUDENT_FILTER },
+        { $group: { _id: { program: '$program', yearLevel: '$yearLevel', section: '$section' }, count: { $sum: 1 } } }
+    ]);
+    return studentCounts.map(item => ({
+        program: item._id.program,
+        yearLevel: item._id.yearLevel,
+        section: item._id.section || null,
+        count: item.count,
+    }));
+};
+
+/**
+ * Works out the meals allotted on each weekday under one set of schedule entries.
+ * Section entries override the cohort entry, so totals are summed per section group.
+ * @param {Array<object>} scheduleEntries - The entries of one schedule version (all weekdays).
+ * @param {Array<object>} groupCounts - From getStudentGroupCounts.
+ * @returns {{byDay: Object<string, number>, byProgram: Map<string, Object<string, number>>, lookups: Object<string, function>}}
+ *   Totals per weekday, the same split per program, and the schedule lookup used for each weekday.
+ */
+const calculateWeeklyAllotments = (scheduleEntries, groupCounts) => {
+    const byDay = {};
+    const byProgram = new Map();
+    const lookups = {};
+    WEEKDAYS.forEach(day => {
+        lookups[day] = buildScheduleLookup(scheduleEntries.filter(entry => entry.dayOfWeek === day));
+        byDay[day] = 0;
+    });
+
+    groupCounts.forEach(group => {
+        if (!byProgram.has(group.program)) {
+            byProgram.set(group.program, Object.fromEntries(WEEKDAYS.map(day => [day, 0])));
+        }
+        WEEKDAYS.forEach(day => {
+            if (!lookups[day](group)) return;
+            byDay[day] += group.count;
+            byProgram.get(group.program)[day] += group.count;
+        });
+    });
+
+    return { byDay, byProgram, lookups };
+};
+
+module.exports = {
+    WEEKDAYS,
+    getStudentGroupCounts,
+    calculateWeeklyAllotments,
+};
@@ -0,0 +1,152 @@
+// utils/campusTime.js
+// Calendar math in the campus timezone. All day, week, month and semester boundaries go through here
+// so that, e.g., a 7:30am scan in Manila (UTC+8) is not counted on the previous UTC day.
+
+const DEFAULT_CAMPUS_TIMEZONE = 'Asia/Manila';
+
+const resolveCampusTimezone = () => {
+    const timeZone = process.env.CAMPUS_TIMEZONE || DEFAULT_CAMPUS_TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.warn(`WARN: CAMPUS_TIMEZONE '${timeZone}' is not a valid IANA timezone, using ${DEFAULT_CAMPUS_TIMEZONE}.`.yellow);
+        return DEFAULT_CAMPUS_TIMEZONE;
+    }
+};
+
+const CAMPUS_TIMEZONE = resolveCampusTimezone();
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: CAMPUS_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+});
+
+/**
+ * Breaks a date into its wall-clock parts on campus.
+ * @param {Date} [date=new Date()] - The instant to convert.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   `month` is 1-12, `weekday` is 0 (Sunday) to 6 (Saturday).
+ */
+const getCampusDateParts = (date = new Date()) => {
+    const parts = {};
+    for (const { type, value } of partsFormatter.formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+    return parts;
+};
+
+// Milliseconds the campus clock is ahead of UTC at the given instant
+const getCampusOffsetMs = (date) => {
+    const p = getCampusDateParts(date);
+    const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClockAsUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Converts a campus wall-clock time to the actual instant. Out-of-range parts roll over like Date.UTC
+ * (e.g., day 0 is the last day of the previous month).
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @returns {Date}
+ */
+const campusTimeToDate = (year, month, day, hour = 0, minute = 0, second = 0, ms = 0) => {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    let result = wallClockAsUtc - getCampusOffsetMs(new Date(wallClockAsUtc));
+    // Re-check once in case the first guess landed on the other side of a DST change
+    const correctedOffset = getCampusOffsetMs(new Date(result));
+    if (wallClockAsUtc - correctedOffset !== result) {
+        result = wallClockAsUtc - correctedOffset;
+    }
+    return new Date(result);
+};
+
+/**
+ * Gets midnight on campus for the day the date falls on.
+ * @param {Date} [date=new Date()]
+ * @returns {Date}
+ */
+const startOfCampusDay = (date = new Date()) => {
+    const p = getCampusDateParts(date);
+    return campusTimeToDate(p.year, p.month, p.day);
+};
+
+/**
+ * Gets the last millisecond of the campus day the date falls on.
+ * @param {Date} [date=new Date()]
+ * @returns {Date}
+ */
+const endOfCampusDay = (date = new Date()) => {
+    const p = getCampusDateParts(date);
+    return new Date(campusTimeToDate(p.year, p.month, p.day + 1).getTime() - 1);
+};
+
+/**
+ * Moves a date by whole campus calendar days, keeping its campus wall-clock time.
+ * @param {Date} date
+ * @param {number} days - May be negative.
+ * @returns {Date}
+ */
+const addCampusDays = (date, days) => {
+    const p = getCampusDateParts(date);
+    return campusTimeToDate(p.year, p.month, p.day + days, p.hour, p.minute, p.second, date.getUTCMilliseconds());
+};
+
+/**
+ * Parses a date from a query string or request body.
+ * A plain 'YYYY-MM-DD' means midnight of that day on campus; anything else is parsed as a full timestamp.
+ * @param {string} value
+ * @returns {Date|null} The parsed date, or null if it is not a valid date.
+ */
+const parseCampusDate = (value) => {
+    if (!value) return null;
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+    const date = match
+        ? campusTimeToDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10))
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formats a date as the campus calendar date.
+ * @param {Date} date
+ * @returns {string} e.g. '2025-06-02'.
+ */
+const formatCampusDate = (date) => {
+    const p = getCampusDateParts(date);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Formats a date as an ISO 8601 timestamp with the campus UTC offset.
+ * @param {Date} date
+ * @returns {string} e.g. '2025-06-02T11:45:00+08:00'.
+ */
+const formatCampusDateTime = (date) => {
+    const p = getCampusDateParts(date);
+    const offsetMinutes = Math.round(getCampusOffsetMs(date) / 60000);
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${formatCampusDate(date)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+        + `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+};
+
+module.exports = {
+    CAMPUS_TIMEZONE,
+    getCampusDateParts,
+    campusTimeToDate,
+    startOfCampusDay,
+    endOfCampusDay,
+    addCampusDays,
+    parseCampusDate,
+    formatCampusDate,
+    formatCampusDateTime,
+};
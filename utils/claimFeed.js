@@ -0,0 +1,54 @@
+// utils/claimFeed.js
+// In-process publisher for the admin live feed. Controllers publish each meal record right after
+// writing it; the dashboard stream relays the events to connected supervisors.
+const { EventEmitter } = require('events');
+const { formatCampusDate } = require('./campusTime');
+
+const feed = new EventEmitter();
+feed.setMaxListeners(0); // One listener per connected dashboard
+
+/**
+ * Publishes a written meal record to the live feed.
+ * @param {object} mealRecord - The saved MealRecord document.
+ * @param {object} [context]
+ * @param {object} [context.student] - The student document, when the ID was found.
+ * @param {object} [context.terminal] - The kitchen terminal that recorded it.
+ * @param {string} [context.previousStatus] - The record's status before this write, when an existing record changed
+ *   (e.g. CLAIMED for a cancelled claim), so running counters can move it rather than add to it.
+ */
+const publishMealRecord = (mealRecord, { student, terminal, previousStatus = null } = {}) => {
+    if (feed.listenerCount('meal-record') === 0) return;
+
+    feed.emit('meal-record', {
+        id: mealRecord._id,
+        status: mealRecord.status,
+        previousStatus,
+        mealService: mealRecord.mealService,
+        studentInfo: {
+            studentIdNumber: mealRecord.studentIdNumber,
+            name: student ? student.name : null,
+            program: mealRecord.programAtTimeOfRecord,
+            year: mealRecord.yearLevelAtTimeOfRecord,
+            section: student ? student.section || "N/A" : "N/A",
+        },
+        terminal: terminal ? { id: terminal._id, name: terminal.name, location: terminal.location } : null,
+        dateChecked: mealRecord.dateChecked,
+        serviceDate: formatCampusDate(mealRecord.serviceDate || mealRecord.dateChecked),
+        recordedOffline: !!mealRecord.recordedOffline,
+    });
+};
+
+/**
+ * Registers a listener for published meal records.
+ * @param {function(object): void} listener - Called with each event payload.
+ * @returns {function(): void} Removes the listener.
+ */
+const subscribeToMealRecords = (listener) => {
+    feed.on('meal-record', listener);
+    return () => feed.off('meal-record', listener);
+};
+
+module.exports = {
+    publishMealRecord,
+    subscribeToMealRecords,
+};
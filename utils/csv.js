@@ -0,0 +1,88 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reading and writing for spreadsheet imports and exports.
+
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds one CSV line, for writing a document a few rows at a time.
+ * @param {Array<*>} values - null/undefined become empty cells.
+ * @returns {string} The line, ending in CRLF.
+ */
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+/**
+ * Builds a CSV document.
+ * @param {Array<string>} header - Column names.
+ * @param {Array<Array<*>>} rows - One array of values per row; null/undefined become empty cells.
+ * @returns {string} CSV text with CRLF line endings.
+ */
+const toCsv = (header, rows) => {
+    return [header, ...rows].map(toCsvRow).join('');
+};
+
+/**
+ * Parses a CSV document. Quoted values may contain commas, doubled quotes and line breaks.
+ * Blank lines are skipped.
+ * @param {string} text - The CSV text (a leading byte order mark is ignored).
+ * @returns {Array<{line: number, values: Array<string>}>} Each record with the line it starts on (1-based).
+ * @throws {Error} When a quoted value is not closed.
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let values = [];
+    let value = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        values.push(value);
+        if (values.length > 1 || values[0].trim() !== '') records.push({ line: recordLine, values });
+        values = [];
+        value = '';
+    };
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            values.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            value += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error(`Unclosed quoted value starting on line ${recordLine}.`);
+    }
+    if (value !== '' || values.length > 0) endRecord();
+
+    return records;
+};
+
+module.exports = {
+    toCsvRow,
+    toCsv,
+    parseCsv,
+};
@@ -0,0 +1,374 @@
+// utils/eligibilityRules.js
+// Works out who is eligible for a meal on a given service day: evaluateEligibility for a single scan or
+// offline claim, and getEligibleStudentsOnDate for bulk jobs such as the offline roster and
+// unclaimed-record generation. Both apply the same rules.
+const Student = require('../models/StudentModel');
+const Schedule = require('../models/ScheduleModel');
+const MealRecord = require('../models/MealRecordModel');
+const ServiceWindow = require('../models/ServiceWindowModel');
+const StudentEligibilityOverride = require('../models/StudentEligibilityOverrideModel');
+const { getCurrentDayOfWeek, getServiceDayEnd, getCurrentTimeOfDay, pickServiceWindow } = require('./serviceDay');
+const { getScheduleVersionIdOn } = require('./scheduleVersions');
+const {
+    DEFAULT_MEAL_SERVICE,
+    describeMealService,
+    appliesToMealService,
+    findCurrentMealService,
+} = require('./mealServices');
+const { ACTIVE_STUDENT_FILTER, isActiveStudent, describeEnrollmentStatus } = require('./enrollment');
+const { formatCampusDate } = require('./campusTime');
+const { getCapacityStatus, findReachedCapacity, reserveMealPortion } = require('./mealCapacity');
+const { COHORT_FIELDS, getCohortChangesSince } = require('./studentHistory');
+const {
+    getCalendarExceptions,
+    getEffectiveDayOfWeek,
+    applyCalendarExceptions,
+} = require('./academicCalendar');
+
+/**
+ * Loads the individual eligibility overrides in force on a service day.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {object} [filter] - Extra conditions, e.g. `{ student: id }`.
+ * @returns {Promise<Array<object>>} Lean override documents.
+ */
+const getActiveOverrides = (serviceDate, filter = {}) => {
+    return StudentEligibilityOverride.find({
+        ...filter,
+        startDate: { $lte: serviceDate },
+        endDate: { $gte: serviceDate },
+    }).lean();
+};
+
+/**
+ * Picks the override that decides a student's eligibility for a meal service on a service day.
+ * Overrides limited to certain weekdays only count on those days, and only for the services they cover
+ * (see appliesToMealService). DENY wins over GRANT.
+ * @param {Array<object>} overrides - The student's overrides active on that day.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {string} [mealService='LUNCH'] - The meal service being decided.
+ * @returns {object|null} The deciding override, if any.
+ */
+const pickOverride = (overrides, serviceDate, mealService = DEFAULT_MEAL_SERVICE) => {
+    const weekday = getCurrentDayOfWeek(serviceDate);
+    const applicable = overrides.filter(o => (!o.daysOfWeek || o.daysOfWeek.length === 0 || o.daysOfWeek.includes(weekday))
+        && appliesToMealService(o, mealService));
+    return applicable.find(o => o.type === 'DENY') || applicable.find(o => o.type === 'GRANT') || null;
+};
+
+const getScheduleRuleKey = (program, yearLevel, section) => `${program}-${yearLevel}-${section || ''}`;
+
+/**
+ * Indexes one weekday's schedule entries so that section-level entries override the cohort-wide one.
+ * @param {Array<object>} entries - Schedule entries of a single version and weekday.
+ * @returns {function({program: string, yearLevel: number, section?: string}): boolean}
+ *   Whether a student (or a section group) is scheduled that day.
+ */
+const buildScheduleLookup = (entries) => {
+    const rules = new Map(entries.map(e => [getScheduleRuleKey(e.program, e.yearLevel, e.section), e.isEligible]));
+    return ({ program, yearLevel, section }) => {
+        if (section) {
+            const sectionRule = rules.get(getScheduleRuleKey(program, yearLevel, section));
+            if (sectionRule !== undefined) return sectionRule;
+        }
+        return rules.get(getScheduleRuleKey(program, yearLevel, null)) === true;
+    };
+};
+
+// Query conditions for students edited since the service day, who are judged on the cohort they were in then.
+// Students are grouped by the values they had that day, and each group gets the criteria rewritten for those
+// values: a criterion on a field that differed then is met or not whatever the current value is. So only the
+// edited students who may have been eligible are loaded, not everyone touched by a rollover.
+const buildEditedStudentConditions = (pastCohorts, eligibilityCriteria) => {
+    const groups = new Map();
+    pastCohorts.forEach((pastCohort, studentId) => {
+        const key = JSON.stringify(COHORT_FIELDS.filter(field => field in pastCohort).map(field => [field, pastCohort[field]]));
+        if (!groups.has(key)) groups.set(key, { pastCohort, studentIds: [] });
+        groups.get(key).studentIds.push(studentId);
+    });
+
+    const conditions = [];
+    groups.forEach(({ pastCohort, studentIds }) => {
+        if ('enrollmentStatus' in pastCohort && !isActiveStudent(pastCohort)) return;
+        const criteria = [];
+        eligibilityCriteria.forEach(criterion => {
+            const adjusted = { ...criterion };
+            for (const field of Object.keys(criterion)) {
+                if (!(field in pastCohort)) continue;
+                if (criterion[field] !== pastCohort[field]) return;
+                delete adjusted[field];
+            }
+            criteria.push(adjusted);
+        });
+        if (criteria.length === 0) return;
+
+        const condition = { _id: { $in: studentIds } };
+        if (!('enrollmentStatus' in pastCohort)) Object.assign(condition, ACTIVE_STUDENT_FILTER);
+        // A criterion left empty is met by the past values alone
+        if (!criteria.some(criterion => Object.keys(criterion).length === 0)) condition.$or = criteria;
+        conditions.push(condition);
+    });
+    return conditions;
+};
+
+/**
+ * Finds every active (enrolled) student eligible for a meal service on a service day.
+ * Applies the weekly schedule version in force that day (following any DAY_OVERRIDE), NO_MEALS / COHORT_GRANT exceptions,
+ * and individual student overrides, which take precedence over both. Only the exceptions and overrides that cover the meal
+ * service are applied (grants without a mealService only grant lunch).
+ * Students edited after that day (e.g., shifted program) are judged, and returned, with the cohort they were in that day.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {object} [options]
+ * @param {string} [options.mealService='LUNCH'] - The meal service whose schedule applies.
+ * @param {string} [options.select] - Extra Student fields to load (program, yearLevel and section are always loaded).
+ * @param {object} [options.sort] - Sort order for the returned students.
+ * @returns {Promise<{dayOfWeek: string, calendarExceptions: Array<object>, students: Array<object>}>}
+ *   The effective weekday, the exceptions for that date, and the eligible students (lean documents).
+ */
+const getEligibleStudentsOnDate = async (serviceDate, { select = '', sort = {}, mealService = DEFAULT_MEAL_SERVICE } = {}) => {
+    const exceptionsByDate = await getCalendarExceptions(serviceDate);
+    const calendarExceptions = exceptionsByDate.get(serviceDate.getTime()) || [];
+    const dayOfWeek = getEffectiveDayOfWeek(calendarExceptions, serviceDate);
+
+    const version = await getScheduleVersionIdOn(serviceDate);
+    const schedules = await Schedule.find({ version, mealService, dayOfWeek }).select('program yearLevel section isEligible').lean();
+    const isScheduled = buildScheduleLookup(schedules);
+
+    // Candidates are narrowed by query, then section rules are applied per student below
+    const eligibilityCriteria = schedules
+        .filter(s => s.isEligible)
+        .map(s => (s.section ? { program: s.program, yearLevel: s.yearLevel, section: s.section } : { program: s.program, yearLevel: s.yearLevel }));
+    calendarExceptions
+        .filter(e => e.type === 'COHORT_GRANT' && appliesToMealService(e, mealService))
+        .forEach(e => eligibilityCriteria.push(e.yearLevel ? { program: e.program, yearLevel: e.yearLevel } : { program: e.program }));
+
+    const overridesByStudent = new Map();
+    for (const override of await getActiveOverrides(serviceDate)) {
+        const key = override.student.toString();
+        if (!overridesByStudent.has(key)) overridesByStudent.set(key, []);
+        overridesByStudent.get(key).push(override);
+    }
+    const decidingOverrides = new Map();
+    overridesByStudent.forEach((overrides, studentId) => {
+        const override = pickOverride(overrides, serviceDate, mealService);
+        if (override) decidingOverrides.set(studentId, override);
+    });
+    const grantedStudentIds = [...decidingOverrides.entries()]
+        .filter(([, override]) => override.type === 'GRANT')
+        .map(([studentId]) => studentId);
+    if (grantedStudentIds.length > 0) {
+        eligibilityCriteria.push({ _id: { $in: grantedStudentIds } });
+    }
+
+    if (eligibilityCriteria.length === 0) {
+        return { dayOfWeek, calendarExceptions, students: [] };
+    }
+
+    const pastCohorts = await getCohortChangesSince(getServiceDayEnd(serviceDate));
+    const editedStudentIds = [...pastCohorts.keys()];
+    const candidates = await Student.find({
+        $or: [
+            { ...ACTIVE_STUDENT_FILTER, $or: eligibilityCriteria, _id: { $nin: editedStudentIds } },
+            ...buildEditedStudentConditions(pastCohorts, eligibilityCriteria),
+        ],
+    })
+        .select(`${select} program yearLevel section enrollmentStatus`)
+        .sort(sort)
+        .lean();
+
+    const students = candidates.map(student => {
+        const pastCohort = pastCohorts.get(student._id.toString());
+        return pastCohort ? { ...student, ...pastCohort } : student;
+    }).filter(student => {
+        if (!isActiveStudent(student)) return false;
+        const override = decidingOverrides.get(student._id.toString());
+        if (override) return override.type === 'GRANT';
+        return applyCalendarExceptions(calendarExceptions, student, isScheduled(student), mealService).isEligible;
+    });
+
+    return { dayOfWeek, calendarExceptions, students };
+};
+
+// The override detail included in kitchen responses, so staff can see why a student was let through or stopped
+const describeOverride = (override) => ({
+    id: override._id,
+    type: override.type,
+    reason: override.reason,
+    startDate: formatCampusDate(override.startDate),
+    endDate: formatCampusDate(override.endDate),
+});
+
+// The outcome for a student turned away because the kitchen has no portions left
+const describeCapacityReached = (reachedCapacity, mealService) => {
+    const mealName = describeMealService(mealService).toLowerCase();
+    return {
+        mealService,
+        eligibilityStatus: 'CAPACITY_REACHED',
+        recordStatus: 'INELIGIBLE_CAPACITY_REACHED',
+        reasonCode: 'CAPACITY_REACHED',
+        reason: reachedCapacity.program
+            ? `All ${reachedCapacity.portions} ${mealName} portions for ${reachedCapacity.program} have been claimed today.`
+            : `All ${reachedCapacity.portions} ${mealName} portions have been claimed today.`,
+        details: { capacity: reachedCapacity },
+    };
+};
+
+/**
+ * Works out a found student's eligibility at a moment for one meal service, without writing anything.
+ * Returns the meal service checked, the status shown to the kitchen, the MealRecord status to write if the
+ * check is recorded (null for ALREADY_CLAIMED, which is never recorded), a machine-readable reasonCode
+ * saying which rule decided the outcome, and a human-readable reason.
+ * Without a requested service, the one whose service window is open at checkedAt is checked (lunch if none is).
+ * @param {object} student - The Student document.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {string|null} [requestedMealService] - The meal service being served, if the terminal said.
+ * @param {Date} [checkedAt=new Date()] - When the scan happened; offline claims pass their own claim time.
+ * @returns {Promise<{mealService: string, eligibilityStatus: string, recordStatus: string|null, reasonCode: string, reason: string, details?: object}>}
+ */
+const evaluateEligibility = async (student, serviceDate, requestedMealService = null, checkedAt = new Date()) => {
+    // Holidays, make-up days and one-day grants from the academic calendar take precedence over the weekly schedule
+    const exceptionsByDate = await getCalendarExceptions(serviceDate);
+    const calendarExceptions = exceptionsByDate.get(serviceDate.getTime()) || [];
+    const currentDay = getEffectiveDayOfWeek(calendarExceptions, serviceDate);
+    const currentTime = getCurrentTimeOfDay(checkedAt);
+
+    const dayServiceWindows = await ServiceWindow.find({ dayOfWeek: currentDay }).lean();
+    const mealService = requestedMealService
+        || findCurrentMealService(dayServiceWindows, student, currentTime)
+        || DEFAULT_MEAL_SERVICE;
+    const mealName = describeMealService(mealService);
+
+    // Check if the student has already claimed this meal that day
+    const existingRecord = await MealRecord.findOne({
+        student: student._id,
+        serviceDate,
+        mealService,
+        status: 'CLAIMED'
+    });
+    if (existingRecord) {
+        return {
+            mealService,
+            eligibilityStatus: 'ALREADY_CLAIMED',
+            recordStatus: null,
+            reasonCode: 'ALREADY_CLAIMED',
+            reason: `${mealName} has already been claimed today.`,
+        };
+    }
+
+    // Students on leave, dropped or graduated are not served, whatever their schedule or overrides say
+    if (!isActiveStudent(student)) {
+        return {
+            mealService,
+            eligibilityStatus: 'NOT_ENROLLED',
+            recordStatus: 'INELIGIBLE_NOT_ENROLLED',
+            reasonCode: `ENROLLMENT_${student.enrollmentStatus}`,
+            reason: `Not currently enrolled (${describeEnrollmentStatus(student.enrollmentStatus)}).`,
+            details: { enrollmentStatus: student.enrollmentStatus },
+        };
+    }
+
+    // An individual override (working-student grant, suspension) takes precedence over the calendar and schedule
+    const override = pickOverride(await getActiveOverrides(serviceDate, { student: student._id }), serviceDate, mealService);
+    if (override && override.type === 'DENY') {
+        return {
+            mealService,
+            eligibilityStatus: 'ELIGIBILITY_SUSPENDED',
+            recordStatus: 'INELIGIBLE_OVERRIDE_DENIED',
+            reasonCode: 'OVERRIDE_DENY',
+            reason: `Meal eligibility suspended: ${override.reason}.`,
+            details: { override: describeOverride(override) },
+        };
+    }
+
+    // Use the schedule version (e.g., this semester's) in force on the service day; a rule for the
+    // student's section takes precedence over the cohort-wide one
+    const scheduleEntries = await Schedule.find({
+        version: await getScheduleVersionIdOn(serviceDate),
+        program: student.program,
+        yearLevel: student.yearLevel,
+        mealService,
+        dayOfWeek: currentDay,
+    }).lean();
+    const isScheduled = buildScheduleLookup(scheduleEntries)(student);
+    const { isEligible, exception } = applyCalendarExceptions(calendarExceptions, student, isScheduled, mealService);
+    if (!isEligible && !override) {
+        return {
+            mealService,
+            eligibilityStatus: 'NOT_SCHEDULED',
+            recordStatus: 'INELIGIBLE_NOT_SCHEDULED',
+            reasonCode: exception ? `CALENDAR_${exception.type}` : 'NOT_SCHEDULED',
+            reason: exception
+                ? `No meal service today: ${exception.description}.`
+                : `Not scheduled for ${mealName.toLowerCase()} on ${currentDay}.`,
+            details: exception ? { calendarException: { type: exception.type, description: exception.description } } : undefined,
+        };
+    }
+
+    // Scheduled today, but the meal is only served during its configured service window
+    const serviceWindow = pickServiceWindow(dayServiceWindows.filter(w => w.mealService === mealService), student);
+    if (serviceWindow && (currentTime < serviceWindow.startTime || currentTime > serviceWindow.endTime)) {
+        return {
+            mealService,
+            eligibilityStatus: 'OUTSIDE_SERVICE_WINDOW',
+            recordStatus: 'INELIGIBLE_OUTSIDE_SERVICE_WINDOW',
+            reasonCode: 'OUTSIDE_SERVICE_WINDOW',
+            reason: `${mealName} on ${currentDay} is served from ${serviceWindow.startTime} to ${serviceWindow.endTime}.`,
+            details: { serviceWindow: { startTime: serviceWindow.startTime, endTime: serviceWindow.endTime } },
+        };
+    }
+
+    // The kitchen only cooks a fixed number of portions; once they are all claimed, nobody else is served
+    const reachedCapacity = findReachedCapacity(await getCapacityStatus(serviceDate, currentDay, mealService), student.program);
+    if (reachedCapacity) {
+        return describeCapacityReached(reachedCapacity, mealService);
+    }
+
+    if (override) {
+        return {
+            mealService,
+            eligibilityStatus: 'ELIGIBLE',
+            recordStatus: 'CLAIMED',
+            reasonCode: 'OVERRIDE_GRANT',
+            reason: `Eligible for meal by individual grant: ${override.reason}.`,
+            details: { override: describeOverride(override) },
+        };
+    }
+
+    return {
+        mealService,
+        eligibilityStatus: 'ELIGIBLE',
+        recordStatus: 'CLAIMED',
+        reasonCode: exception ? `CALENDAR_${exception.type}` : 'SCHEDULED',
+        reason: `Eligible for ${mealName.toLowerCase()}.`,
+    };
+};
+
+/**
+ * Takes a portion for an eligible outcome, right before its CLAIMED record is written. evaluateEligibility only
+ * reads the remaining portions, so when other terminals took the last ones in the meantime, the CAPACITY_REACHED
+ * outcome is returned instead. Outcomes that do not claim a meal are returned unchanged.
+ * @param {object} student - The Student document.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {object} outcome - From evaluateEligibility.
+ * @returns {Promise<{outcome: object, reservation: object|null}>} The reservation to release (releaseMealPortion)
+ *   if the record cannot be written.
+ */
+const reserveClaimPortion = async (student, serviceDate, outcome) => {
+    if (outcome.recordStatus !== 'CLAIMED') return { outcome, reservation: null };
+
+    const exceptionsByDate = await getCalendarExceptions(serviceDate);
+    const dayOfWeek = getEffectiveDayOfWeek(exceptionsByDate.get(serviceDate.getTime()) || [], serviceDate);
+    const { reservation, reachedCapacity } = await reserveMealPortion(serviceDate, dayOfWeek, outcome.mealService, student.program);
+    if (reachedCapacity) {
+        return { outcome: describeCapacityReached(reachedCapacity, outcome.mealService), reservation: null };
+    }
+    return { outcome, reservation };
+};
+
+module.exports = {
+    getActiveOverrides,
+    pickOverride,
+    buildScheduleLookup,
+    evaluateEligibility,
+    reserveClaimPortion,
+    getEligibleStudentsOnDate,
+};
@@ -0,0 +1,30 @@
+// utils/enrollment.js
+// Whether a student is currently enrolled. Only active students can claim meals or count towards
+// allotted totals; students on leave, dropped or graduated keep their records but are left out.
+
+const ENROLLMENT_STATUSES = ['ACTIVE', 'ON_LEAVE', 'DROPPED', 'GRADUATED'];
+const DEFAULT_ENROLLMENT_STATUS = 'ACTIVE';
+
+// Students created before enrollment was tracked have no status and are treated as active
+const ACTIVE_STUDENT_FILTER = { enrollmentStatus: { $in: [DEFAULT_ENROLLMENT_STATUS, null] } };
+
+/**
+ * @param {{enrollmentStatus?: string}} student
+ * @returns {boolean}
+ */
+const isActiveStudent = (student) => !student.enrollmentStatus || student.enrollmentStatus === DEFAULT_ENROLLMENT_STATUS;
+
+/**
+ * Gets a readable name for an enrollment status, e.g. 'ON_LEAVE' -> 'on leave'.
+ * @param {string} status
+ * @returns {string}
+ */
+const describeEnrollmentStatus = (status) => status.replace(/_/g, ' ').toLowerCase();
+
+module.exports = {
+    ENROLLMENT_STATUSES,
+    DEFAULT_ENROLLMENT_STATUS,
+    ACTIVE_STUDENT_FILTER,
+    isActiveStudent,
+    describeEnrollmentStatus,
+};
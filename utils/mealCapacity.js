@@ -0,0 +1,156 @@
+// utils/mealCapacity.js
+const MealCapacity = require('../models/MealCapacityModel');
+const MealRecord = require('../models/MealRecordModel');
+const MealCapacityCounter = require('../models/MealCapacityCounterModel');
+
+/**
+ * Loads the capacities that apply to a meal service on a service day: the date-specific ones, plus the
+ * weekday ones for any program (or the whole kitchen) without a date-specific capacity.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {string} dayOfWeek - The weekday whose capacities apply (follows make-up day overrides).
+ * @param {string} mealService - The meal service being served.
+ * @returns {Promise<Array<object>>} Lean capacity documents, at most one per program (null = whole kitchen).
+ */
+const getCapacityLimits = async (serviceDate, dayOfWeek, mealService) => {
+    const capacities = await MealCapacity.find({ mealService, $or: [{ date: serviceDate }, { dayOfWeek }] }).lean();
+    const byProgram = new Map();
+    for (const capacity of capacities) {
+        const existing = byProgram.get(capacity.program);
+        if (!existing || (capacity.date && !existing.date)) byProgram.set(capacity.program, capacity);
+    }
+    return [...byProgram.values()];
+};
+
+/**
+ * Works out how many portions of a meal service are left on a service day. Only CLAIMED records of
+ * that service use up portions, so cancelled mis-scans give their portion back.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {string} dayOfWeek - The weekday whose capacities apply.
+ * @param {string} mealService - The meal service being served.
+ * @returns {Promise<Array<{program: string|null, portions: number, claimed: number, remaining: number, appliesTo: string}>>}
+ *   One entry per configured capacity; empty when the kitchen has no limit that day.
+ */
+const getCapacityStatus = async (serviceDate, dayOfWeek, mealService) => {
+    const limits = await getCapacityLimits(serviceDate, dayOfWeek, mealService);
+    if (limits.length === 0) return [];
+
+    const claims = await MealRecord.aggregate([
+        { $match: { serviceDate, mealService, status: 'CLAIMED' } },
+        { $group: { _id: '$programAtTimeOfRecord', count: { $sum: 1 } } },
+    ]);
+    const claimedByProgram = new Map(claims.map(c => [c._id, c.count]));
+    const totalClaimed = claims.reduce((total, c) => total + c.count, 0);
+
+    return limits
+        .map(limit => {
+            const claimed = limit.program ? claimedByProgram.get(limit.program) || 0 : totalClaimed;
+            return {
+                program: limit.program,
+                mealService,
+                portions: limit.portions,
+                claimed,
+                remaining: Math.max(0, limit.portions - claimed),
+                appliesTo: limit.date ? 'DATE' : 'WEEKDAY',
+            };
+        })
+        .sort((a, b) => (a.program || '').localeCompare(b.program || ''));
+};
+
+/**
+ * Finds a capacity that stops a student from claiming: the whole-kitchen capacity or their program's.
+ * @param {Array<object>} capacityStatus - From getCapacityStatus.
+ * @param {string} program - The student's program.
+ * @returns {object|null} The exhausted capacity, if any.
+ */
+const findReachedCapacity = (capacityStatus, program) => {
+    return capacityStatus.find(c => (!c.program || c.program === program) && c.remaining <= 0) || null;
+};
+
+// Creates a day's counter the first time a capacity is checked against it, starting from the claims
+// already recorded (e.g., claims made before the capacity was set)
+const ensureCapacityCounter = async (serviceDate, mealService, program) => {
+    if (await MealCapacityCounter.exists({ serviceDate, mealService, program })) return;
+    const claimed = await MealRecord.countDocuments({
+        serviceDate,
+        mealService,
+        status: 'CLAIMED',
+        ...(program ? { programAtTimeOfRecord: program } : {}),
+    });
+    try {
+        await MealCapacityCounter.create({ serviceDate, mealService, program, claimed });
+    } catch (error) {
+        if (error.code !== 11000) throw error; // Another terminal created it first
+    }
+};
+
+/**
+ * Gives back portions taken by reserveMealPortion, e.g. when the claim turned out to be a duplicate or was cancelled.
+ * @param {{serviceDate: Date, mealService: string, programs: Array<string|null>}} reservation
+ * @returns {Promise<void>}
+ */
+const releaseMealPortion = async ({ serviceDate, mealService, programs }) => {
+    if (programs.length === 0) return;
+    await MealCapacityCounter.updateMany(
+        { serviceDate, mealService, program: { $in: programs }, claimed: { $gt: 0 } },
+        { $inc: { claimed: -1 } }
+    );
+};
+
+/**
+ * Atomically takes one portion for a claim from the whole-kitchen and program capacities of a meal service.
+ * A portion is only taken while the counter is below the capacity, so two terminals can never hand out the last
+ * portion twice. Counters without a capacity that day still count the claim, in case one is set later that day.
+ * @param {Date} serviceDate - The start of the service day.
+ * @param {string} dayOfWeek - The weekday whose capacities apply.
+ * @param {string} mealService - The meal service being claimed.
+ * @param {string} program - The student's program.
+ * @returns {Promise<{reservation: object|null, reachedCapacity: object|null}>} The reservation to release if the
+ *   claim is not written, or the capacity that has no portions left (nothing is reserved then).
+ */
+const reserveMealPortion = async (serviceDate, dayOfWeek, mealService, program) => {
+    const limits = await getCapacityLimits(serviceDate, dayOfWeek, mealService);
+    const reservation = { serviceDate, mealService, programs: [] };
+
+    for (const counterProgram of [null, program]) {
+        const limit = limits.find(l => l.program === counterProgram);
+        if (!limit) {
+            const { modifiedCount } = await MealCapacityCounter.updateOne(
+                { serviceDate, mealService, program: counterProgram },
+                { $inc: { claimed: 1 } }
+            );
+            if (modifiedCount > 0) reservation.programs.push(counterProgram);
+            continue;
+        }
+
+        await ensureCapacityCounter(serviceDate, mealService, counterProgram);
+        const counter = await MealCapacityCounter.findOneAndUpdate(
+            { serviceDate, mealService, program: counterProgram, claimed: { $lt: limit.portions } },
+            { $inc: { claimed: 1 } },
+            { new: true }
+        );
+        if (!counter) {
+            await releaseMealPortion(reservation);
+            return {
+                reservation: null,
+                reachedCapacity: {
+                    program: limit.program,
+                    mealService,
+                    portions: limit.portions,
+                    claimed: limit.portions,
+                    remaining: 0,
+                    appliesTo: limit.date ? 'DATE' : 'WEEKDAY',
+                },
+            };
+        }
+        reservation.programs.push(counterProgram);
+    }
+
+    return { reservation, reachedCapacity: null };
+};
+
+module.exports = {
+    getCapacityStatus,
+    findReachedCapacity,
+    reserveMealPortion,
+    releaseMealPortion,
+};
@@ -0,0 +1,89 @@
+// utils/mealPass.js
+const crypto = require('crypto');
+
+const MEAL_PASS_PREFIX = 'MP1';
+
+// How long an issued pass stays valid. Clients showing the QR code should refresh it before then.
+const getMealPassTtlSeconds = () => (parseInt(process.env.MEAL_PASS_TTL_MINUTES, 10) || 15) * 60;
+
+const getMealPassSecret = () => {
+    const secret = process.env.MEAL_PASS_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        console.error('FATAL ERROR: Neither MEAL_PASS_SECRET nor JWT_SECRET is defined in environment variables.'.red.bold);
+        throw new Error('Server configuration error: meal pass secret missing.');
+    }
+    return secret;
+};
+
+const signPayload = (encodedPayload) => {
+    return crypto.createHmac('sha256', getMealPassSecret()).update(`${MEAL_PASS_PREFIX}.${encodedPayload}`).digest('base64url');
+};
+
+/**
+ * Creates a signed QR meal pass for a student.
+ * Format: `MP1.<base64url JSON { sid, iat, v }>.<base64url HMAC-SHA256>`.
+ * @param {object} student - Student document (uses studentIdNumber and mealPassVersion).
+ * @returns {{pass: string, issuedAt: Date, expiresAt: Date}} The QR payload and its validity period.
+ */
+const issueMealPass = (student) => {
+    const issuedAtSeconds = Math.floor(Date.now() / 1000);
+    const encodedPayload = Buffer.from(JSON.stringify({
+        sid: student.studentIdNumber,
+        iat: issuedAtSeconds,
+        v: student.mealPassVersion || 0,
+    })).toString('base64url');
+
+    return {
+        pass: `${MEAL_PASS_PREFIX}.${encodedPayload}.${signPayload(encodedPayload)}`,
+        issuedAt: new Date(issuedAtSeconds * 1000),
+        expiresAt: new Date((issuedAtSeconds + getMealPassTtlSeconds()) * 1000),
+    };
+};
+
+/**
+ * Verifies the signature and age of a QR meal pass. Does not check revocation (needs the student record).
+ * @param {string} pass - The scanned QR payload.
+ * @returns {{studentIdNumber: string, issuedAt: Date, version: number}} The decoded pass.
+ * @throws {Error} With `code` set to 'INVALID_PASS' or 'PASS_EXPIRED'.
+ */
+const verifyMealPass = (pass) => {
+    const invalid = (message, code = 'INVALID_PASS') => Object.assign(new Error(message), { code });
+
+    const parts = typeof pass === 'string' ? pass.trim().split('.') : [];
+    if (parts.length !== 3 || parts[0] !== MEAL_PASS_PREFIX) {
+        throw invalid('Meal pass is not in a recognized format.');
+    }
+    const [, encodedPayload, signature] = parts;
+
+    const expectedSignature = Buffer.from(signPayload(encodedPayload));
+    const givenSignature = Buffer.from(signature);
+    if (givenSignature.length !== expectedSignature.length || !crypto.timingSafeEqual(givenSignature, expectedSignature)) {
+        throw invalid('Meal pass signature is invalid.');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalid('Meal pass payload could not be read.');
+    }
+    if (!payload.sid || !Number.isInteger(payload.iat)) {
+        throw invalid('Meal pass payload is incomplete.');
+    }
+
+    const ageSeconds = Math.floor(Date.now() / 1000) - payload.iat;
+    if (ageSeconds > getMealPassTtlSeconds() || ageSeconds < -60) {
+        throw invalid('Meal pass has expired. Please refresh the QR code.', 'PASS_EXPIRED');
+    }
+
+    return {
+        studentIdNumber: payload.sid,
+        issuedAt: new Date(payload.iat * 1000),
+        version: payload.v || 0,
+    };
+};
+
+module.exports = {
+    issueMealPass,
+    verifyMealPass,
+};
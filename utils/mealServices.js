@@ -0,0 +1,54 @@
+// utils/mealServices.js
+// The meals served in a day. Schedules, service windows, capacities and meal records are all kept per
+// service, so a student can be entitled to (and claim) more than one meal on the same day.
+const { pickServiceWindow } = require('./serviceDay');
+
+const MEAL_SERVICES = ['BREAKFAST', 'LUNCH', 'SNACK'];
+
+// Records and entries created before services were tracked are lunches
+const DEFAULT_MEAL_SERVICE = 'LUNCH';
+
+// Calendar exception and override types that give meals to students who are not scheduled
+const GRANT_RULE_TYPES = ['COHORT_GRANT', 'GRANT'];
+
+/**
+ * Gets a readable name for a meal service, e.g. 'BREAKFAST' -> 'Breakfast'.
+ * @param {string} mealService
+ * @returns {string}
+ */
+const describeMealService = (mealService) => mealService.charAt(0) + mealService.slice(1).toLowerCase();
+
+/**
+ * Whether a calendar exception or eligibility override covers a meal service. One with a mealService covers only
+ * that service. Without one, rules that take meals away (NO_MEALS, DENY) cover every service, while rules that
+ * grant a meal (COHORT_GRANT, GRANT) only grant lunch, so a one-day grant never creates breakfasts or snacks.
+ * @param {{type: string, mealService?: string|null}} rule
+ * @param {string} mealService
+ * @returns {boolean}
+ */
+const appliesToMealService = (rule, mealService) => {
+    if (rule.mealService) return rule.mealService === mealService;
+    return !GRANT_RULE_TYPES.includes(rule.type) || mealService === DEFAULT_MEAL_SERVICE;
+};
+
+/**
+ * Works out which meal is being served to a student at a time of day, from that day's service windows.
+ * @param {Array<object>} windows - ServiceWindow documents for a single day (all services).
+ * @param {{program: string, yearLevel: number}} student - The student (or cohort) to match.
+ * @param {string} timeOfDay - Campus time as "HH:mm".
+ * @returns {string|null} The service whose window is open, or null when none is.
+ */
+const findCurrentMealService = (windows, student, timeOfDay) => {
+    return MEAL_SERVICES.find(mealService => {
+        const serviceWindow = pickServiceWindow(windows.filter(w => w.mealService === mealService), student);
+        return serviceWindow && timeOfDay >= serviceWindow.startTime && timeOfDay <= serviceWindow.endTime;
+    }) || null;
+};
+
+module.exports = {
+    MEAL_SERVICES,
+    DEFAULT_MEAL_SERVICE,
+    describeMealService,
+    appliesToMealService,
+    findCurrentMealService,
+};
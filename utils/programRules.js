@@ -0,0 +1,89 @@
+// utils/programRules.js
+// Checks against the Program collection: whether a program exists and the year levels it has
+// (e.g. ACT only has Years 1 and 2). Shared by request validation and the models.
+const Program = require('../models/ProgramModel');
+
+/**
+ * Describes the year levels a program has, e.g. 'Year 1 to 2'.
+ * @param {object} program - Program document.
+ * @returns {string}
+ */
+const describeYearLevels = (program) => {
+    return program.minYearLevel === program.maxYearLevel
+        ? `Year ${program.minYearLevel}`
+        : `Year ${program.minYearLevel} to ${program.maxYearLevel}`;
+};
+
+/**
+ * Checks a year level against a program's limits.
+ * @param {object} program - Program document (hydrated, so defaults apply to older programs).
+ * @param {number} yearLevel
+ * @returns {string|null} The error message, or null when the year level is allowed.
+ */
+const getYearLevelError = (program, yearLevel) => {
+    if (!Number.isInteger(yearLevel) || yearLevel < program.minYearLevel || yearLevel > program.maxYearLevel) {
+        return `${program.name} only has ${describeYearLevels(program)}.`;
+    }
+    return null;
+};
+
+/**
+ * Loads every program keyed by name, for validating many rows at once.
+ * @returns {Promise<Map<string, object>>}
+ */
+const loadProgramsByName = async () => {
+    const programs = await Program.find();
+    return new Map(programs.map(p => [p.name, p]));
+};
+
+/**
+ * express-validator custom check that a program exists in the Program collection, so programs added
+ * through POST /programs can be used straight away.
+ * @param {string} programName - Already trimmed and upper-cased by the validation chain.
+ * @returns {Promise<boolean>}
+ * @throws {Error} When there is no such program.
+ */
+const programExists = async (programName) => {
+    if (!(await Program.exists({ name: programName }))) {
+        throw new Error(`Program '${programName}' does not exist.`);
+    }
+    return true;
+};
+
+/**
+ * Checks that a program exists, for settings that name a program without a year level.
+ * @param {string} programName
+ * @param {{allowArchived?: boolean}} [options] - Pass allowArchived: false for new assignments to the program.
+ * @returns {Promise<string|null>} The error message, or null when valid.
+ */
+const validateProgram = async (programName, { allowArchived = true } = {}) => {
+    const name = String(programName).trim().toUpperCase();
+    const program = await Program.findOne({ name });
+    if (!program) return `Program '${name}' does not exist in the database.`;
+    if (program.isArchived && !allowArchived) return `Program '${name}' is archived and cannot be assigned.`;
+    return null;
+};
+
+/**
+ * Checks that a program exists and has the given year level.
+ * @param {string} programName
+ * @param {number|string} yearLevel
+ * @param {{allowArchived?: boolean}} [options] - Pass allowArchived: false for new assignments to the program.
+ * @returns {Promise<string|null>} The error message, or null when valid.
+ */
+const validateProgramYearLevel = async (programName, yearLevel, { allowArchived = true } = {}) => {
+    const name = String(programName).trim().toUpperCase();
+    const program = await Program.findOne({ name });
+    if (!program) return `Program '${name}' does not exist in the database.`;
+    if (program.isArchived && !allowArchived) return `Program '${name}' is archived and cannot be assigned.`;
+    return getYearLevelError(program, parseInt(yearLevel, 10));
+};
+
+module.exports = {
+    describeYearLevels,
+    getYearLevelError,
+    loadProgramsByName,
+    programExists,
+    validateProgram,
+    validateProgramYearLevel,
+};
@@ -0,0 +1,41 @@
+// utils/scheduleVersions.js
+const ScheduleVersion = require('../models/ScheduleVersionModel');
+
+/**
+ * Loads the schedule versions in force at any point in a range, oldest first.
+ * @param {Date} startDate - Start of the range.
+ * @param {Date} [endDate=startDate] - End of the range.
+ * @returns {Promise<Array<object>>} Lean version documents.
+ */
+const getScheduleVersionsInRange = (startDate, endDate = startDate) => {
+    return ScheduleVersion.find({
+        effectiveFrom: { $lte: endDate },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gte: startDate } }],
+    }).sort({ effectiveFrom: 1 }).lean();
+};
+
+/**
+ * Picks the version in force on a service day from a preloaded list.
+ * @param {Array<object>} versions - Candidate versions (e.g., from getScheduleVersionsInRange).
+ * @param {Date} serviceDate - The start of the service day.
+ * @returns {object|null} The version, or null when the base schedule applies.
+ */
+const pickScheduleVersion = (versions, serviceDate) => {
+    return versions.find(v => v.effectiveFrom <= serviceDate && (!v.effectiveTo || v.effectiveTo >= serviceDate)) || null;
+};
+
+/**
+ * Gets the ID of the schedule version in force on a service day.
+ * @param {Date} serviceDate - The start of the service day.
+ * @returns {Promise<import('mongoose').Types.ObjectId|null>} The version ID, or null for the base schedule.
+ */
+const getScheduleVersionIdOn = async (serviceDate) => {
+    const version = pickScheduleVersion(await getScheduleVersionsInRange(serviceDate), serviceDate);
+    return version ? version._id : null;
+};
+
+module.exports = {
+    getScheduleVersionsInRange,
+    pickScheduleVersion,
+    getScheduleVersionIdOn,
+};
@@ -0,0 +1,63 @@
+// utils/serviceDay.js
+const { getCampusDateParts, startOfCampusDay, endOfCampusDay } = require('./campusTime');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Gets the name of the campus day of the week for a date.
+ * @param {Date} [date=new Date()] - The date to evaluate.
+ * @returns {string} e.g. 'Monday'.
+ */
+const getCurrentDayOfWeek = (date = new Date()) => {
+    return DAY_NAMES[getCampusDateParts(date).weekday];
+};
+
+/**
+ * Gets the start of the service day a date falls on (midnight on campus). Used as the MealRecord serviceDate.
+ * @param {Date} [date=new Date()] - The date to evaluate.
+ * @returns {Date} The start of that service day.
+ */
+const getServiceDate = (date = new Date()) => {
+    return startOfCampusDay(date);
+};
+
+/**
+ * Gets the last millisecond of the service day that starts at serviceDate.
+ * @param {Date} serviceDate - The start of the service day.
+ * @returns {Date} The end of that service day.
+ */
+const getServiceDayEnd = (serviceDate) => {
+    return endOfCampusDay(serviceDate);
+};
+
+/**
+ * Gets the campus time of day as a zero-padded "HH:mm" string, comparable to service window times.
+ * @param {Date} [date=new Date()] - The date to evaluate.
+ * @returns {string} e.g. '11:45'.
+ */
+const getCurrentTimeOfDay = (date = new Date()) => {
+    const { hour, minute } = getCampusDateParts(date);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Picks the service window that applies to a student from a day's windows.
+ * The most specific rule wins: program + year, then program only, then the day-wide window.
+ * @param {Array<object>} windows - ServiceWindow documents for a single day.
+ * @param {{program: string, yearLevel: number}} student - The student (or cohort) to match.
+ * @returns {object|null} The matching window, or null when meals are served all day.
+ */
+const pickServiceWindow = (windows, student) => {
+    return windows.find(w => w.program === student.program && w.yearLevel === student.yearLevel)
+        || windows.find(w => w.program === student.program && w.yearLevel == null)
+        || windows.find(w => w.program == null)
+        || null;
+};
+
+module.exports = {
+    getCurrentDayOfWeek,
+    getServiceDate,
+    getServiceDayEnd,
+    getCurrentTimeOfDay,
+    pickServiceWindow,
+};
@@ -0,0 +1,127 @@
+// utils/spreadsheet.js
+// Streams tabular exports to an HTTP response as CSV or XLSX, and reads uploaded XLSX workbooks.
+const { PassThrough, Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+
+const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const WRITE_BATCH = 500; // Rows per write to the response
+
+// Resolves once the stream can take more data, or once it is destroyed (e.g. the client went away)
+const waitForDrain = (stream) => new Promise(resolve => {
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+// Joins rows into CSV chunks of WRITE_BATCH lines
+async function* toCsvChunks(header, rows) {
+    yield toCsvRow(header);
+    let chunk = '';
+    let rowsInChunk = 0;
+    for await (const values of rows) {
+        chunk += toCsvRow(values);
+        if (++rowsInChunk >= WRITE_BATCH) {
+            yield chunk;
+            chunk = '';
+            rowsInChunk = 0;
+        }
+    }
+    if (rowsInChunk > 0) yield chunk;
+}
+
+// Writes rows into a single-sheet workbook that is zipped into `output` as it goes
+const writeXlsxRows = async (output, sheetName, header, rows) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.addRow(header).commit();
+    let rowsInBatch = 0;
+    for await (const values of rows) {
+        if (output.destroyed) return; // Leaving the loop also closes the row source
+        worksheet.addRow(values).commit();
+        if (++rowsInBatch >= WRITE_BATCH) {
+            rowsInBatch = 0;
+            if (output.writableNeedDrain) await waitForDrain(output);
+        }
+    }
+    if (!output.destroyed) await workbook.commit();
+};
+
+/**
+ * Streams rows to the response as a CSV or XLSX download. Backpressure is respected, and when the client
+ * disconnects the row source is returned early (so a database cursor behind it is closed).
+ * Errors once the download has started cannot be reported to the client any more; the response is
+ * destroyed and the error is logged.
+ * @param {object} res - The Express response; nothing may have been written yet.
+ * @param {object} options
+ * @param {'csv'|'xlsx'} options.format
+ * @param {string} options.filename - Download name without extension.
+ * @param {string} [options.sheetName='Sheet1'] - Worksheet name for XLSX.
+ * @param {Array<string>} options.header - Column names.
+ * @param {AsyncIterable<Array<*>>} options.rows - One array of cell values per row; null/undefined become empty cells.
+ * @returns {Promise<void>} Resolves when the download is finished or abandoned.
+ */
+const streamSpreadsheet = async (res, { format, filename, sheetName = 'Sheet1', header, rows }) => {
+    res.attachment(`${filename}.${format}`);
+    res.status(200);
+
+    try {
+        if (format === 'xlsx') {
+            const output = new PassThrough();
+            await Promise.all([
+                pipeline(output, res),
+                writeXlsxRows(output, sheetName, header, rows).catch(error => {
+                    output.destroy(error);
+                    throw error;
+                }),
+            ]);
+        } else {
+            await pipeline(Readable.from(toCsvChunks(header, rows)), res);
+        }
+    } catch (error) {
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`Export ${filename}.${format} failed: ${error.message}`.red);
+        }
+        if (!res.destroyed) res.destroy();
+    }
+};
+
+/**
+ * Reads the first worksheet of an XLSX workbook in the same shape as parseCsv, so the same import code can
+ * handle both. Every cell is read as the text the spreadsheet displays (e.g. a year level of 2 becomes "2").
+ * Blank rows are skipped.
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<Array<{line: number, values: Array<string>}>>} Each row with its row number in the sheet.
+ * @throws {Error} When the file is not a readable workbook.
+ */
+const readXlsxRecords = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error('The file is not a valid XLSX workbook.', { cause: error });
+    }
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const records = [];
+    worksheet.eachRow((row, line) => {
+        const values = [];
+        for (let column = 1; column <= row.cellCount; column++) values.push(row.getCell(column).text);
+        if (values.some(value => value.trim() !== '')) records.push({ line, values });
+    });
+    return records;
+};
+
+module.exports = {
+    SPREADSHEET_FORMATS,
+    XLSX_CONTENT_TYPE,
+    streamSpreadsheet,
+    readXlsxRecords,
+};
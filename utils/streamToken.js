@@ -0,0 +1,47 @@
+// utils/streamToken.js
+// Short-lived tokens for Server-Sent Events. Browsers' EventSource cannot send an Authorization header,
+// so an admin exchanges their JWT for one of these and passes it in the stream URL (?token=).
+const jwt = require('jsonwebtoken');
+
+const STREAM_TOKEN_PURPOSE = 'event-stream';
+// Only needs to last until the stream is opened; an open stream stays authorized
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+const getStreamTokenSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        console.error('FATAL ERROR: JWT_SECRET is not defined in environment variables.'.red.bold);
+        throw new Error('Server configuration error: JWT secret missing.');
+    }
+    return process.env.JWT_SECRET;
+};
+
+/**
+ * Issues a stream token for an admin.
+ * @param {*} adminId - The admin's _id.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const issueStreamToken = (adminId) => {
+    const token = jwt.sign({ id: adminId, purpose: STREAM_TOKEN_PURPOSE }, getStreamTokenSecret(), {
+        expiresIn: STREAM_TOKEN_TTL_SECONDS,
+    });
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Verifies a stream token. Ordinary login JWTs are refused, so a full session token never has to go in a URL.
+ * @param {string} token
+ * @returns {{id: string}} The admin's _id.
+ * @throws {Error} jsonwebtoken's JsonWebTokenError / TokenExpiredError.
+ */
+const verifyStreamToken = (token) => {
+    const decoded = jwt.verify(token, getStreamTokenSecret());
+    if (decoded.purpose !== STREAM_TOKEN_PURPOSE) {
+        throw new jwt.JsonWebTokenError('Token is not a stream token');
+    }
+    return { id: decoded.id };
+};
+
+module.exports = {
+    issueStreamToken,
+    verifyStreamToken,
+};
@@ -0,0 +1,106 @@
+// utils/studentHistory.js
+// The student change log: recording edits, and replaying it backwards to find a student's cohort
+// (program, year level, section and enrollment status) on a past date.
+const StudentChange = require('../models/StudentChangeModel');
+const { DEFAULT_ENROLLMENT_STATUS } = require('./enrollment');
+
+// Fields whose changes are logged
+const TRACKED_FIELDS = ['studentIdNumber', 'name', 'email', 'program', 'yearLevel', 'section', 'enrollmentStatus'];
+// Fields that make up a student's cohort on a date
+const COHORT_FIELDS = ['program', 'yearLevel', 'section', 'enrollmentStatus'];
+
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Lists the tracked fields that differ between two versions of a student.
+ * @param {object|null} before - The student before the edit (null for a new student).
+ * @param {object|null} after - The student after the edit (null for a deleted student).
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+const diffStudentFields = (before, after) => {
+    return TRACKED_FIELDS
+        .map(field => ({
+            field,
+            from: normalizeValue(before ? before[field] : null),
+            to: normalizeValue(after ? after[field] : null),
+        }))
+        .filter(change => change.from !== change.to);
+};
+
+/**
+ * Builds a change log entry, or null when nothing tracked changed.
+ * @param {object} student - The student (needs _id and studentIdNumber).
+ * @param {Array<{field: string, from: *, to: *}>} changes
+ * @param {{source: string, changedBy?: *, changedAt?: Date}} meta
+ * @returns {object|null} A plain StudentChange document, for create or insertMany.
+ */
+const buildStudentChange = (student, changes, { source, changedBy, changedAt = new Date() }) => {
+    if (changes.length === 0) return null;
+    return { student: student._id, studentIdNumber: student.studentIdNumber, changedAt, changedBy, source, changes };
+};
+
+/**
+ * Logs one edit to a student. Does nothing when no tracked field changed.
+ * Call it with the session of the transaction that writes the student, so an edit is never saved without its entry.
+ * @param {object|null} before - See diffStudentFields.
+ * @param {object|null} after
+ * @param {{source: string, changedBy?: *, session?: object}} meta
+ * @returns {Promise<void>}
+ */
+const recordStudentChange = async (before, after, { source, changedBy, session }) => {
+    const entry = buildStudentChange(after || before, diffStudentFields(before, after), { source, changedBy });
+    if (entry) await StudentChange.create([entry], { session });
+};
+
+/**
+ * Works out the cohort fields that were different at a point in time, for students edited since then.
+ * For each field changed after the moment, the value before the first such change is the value at that moment.
+ * @param {Date} moment
+ * @param {Array<*>} [studentIds] - Limit to these students (default: every student edited since).
+ * @returns {Promise<Map<string, object>>} Student _id -> the cohort fields that differed at that moment.
+ */
+const getCohortChangesSince = async (moment, studentIds = null) => {
+    const filter = {
+        changedAt: { $gt: moment },
+        source: { $in: ['UPDATE', 'IMPORT', 'ENROLLMENT', 'ROLLOVER', 'ROLLOVER_UNDO'] },
+        'changes.field': { $in: COHORT_FIELDS },
+    };
+    if (studentIds) filter.student = { $in: studentIds };
+    const laterChanges = await StudentChange.find(filter).sort({ changedAt: -1, _id: -1 }).lean();
+
+    const pastValues = new Map();
+    for (const entry of laterChanges) {
+        const key = String(entry.student);
+        if (!pastValues.has(key)) pastValues.set(key, {});
+        entry.changes
+            .filter(change => COHORT_FIELDS.includes(change.field))
+            .forEach(change => { pastValues.get(key)[change.field] = change.from; });
+    }
+    return pastValues;
+};
+
+/**
+ * Gets a student's cohort at a point in time.
+ * @param {object} student - The current student document.
+ * @param {Date} moment
+ * @returns {Promise<{program: string, yearLevel: number, section: string|null, enrollmentStatus: string}>}
+ */
+const getStudentCohortAt = async (student, moment) => {
+    const pastValues = (await getCohortChangesSince(moment, [student._id])).get(String(student._id)) || {};
+    const cohort = {};
+    COHORT_FIELDS.forEach(field => {
+        cohort[field] = field in pastValues ? pastValues[field] : normalizeValue(student[field]);
+    });
+    cohort.enrollmentStatus = cohort.enrollmentStatus || DEFAULT_ENROLLMENT_STATUS;
+    return cohort;
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    COHORT_FIELDS,
+    diffStudentFields,
+    buildStudentChange,
+    recordStudentChange,
+    getCohortChangesSince,
+    getStudentCohortAt,
+};